@@ -6,14 +6,18 @@ import RecommendationFilters from './components/RecommendationFilters';
 import ScrollAnimation from './components/ScrollAnimation';
 import LoadingSpinner from './components/LoadingSpinner';
 import ErrorMessage from './components/ErrorMessage';
-import { uploadScan, checkConnection } from './api';
+import DetectedTitles from './components/DetectedTitles';
+import AuthorPage from './components/AuthorPage';
+import AuthForm from './components/AuthForm';
+import ScanHistory from './components/ScanHistory';
+import {
+  startScanJob, addScanPhotos, watchScanJob, resolveScan, checkConnection, getScan,
+  getCurrentUser, startGuestSession, logOut, setReadingStatus, UNAUTHORIZED_EVENT,
+} from './api';
 import './App.css';
 
-// Helper function to convert text to Title Case
-function toTitleCase(str) {
-  if (!str) return '';
-  return str.toLowerCase().replace(/\b\w/g, (char) => char.toUpperCase());
-}
+// localStorage key for the scan job in progress (survives page reloads)
+const ACTIVE_SCAN_KEY = 'bookscanner.activeScanJob';
 
 function App() {
   const [scanning, setScanning] = useState(false);
@@ -24,13 +28,24 @@ function App() {
   const [activeSection, setActiveSection] = useState('discover');
   const [isConnected, setIsConnected] = useState(true);
   const [loadingProgress, setLoadingProgress] = useState('');
+  const [highlightedBookId, setHighlightedBookId] = useState(null);
+  const [resolving, setResolving] = useState(false);
+  const [qualityIssue, setQualityIssue] = useState(null); // IMAGE_QUALITY rejection ({ error, details })
+  const [selectedAuthor, setSelectedAuthor] = useState(null); // Author whose page is open
+  const [user, setUser] = useState(null); // Signed-in user or guest
+  const [authMode, setAuthMode] = useState(null); // 'login' | 'signup' while the auth form is open
+  const [showHistory, setShowHistory] = useState(false);
   const uploadSectionRef = useRef(null);
   const librarySectionRef = useRef(null);
   const retryCountRef = useRef(0);
-  const lastUploadedFileRef = useRef(null);
+  const lastUploadedFilesRef = useRef(null);
+  const lastScanOptionsRef = useRef({});
 
   // Helper function to create a unique key for a book
   const getBookKey = (book) => {
+    // Editions of the same work share a work ID from the server
+    const work = book.work || book.book?.work;
+    if (work) return `work:${work._id || work}`;
     // Use ISBN-13 if available (most unique)
     if (book.isbn13) {
       const cleanIsbn = String(book.isbn13).replace(/[^\dX]/gi, '').toUpperCase();
@@ -61,66 +76,142 @@ function App() {
     return () => clearInterval(interval);
   }, []);
 
-  const handleScan = async (imageFile, retry = false) => {
+  // Everyone has a session: the signed-in user, or a guest who can sign up later
+  const ensureSession = async () => {
+    try {
+      setUser(await getCurrentUser() || await startGuestSession());
+    } catch (err) {
+      console.error('Could not start a session:', err);
+    }
+  };
+
+  useEffect(() => {
+    ensureSession();
+    const handleUnauthorized = () => ensureSession();
+    window.addEventListener(UNAUTHORIZED_EVENT, handleUnauthorized);
+    return () => window.removeEventListener(UNAUTHORIZED_EVENT, handleUnauthorized);
+  }, []);
+
+  const handleAuthenticated = (account) => {
+    setUser(account);
+    setAuthMode(null);
+  };
+
+  // The next user should not see this one's scan
+  const handleLogout = async () => {
+    try {
+      await logOut();
+    } catch (err) {
+      console.error('Logout failed:', err);
+    }
+    setScanResult(null);
+    setAccumulatedRecommendations([]);
+    setCurrentFilteredRecommendations([]);
+    setUser(null);
+    await ensureSession();
+  };
+
+  const applyScanResult = (result) => {
+    setScanResult(result);
+    // Initialize accumulated recommendations with initial recommendations (deduplicated)
+    if (result.recommendations && result.recommendations.length > 0) {
+      // Deduplicate initial recommendations using unique book keys
+      const seenKeys = new Set();
+      const uniqueRecommendations = result.recommendations.filter(book => {
+        const key = getBookKey(book);
+        if (!key || seenKeys.has(key)) return false;
+        seenKeys.add(key);
+        return true;
+      });
+      setAccumulatedRecommendations(uniqueRecommendations);
+    }
+  };
+
+  // Photos rejected by the server's quality check, shown with advice in ImageUpload
+  const getQualityIssue = (err) => {
+    const data = err.response?.data;
+    return data?.code === 'IMAGE_QUALITY' ? data : null;
+  };
+
+  // Show real pipeline progress streamed from the server
+  const handleScanProgress = (event) => {
+    if (event?.message) setLoadingProgress(event.message);
+  };
+
+  // Reconnect to a scan that was still running when the page was reloaded
+  useEffect(() => {
+    const jobId = localStorage.getItem(ACTIVE_SCAN_KEY);
+    if (!jobId) return;
+
+    const controller = new AbortController();
+    setScanning(true);
+    setLoadingProgress('Reconnecting to your scan...');
+
+    watchScanJob(jobId, { onProgress: handleScanProgress, signal: controller.signal })
+      .then((result) => {
+        if (controller.signal.aborted) return;
+        applyScanResult(result);
+      })
+      .catch((err) => {
+        if (controller.signal.aborted) return;
+        if (!err.jobNotFound) setError(err.userMessage || err.message);
+      })
+      .finally(() => {
+        if (controller.signal.aborted) return;
+        localStorage.removeItem(ACTIVE_SCAN_KEY);
+        setLoadingProgress('');
+        setScanning(false);
+      });
+
+    return () => controller.abort();
+  }, []);
+
+  const handleScan = async (imageFiles, retry = false, options = lastScanOptionsRef.current) => {
+    lastScanOptionsRef.current = options;
     if (!retry) {
       setScanning(true);
       setError(null);
+      setQualityIssue(null);
       setScanResult(null);
       setAccumulatedRecommendations([]);
       setCurrentFilteredRecommendations([]);
       retryCountRef.current = 0;
-      lastUploadedFileRef.current = imageFile;
+      lastUploadedFilesRef.current = imageFiles;
     } else {
       retryCountRef.current += 1;
     }
 
-    // Update progress messages
-    const progressMessages = [
-      'Uploading image...',
-      'Extracting book titles...',
-      'Fetching book metadata...',
-      'Generating recommendations...',
-    ];
-    let progressIndex = 0;
-    const progressInterval = setInterval(() => {
-      if (progressIndex < progressMessages.length - 1) {
-        progressIndex += 1;
-        setLoadingProgress(progressMessages[progressIndex]);
-      }
-    }, 15000); // Update every 15 seconds
-
     try {
-      setLoadingProgress(progressMessages[0]);
-      const result = await uploadScan(imageFile);
-      clearInterval(progressInterval);
+      setLoadingProgress(imageFiles.length > 1 ? `Uploading ${imageFiles.length} photos...` : 'Uploading image...');
+      const { jobId } = await startScanJob(imageFiles, options);
+      // Remember the job so a page reload can reconnect to it
+      localStorage.setItem(ACTIVE_SCAN_KEY, jobId);
+      setLoadingProgress('Waiting for the scanner...');
+
+      const result = await watchScanJob(jobId, { onProgress: handleScanProgress });
+      localStorage.removeItem(ACTIVE_SCAN_KEY);
       setLoadingProgress('');
-      setScanResult(result);
-      // Initialize accumulated recommendations with initial recommendations (deduplicated)
-      if (result.recommendations && result.recommendations.length > 0) {
-        // Deduplicate initial recommendations using unique book keys
-        const seenKeys = new Set();
-        const uniqueRecommendations = result.recommendations.filter(book => {
-          const key = getBookKey(book);
-          if (!key || seenKeys.has(key)) return false;
-          seenKeys.add(key);
-          return true;
-        });
-        setAccumulatedRecommendations(uniqueRecommendations);
-      }
+      applyScanResult(result);
       retryCountRef.current = 0;
     } catch (err) {
-      clearInterval(progressInterval);
+      localStorage.removeItem(ACTIVE_SCAN_KEY);
       setLoadingProgress('');
+      const issue = getQualityIssue(err);
+      if (issue) {
+        setQualityIssue(issue);
+        return;
+      }
       const errorMessage = err.userMessage || err.response?.data?.error || err.message || 'Failed to scan image';
       
       // Check if it's a network error and we haven't retried too many times
-      const isNetworkError = !err.response || err.code === 'ECONNABORTED' || err.message === 'Network Error';
+      // (a failed scan job is a real failure, not a network error)
+      const isNetworkError = !err.isScanJobError && (!err.response || err.code === 'ECONNABORTED' || err.message === 'Network Error');
       const maxRetries = 2;
       
       if (isNetworkError && retryCountRef.current < maxRetries) {
         // Auto-retry for network errors
         setTimeout(() => {
-          handleScan(imageFile, true);
+          handleScan(imageFiles, true);
         }, 2000 * (retryCountRef.current + 1)); // Exponential backoff
         setError(`${errorMessage} (Retrying ${retryCountRef.current + 1}/${maxRetries})...`);
         return;
@@ -136,8 +227,57 @@ function App() {
   };
 
   const handleRetry = () => {
-    if (lastUploadedFileRef.current) {
-      handleScan(lastUploadedFileRef.current, false);
+    if (lastUploadedFilesRef.current) {
+      handleScan(lastUploadedFilesRef.current, false);
+    }
+  };
+
+  // Add photos to the current scan; the merged result replaces it.
+  // Resolves to whether the photos were added.
+  const handleAddPhotos = async (imageFiles, options = {}) => {
+    setScanning(true);
+    setError(null);
+    setQualityIssue(null);
+    try {
+      setLoadingProgress('Uploading photos...');
+      const { jobId } = await addScanPhotos(scanResult.scanId, imageFiles, options);
+      // Remember the job so a page reload can reconnect to it
+      localStorage.setItem(ACTIVE_SCAN_KEY, jobId);
+      const result = await watchScanJob(jobId, { onProgress: handleScanProgress });
+      setCurrentFilteredRecommendations([]);
+      setAccumulatedRecommendations([]);
+      applyScanResult(result);
+      return true;
+    } catch (err) {
+      const issue = getQualityIssue(err);
+      if (issue) {
+        setQualityIssue(issue);
+      } else {
+        setError(err.userMessage || err.response?.data?.error || err.message || 'Failed to add photos');
+        console.error('Add photos error:', err);
+      }
+      return false;
+    } finally {
+      localStorage.removeItem(ACTIVE_SCAN_KEY);
+      setLoadingProgress('');
+      setScanning(false);
+    }
+  };
+
+  // Look up a corrected title list and replace the scan result
+  const handleResolveTitles = async (candidates) => {
+    setResolving(true);
+    setError(null);
+    try {
+      const result = await resolveScan(scanResult.scanId, candidates);
+      setCurrentFilteredRecommendations([]);
+      setAccumulatedRecommendations([]);
+      applyScanResult(result);
+    } catch (err) {
+      setError(err.userMessage || err.response?.data?.error || err.message || 'Failed to look up titles');
+      console.error('Resolve error:', err);
+    } finally {
+      setResolving(false);
     }
   };
 
@@ -160,9 +300,67 @@ function App() {
     });
   };
 
+  // Save a book's reading status and show it on the scanned books
+  const handleReadingChange = async (book, update) => {
+    try {
+      const reading = await setReadingStatus(book._id, update);
+      setScanResult(current => current && {
+        ...current,
+        matches: (current.matches || []).map(match => (match._id === book._id ? { ...match, reading } : match)),
+      });
+    } catch (err) {
+      setError(err.userMessage || 'Could not save the reading status.');
+      console.error('Reading status error:', err);
+    }
+  };
+
+  // Jump from a bounding box on the photo to the book it resolved to
+  const handleDetectionClick = (detection) => {
+    if (!detection.book) return;
+    const bookId = String(detection.book);
+    setHighlightedBookId(bookId);
+    document.getElementById(`owned-book-${bookId}`)?.scrollIntoView({
+      behavior: 'smooth',
+      block: 'center',
+      inline: 'center',
+    });
+    setTimeout(() => {
+      setHighlightedBookId(current => (current === bookId ? null : current));
+    }, 2500);
+  };
+
+  const handleCloseHistory = () => {
+    setShowHistory(false);
+    setActiveSection('discover');
+  };
+
+  // Show a past scan's stored results; nothing is scanned again
+  const handleOpenScan = async (scanId) => {
+    setError(null);
+    setQualityIssue(null);
+    try {
+      const result = await getScan(scanId);
+      setAccumulatedRecommendations([]);
+      setCurrentFilteredRecommendations([]);
+      // Suggestions made with filters at the time join the recommendations
+      applyScanResult({
+        ...result,
+        recommendations: [...(result.recommendations || []), ...(result.filteredRecommendations || [])],
+      });
+      lastUploadedFilesRef.current = null;
+      handleCloseHistory();
+      uploadSectionRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    } catch (err) {
+      setError(err.userMessage || 'Could not open this scan.');
+      handleCloseHistory();
+    }
+  };
+
   const handleNavClick = (section) => {
     setActiveSection(section);
-    if (section === 'discover' && uploadSectionRef.current) {
+    if (section === 'history') {
+      setShowHistory(true);
+    } else if (section === 'discover' && uploadSectionRef.current) {
       uploadSectionRef.current.scrollIntoView({ behavior: 'smooth', block: 'start' });
     } else if (section === 'library' && librarySectionRef.current) {
       librarySectionRef.current.scrollIntoView({ behavior: 'smooth', block: 'start' });
@@ -171,13 +369,25 @@ function App() {
 
   return (
     <div className="app">
-      <Header activeSection={activeSection} onNavClick={handleNavClick} />
+      <Header
+        activeSection={activeSection}
+        onNavClick={handleNavClick}
+        user={user}
+        onLogin={() => setAuthMode('login')}
+        onSignup={() => setAuthMode('signup')}
+        onLogout={handleLogout}
+      />
       <main className="main-content">
         <div className="container">
           <div ref={uploadSectionRef}>
             <ImageUpload 
-              onUpload={handleScan} 
+              onUpload={(files, options) => handleScan(files, false, options)}
+              onAddPhotos={handleAddPhotos}
+              canAddToScan={Boolean(scanResult?.scanId) && !resolving}
+              qualityIssue={qualityIssue}
               disabled={scanning}
+              detections={scanResult?.candidates || []}
+              onDetectionClick={handleDetectionClick}
             />
           </div>
 
@@ -185,7 +395,7 @@ function App() {
             <div className="scanning-status">
               <LoadingSpinner />
               <p>{loadingProgress || 'Scanning your bookshelf... This may take a moment.'}</p>
-              <p className="scanning-hint">Processing can take 30-60 seconds. Please wait...</p>
+              <p className="scanning-hint">Processing can take 30-60 seconds. You can reload this page without losing your scan.</p>
             </div>
           )}
 
@@ -198,7 +408,7 @@ function App() {
           {error && (
             <div>
               <ErrorMessage message={error} />
-              {lastUploadedFileRef.current && (
+              {lastUploadedFilesRef.current && (
                 <div className="error-actions">
                   <button className="btn btn-primary" onClick={handleRetry}>
                     Retry Upload
@@ -210,26 +420,15 @@ function App() {
 
           {scanResult && (
             <>
-              {scanResult.scannedTitles && scanResult.scannedTitles.length > 0 && (
+              {(scanResult.status === 'review' || scanResult.candidates?.length > 0 || scanResult.scannedTitles?.length > 0) && (
                 <ScrollAnimation>
-                  <section className="section">
-                    <h2 className="section-title">
-                      Detected Titles
-                      <span className="title-count">({scanResult.scannedTitles.length})</span>
-                    </h2>
-                    <ul className="titles-list">
-                      {scanResult.scannedTitles.map((title, index) => (
-                        <li 
-                          key={index} 
-                          className="title-item"
-                          style={{ animationDelay: `${index * 0.08}s` }}
-                        >
-                          <span className="title-number">{index + 1}</span>
-                          <p className="title-text">{toTitleCase(title)}</p>
-                        </li>
-                      ))}
-                    </ul>
-                  </section>
+                  <DetectedTitles
+                    candidates={scanResult.candidates}
+                    scannedTitles={scanResult.scannedTitles || []}
+                    reviewing={scanResult.status === 'review'}
+                    resolving={resolving}
+                    onResolve={scanResult.scanId ? handleResolveTitles : undefined}
+                  />
                 </ScrollAnimation>
               )}
 
@@ -239,11 +438,27 @@ function App() {
                     <BookCarousel 
                       books={scanResult.matches} 
                       title={`Your Books (${scanResult.matches.length})`}
+                      itemIdPrefix="owned-book"
+                      highlightedId={highlightedBookId}
+                      onAuthorClick={setSelectedAuthor}
+                      onReadingChange={handleReadingChange}
                     />
                   </section>
                 </ScrollAnimation>
               )}
 
+              {/* Missing and next volumes of series on the shelf */}
+              {scanResult.seriesRecommendations && scanResult.seriesRecommendations.length > 0 && (
+                <ScrollAnimation delay={150}>
+                  <BookCarousel
+                    books={scanResult.seriesRecommendations}
+                    title={`Complete Your Series (${scanResult.seriesRecommendations.length})`}
+                    itemIdPrefix="series-book"
+                    onAuthorClick={setSelectedAuthor}
+                  />
+                </ScrollAnimation>
+              )}
+
               {scanResult.recommendations && scanResult.recommendations.length > 0 && (
                 <>
                   {/* Main Recommendations Carousel - accumulates all recommendations */}
@@ -262,6 +477,7 @@ function App() {
                         <BookCarousel 
                           books={uniqueAccumulated} 
                           title={`Recommendations for You (${uniqueAccumulated.length})`}
+                          onAuthorClick={setSelectedAuthor}
                         />
                       </ScrollAnimation>
                     ) : null;
@@ -283,6 +499,7 @@ function App() {
                         <BookCarousel 
                           books={uniqueFiltered} 
                           title={`Filtered Recommendations (${uniqueFiltered.length})`}
+                          onAuthorClick={setSelectedAuthor}
                         />
                       </ScrollAnimation>
                     ) : null;
@@ -291,6 +508,7 @@ function App() {
                   <ScrollAnimation delay={250}>
                     <RecommendationFilters
                       scannedBooks={scanResult.matches || []}
+                      scanId={scanResult.scanId}
                       onRecommendationsGenerated={handleFilteredRecommendations}
                       alreadyRecommendedBooks={[...accumulatedRecommendations, ...currentFilteredRecommendations]}
                     />
@@ -358,6 +576,31 @@ function App() {
           )}
         </div>
       </main>
+
+      {selectedAuthor && (
+        <AuthorPage
+          name={selectedAuthor}
+          onClose={() => setSelectedAuthor(null)}
+          onAuthorClick={setSelectedAuthor}
+        />
+      )}
+
+      {showHistory && (
+        <ScanHistory
+          currentScanId={scanResult?.scanId}
+          onOpenScan={handleOpenScan}
+          onClose={handleCloseHistory}
+        />
+      )}
+
+      {authMode && (
+        <AuthForm
+          mode={authMode}
+          isGuest={Boolean(user?.isGuest)}
+          onClose={() => setAuthMode(null)}
+          onAuthenticated={handleAuthenticated}
+        />
+      )}
     </div>
   );
 }
@@ -2,15 +2,25 @@ import axios from 'axios';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:4000/api';
 
-// Create axios instance with default timeout (30 seconds for normal requests)
+// Create axios instance with default timeout (30 seconds for normal requests).
+// withCredentials sends the httpOnly session cookie to the API's origin.
 const api = axios.create({
   baseURL: API_BASE_URL,
   timeout: 30000, // 30 seconds default timeout
+  withCredentials: true,
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
+// Fired on the window when the API answers 401, i.e. the session has expired
+// or was logged out elsewhere
+export const UNAUTHORIZED_EVENT = 'auth:unauthorized';
+
+// Anonymous ID this browser used before accounts existed; sent once when
+// starting a guest session so that guest gets its library back
+const LEGACY_CLIENT_ID_KEY = 'bookScannerClientId';
+
 // Request interceptor for better error tracking
 api.interceptors.request.use(
   (config) => {
@@ -47,6 +57,12 @@ api.interceptors.response.use(
         error.userMessage = 'Server is temporarily unavailable. Please try again in a moment.';
       } else if (status === 413) {
         error.userMessage = 'Image file is too large. Please use a smaller image.';
+      } else if (status === 401) {
+        error.userMessage = error.response?.data?.error || 'Please sign in again.';
+        // Wrong credentials on the login form are not a lost session
+        if (!error.config?.url?.startsWith('/auth/')) {
+          window.dispatchEvent(new CustomEvent(UNAUTHORIZED_EVENT));
+        }
       } else {
         error.userMessage = error.response?.data?.error || `Error: ${status}`;
       }
@@ -69,14 +85,22 @@ async function retryRequest(requestFn, retries = 2, delay = 1000) {
   }
 }
 
+// Photos go in repeated `images` fields; a single File is also accepted
+function toScanFormData(imageFiles, fields = {}) {
+  const formData = new FormData();
+  const files = Array.isArray(imageFiles) ? imageFiles : [imageFiles];
+  files.forEach(file => formData.append('images', file));
+  Object.entries(fields).forEach(([key, value]) => formData.append(key, value));
+  return formData;
+}
+
 /**
  * Upload an image and scan for books
- * @param {File} imageFile - The image file to upload
+ * @param {File|File[]} imageFiles - The photo(s) to upload; titles from several photos are merged
  * @returns {Promise} Response with scanId, scannedTitles, matches, and recommendations
  */
-export const uploadScan = async (imageFile) => {
-  const formData = new FormData();
-  formData.append('image', imageFile);
+export const uploadScan = async (imageFiles) => {
+  const formData = toScanFormData(imageFiles);
   
   // Use longer timeout for uploads (120 seconds) since recommendations can take time
   const response = await retryRequest(() => 
@@ -91,6 +115,124 @@ export const uploadScan = async (imageFile) => {
   return response.data;
 };
 
+/**
+ * Start an asynchronous scan job
+ * @param {File|File[]} imageFiles - The photo(s) to upload; titles from several photos are merged
+ * @param {Object} options - { review } stops after title extraction so titles can be corrected first,
+ *   { force } skips the photo quality check (rejected photos fail with code IMAGE_QUALITY)
+ * @returns {Promise} Response with scanId and jobId to follow with watchScanJob
+ */
+export const startScanJob = async (imageFiles, { review = false, force = false } = {}) => {
+  const formData = toScanFormData(imageFiles, {
+    ...(review ? { review: 'true' } : {}),
+    ...(force ? { force: 'true' } : {}),
+  });
+
+  // Not retried: a retried POST would start a second job for the same image
+  const response = await api.post('/upload/scan?async=true', formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+    },
+    timeout: 60000, // 60 seconds for the upload itself
+  });
+
+  return response.data;
+};
+
+/**
+ * Add photos to an existing scan as an asynchronous job
+ * @param {string} scanId - The scan ID
+ * @param {File|File[]} imageFiles - The photo(s) to add
+ * @param {Object} options - { force } skips the photo quality check
+ * @returns {Promise} Response with scanId and jobId to follow with watchScanJob
+ */
+export const addScanPhotos = async (scanId, imageFiles, { force = false } = {}) => {
+  const formData = toScanFormData(imageFiles, force ? { force: 'true' } : {});
+  const response = await api.post(`/scans/${scanId}/images?async=true`, formData, {
+    headers: {
+      'Content-Type': 'multipart/form-data',
+    },
+    timeout: 60000, // 60 seconds for the upload itself
+  });
+
+  return response.data;
+};
+
+/**
+ * Follow a scan job's Server-Sent Events until it finishes
+ * @param {string} jobId - The job ID returned by startScanJob
+ * @param {Object} options - { onProgress(event), signal } where signal is an AbortSignal
+ * @returns {Promise} Resolves with the scan result (same shape as uploadScan), rejects when the job fails
+ */
+export const watchScanJob = (jobId, { onProgress, signal } = {}) => new Promise((resolve, reject) => {
+  const source = new EventSource(`${API_BASE_URL}/scans/${jobId}/events`, { withCredentials: true });
+
+  const fail = (message, extra = {}) => {
+    source.close();
+    const error = new Error(message);
+    error.userMessage = message;
+    error.isScanJobError = true;
+    Object.assign(error, extra);
+    reject(error);
+  };
+
+  source.addEventListener('progress', (e) => {
+    if (onProgress) onProgress(JSON.parse(e.data));
+  });
+  source.addEventListener('done', (e) => {
+    source.close();
+    resolve(JSON.parse(e.data));
+  });
+  source.addEventListener('failed', (e) => {
+    const data = JSON.parse(e.data);
+    fail(data.error || 'Failed to scan image', { code: data.code, details: data.details });
+  });
+  // EventSource reconnects on its own after dropped connections; it only
+  // closes for good when the server rejects the stream (e.g. unknown job)
+  source.onerror = () => {
+    if (source.readyState === EventSource.CLOSED) {
+      fail('This scan is no longer available. Please upload the image again.', { jobNotFound: true });
+    }
+  };
+
+  if (signal) {
+    signal.addEventListener('abort', () => source.close());
+  }
+});
+
+/**
+ * Look up a corrected list of detected titles and regenerate recommendations
+ * @param {string} scanId - The scan ID
+ * @param {Array} candidates - [{ _id?, title, author? }] (_id keeps the original bounding box)
+ * @returns {Promise} Scan result (same shape as uploadScan)
+ */
+export const resolveScan = async (scanId, candidates) => {
+  const response = await api.post(`/scans/${scanId}/resolve`, { candidates }, {
+    timeout: 120000, // 120 seconds for lookups + recommendations
+  });
+  return response.data;
+};
+
+/**
+ * Get the signed-in user's past scans, newest first
+ * @param {Object} options - { limit, skip } for paging
+ * @returns {Promise} Object with scans (summaries with previewBooks), total, limit and skip
+ */
+export const getScans = async ({ limit = 20, skip = 0 } = {}) => {
+  const response = await api.get('/scans', { params: { limit, skip } });
+  return response.data;
+};
+
+/**
+ * Get a past scan's results without scanning again
+ * @param {string} scanId - The scan ID
+ * @returns {Promise} Scan result (same shape as uploadScan) plus createdAt
+ */
+export const getScan = async (scanId) => {
+  const response = await api.get(`/scans/${scanId}`);
+  return response.data;
+};
+
 /**
  * Get all books with optional filters
  * @param {Object} filters - Filter options (genre, series, author, year, limit, skip)
@@ -146,16 +288,25 @@ export const getRecommendationsFromTitles = async (titles) => {
 
 /**
  * Get filtered recommendations based on user-selected filters
- * @param {Object} filters - Filter options { authorPreference, languages, genres, limit }
+ * @param {Object} filters - Filter options { authorPreference, languages, genres, limit, scanId }
  * @returns {Promise} Object with recommendations array and applied filters
  */
 export const getFilteredRecommendations = async (filters) => {
-  // Use longer timeout for recommendation requests (90 seconds)
-  const response = await retryRequest(() =>
-    api.post('/books/recommendations/filtered', filters, {
-      timeout: 90000, // 90 seconds for recommendation generation
-    })
-  );
+  // Use longer timeout for recommendation requests (90 seconds). Not retried:
+  // every call is stored in the recommendation history
+  const response = await api.post('/books/recommendations/filtered', filters, {
+    timeout: 90000, // 90 seconds for recommendation generation
+  });
+  return response.data;
+};
+
+/**
+ * Get the signed-in user's past recommendations, newest first
+ * @param {Object} options - { limit, skip, strategy } (strategy: llm, metadata, metadata_fallback, scanned_titles or series)
+ * @returns {Promise} Object with recommendations (each with recommendation: { strategy, filters, scan, createdAt }) and total
+ */
+export const getRecommendationHistory = async ({ limit = 20, skip = 0, strategy } = {}) => {
+  const response = await api.get('/books/recommendations/history', { params: { limit, skip, strategy } });
   return response.data;
 };
 
@@ -168,6 +319,85 @@ export const getFilterOptions = async () => {
   return response.data;
 };
 
+/**
+ * Get the user's library with reading statuses, most recently added first
+ * @param {Object} options - { status } (want_to_read, reading, read, abandoned or none), { limit, skip }
+ * @returns {Promise} Object with books (each with reading and addedAt) and total
+ */
+export const getLibrary = async ({ status, limit = 50, skip = 0 } = {}) => {
+  const response = await api.get('/library', { params: { status, limit, skip } });
+  return response.data;
+};
+
+/**
+ * Set the reading status, rating or dates of a book in the library
+ * @param {string} bookId - The book ID
+ * @param {Object} update - { status, rating, startedAt, finishedAt } (null clears a field)
+ * @returns {Promise} The book's reading state { status, rating, startedAt, finishedAt }
+ */
+export const setReadingStatus = async (bookId, update) => {
+  const response = await api.put(`/library/${bookId}/reading`, update);
+  return response.data.reading;
+};
+
+/**
+ * Get an author's bibliography with the owned works marked
+ * @param {string} name - Author name
+ * @returns {Promise} Object with author, works, owned and total
+ */
+export const getAuthorWorks = async (name) => {
+  const response = await api.get(`/authors/${encodeURIComponent(name)}/works`);
+  return response.data;
+};
+
+/**
+ * Get the signed-in user
+ * @returns {Promise<Object|null>} User ({ _id, email, name, isGuest, likes, dislikes }) or null without a session
+ */
+export const getCurrentUser = async () => {
+  const response = await api.get('/auth/me');
+  return response.data.user;
+};
+
+/**
+ * Continue without an account. The guest can sign up later and keep their scans.
+ * @returns {Promise<Object>} Guest user
+ */
+export const startGuestSession = async () => {
+  const clientId = localStorage.getItem(LEGACY_CLIENT_ID_KEY) || undefined;
+  const response = await api.post('/auth/guest', { clientId });
+  if (clientId) localStorage.removeItem(LEGACY_CLIENT_ID_KEY);
+  return response.data.user;
+};
+
+/**
+ * Create an account; a guest's scans and library move to it
+ * @param {Object} credentials - { email, password, name }
+ * @returns {Promise<Object>} User
+ */
+export const signUp = async ({ email, password, name }) => {
+  const response = await api.post('/auth/signup', { email, password, name });
+  return response.data.user;
+};
+
+/**
+ * Log in; a guest's scans and library are merged into the account
+ * @param {Object} credentials - { email, password }
+ * @returns {Promise<Object>} User
+ */
+export const logIn = async ({ email, password }) => {
+  const response = await api.post('/auth/login', { email, password });
+  return response.data.user;
+};
+
+/**
+ * End the session
+ * @returns {Promise} Resolves once the session cookie is cleared
+ */
+export const logOut = async () => {
+  await api.post('/auth/logout');
+};
+
 /**
  * Check API health
  * @returns {Promise} Health status
@@ -0,0 +1,115 @@
+import { useState, useEffect } from 'react';
+import { logIn, signUp } from '../api';
+import './AuthForm.css';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Login and signup dialog. A guest who signs up or logs in keeps the
+ * scans and library they already have.
+ */
+function AuthForm({ mode: initialMode = 'login', isGuest = false, onClose, onAuthenticated }) {
+  const [mode, setMode] = useState(initialMode);
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [name, setName] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setMode(initialMode);
+  }, [initialMode]);
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [onClose]);
+
+  const isSignup = mode === 'signup';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isSignup && password.length < MIN_PASSWORD_LENGTH) {
+      setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      return;
+    }
+    setSubmitting(true);
+    setError(null);
+    try {
+      const user = isSignup
+        ? await signUp({ email, password, name: name.trim() || undefined })
+        : await logIn({ email, password });
+      onAuthenticated(user);
+    } catch (err) {
+      setError(err.userMessage || 'Something went wrong. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const switchMode = () => {
+    setMode(isSignup ? 'login' : 'signup');
+    setError(null);
+  };
+
+  return (
+    <div className="auth-form-backdrop" onClick={onClose}>
+      <form
+        className="auth-form"
+        role="dialog"
+        aria-modal="true"
+        aria-label={isSignup ? 'Sign up' : 'Log in'}
+        onClick={(e) => e.stopPropagation()}
+        onSubmit={handleSubmit}
+      >
+        <h2>{isSignup ? 'Create an account' : 'Log in'}</h2>
+        {isGuest && (
+          <p className="auth-form-hint">
+            Your scans and library so far will be kept in your account.
+          </p>
+        )}
+
+        {isSignup && (
+          <label className="auth-form-field">
+            Name <span className="auth-form-optional">(optional)</span>
+            <input type="text" value={name} onChange={(e) => setName(e.target.value)} autoComplete="name" maxLength={100} />
+          </label>
+        )}
+        <label className="auth-form-field">
+          Email
+          <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} autoComplete="email" required autoFocus />
+        </label>
+        <label className="auth-form-field">
+          Password
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete={isSignup ? 'new-password' : 'current-password'}
+            minLength={isSignup ? MIN_PASSWORD_LENGTH : undefined}
+            required
+          />
+        </label>
+
+        {error && <p className="auth-form-error" role="alert">{error}</p>}
+
+        <button type="submit" className="btn btn-primary auth-form-submit" disabled={submitting}>
+          {submitting ? 'Please wait…' : isSignup ? 'Sign up' : 'Log in'}
+        </button>
+
+        <p className="auth-form-switch">
+          {isSignup ? 'Already have an account?' : 'New here?'}{' '}
+          <button type="button" onClick={switchMode}>
+            {isSignup ? 'Log in' : 'Create an account'}
+          </button>
+        </p>
+      </form>
+    </div>
+  );
+}
+
+export default AuthForm;
@@ -0,0 +1,108 @@
+import { useState, useEffect } from 'react';
+import BookCard from './BookCard';
+import LoadingSpinner from './LoadingSpinner';
+import ErrorMessage from './ErrorMessage';
+import { getAuthorWorks } from '../api';
+import './AuthorPage.css';
+
+function AuthorPage({ name, onClose, onAuthorClick }) {
+  const [bibliography, setBibliography] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showMissingOnly, setShowMissingOnly] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    setBibliography(null);
+    setShowMissingOnly(false);
+    getAuthorWorks(name)
+      .then((data) => {
+        if (!cancelled) setBibliography(data);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.userMessage || err.response?.data?.error || 'Could not load this author\'s books.');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [name]);
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [onClose]);
+
+  const works = (bibliography?.works || []).filter((work) => !showMissingOnly || !work.owned);
+
+  return (
+    <div className="author-page-backdrop" onClick={onClose}>
+      <div className="author-page" role="dialog" aria-modal="true" aria-label={name} onClick={(e) => e.stopPropagation()}>
+        <div className="author-page-header">
+          <div>
+            <h2 className="section-title">{bibliography?.author || name}</h2>
+            {bibliography && (
+              <p className="author-page-summary">
+                You own {bibliography.owned} of {bibliography.total} {bibliography.total === 1 ? 'book' : 'books'}
+              </p>
+            )}
+          </div>
+          <button type="button" className="author-page-close" onClick={onClose} aria-label="Close">
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="18" y1="6" x2="6" y2="18" />
+              <line x1="6" y1="6" x2="18" y2="18" />
+            </svg>
+          </button>
+        </div>
+
+        {loading && (
+          <div className="author-page-loading">
+            <LoadingSpinner size="small" />
+          </div>
+        )}
+
+        {error && <ErrorMessage message={error} />}
+
+        {bibliography && bibliography.total > bibliography.owned && bibliography.owned > 0 && (
+          <label className="author-page-filter">
+            <input
+              type="checkbox"
+              checked={showMissingOnly}
+              onChange={(e) => setShowMissingOnly(e.target.checked)}
+            />
+            Only books I don't own
+          </label>
+        )}
+
+        {bibliography && works.length === 0 && (
+          <div className="empty-state">
+            <p>No books found.</p>
+          </div>
+        )}
+
+        {works.length > 0 && (
+          <div className="author-works">
+            {works.map((work, index) => (
+              <div key={work.book || work._id || `${work.title}-${index}`} className="author-work">
+                <span className={`author-work-badge ${work.owned ? 'owned' : 'missing'}`}>
+                  {work.owned ? 'Owned' : 'Not owned'}
+                </span>
+                <BookCard book={work} onAuthorClick={onAuthorClick} />
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AuthorPage;
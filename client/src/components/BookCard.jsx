@@ -1,8 +1,9 @@
 import { useState, useEffect } from 'react';
 import { generateAmazonLink, hasAmazonLink } from '../utils/amazonLinks';
+import ReadingStatus from './ReadingStatus';
 import './BookCard.css';
 
-function BookCard({ book, variant = 'grid' }) {
+function BookCard({ book, variant = 'grid', onAuthorClick, onReadingChange }) {
   const [isHovered, setIsHovered] = useState(false);
   const [showFullDescription, setShowFullDescription] = useState(false);
   
@@ -21,6 +22,25 @@ function BookCard({ book, variant = 'grid' }) {
   const amazonLink = generateAmazonLink(book);
   const showAmazonButton = hasAmazonLink(book);
 
+  // Author names link to the author page when a handler is given
+  const authorLinks = onAuthorClick
+    ? authors.map((author, index) => (
+        <span key={author}>
+          {index > 0 && ', '}
+          <button
+            type="button"
+            className="author-link"
+            onClick={(e) => {
+              e.stopPropagation();
+              onAuthorClick(author);
+            }}
+          >
+            {author}
+          </button>
+        </span>
+      ))
+    : authors.join(', ');
+
   return (
     <div 
       className={`book-card book-card-${variant}`}
@@ -48,7 +68,7 @@ function BookCard({ book, variant = 'grid' }) {
               <h3 className="hover-title">{book.title || 'Untitled'}</h3>
               
               {authors.length > 0 && (
-                <p className="hover-authors">by {authors.join(', ')}</p>
+                <p className="hover-authors">by {authorLinks}</p>
               )}
 
               {rating && (
@@ -141,7 +161,7 @@ function BookCard({ book, variant = 'grid' }) {
         
         {authors.length > 0 && (
           <p className="book-authors">
-            {authors.join(', ')}
+            {authorLinks}
           </p>
         )}
 
@@ -157,6 +177,14 @@ function BookCard({ book, variant = 'grid' }) {
           </p>
         )}
 
+        {/* Books in the user's library carry their reading status */}
+        {onReadingChange && book.reading && (
+          <ReadingStatus
+            reading={book.reading}
+            onChange={(update) => onReadingChange(book, update)}
+          />
+        )}
+
         {variant === 'grid' && (
           <>
             {rating && (
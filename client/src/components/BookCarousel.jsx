@@ -2,7 +2,7 @@ import { useRef, useState, useEffect } from 'react';
 import BookCard from './BookCard';
 import './BookCarousel.css';
 
-function BookCarousel({ books, title }) {
+function BookCarousel({ books, title, itemIdPrefix, highlightedId, onAuthorClick, onReadingChange }) {
   const [scrollPosition, setScrollPosition] = useState(0);
   const [showLeftArrow, setShowLeftArrow] = useState(false);
   const [showRightArrow, setShowRightArrow] = useState(true);
@@ -142,10 +142,11 @@ function BookCarousel({ books, title }) {
             {books.map((book, index) => (
               <div 
                 key={book._id || book.title || index} 
-                className="carousel-item"
+                id={itemIdPrefix && book._id ? `${itemIdPrefix}-${book._id}` : undefined}
+                className={`carousel-item ${highlightedId && String(book._id) === highlightedId ? 'highlighted' : ''}`}
                 style={{ animationDelay: `${index * 0.05}s` }}
               >
-                <BookCard book={book} variant="carousel" />
+                <BookCard book={book} variant="carousel" onAuthorClick={onAuthorClick} onReadingChange={onReadingChange} />
               </div>
             ))}
           </div>
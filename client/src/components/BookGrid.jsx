@@ -1,7 +1,7 @@
 import BookCard from './BookCard';
 import './BookGrid.css';
 
-function BookGrid({ books }) {
+function BookGrid({ books, onAuthorClick, onReadingChange }) {
   if (!books || books.length === 0) {
     return (
       <div className="empty-state">
@@ -13,7 +13,7 @@ function BookGrid({ books }) {
   return (
     <div className="book-grid">
       {books.map((book) => (
-        <BookCard key={book._id || book.title} book={book} />
+        <BookCard key={book._id || book.title} book={book} onAuthorClick={onAuthorClick} onReadingChange={onReadingChange} />
       ))}
     </div>
   );
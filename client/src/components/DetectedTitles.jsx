@@ -0,0 +1,196 @@
+import { useState, useEffect } from 'react';
+import './DetectedTitles.css';
+
+// Helper function to convert text to Title Case
+function toTitleCase(str) {
+  if (!str) return '';
+  return str.toLowerCase().replace(/\b\w/g, (char) => char.toUpperCase());
+}
+
+const STATUS_LABELS = {
+  pending: 'Not looked up yet',
+  matched: 'Matched',
+  low_confidence: 'Low confidence',
+  unmatched: 'Not found',
+};
+
+// Shared default so a result without candidates does not reset the rows on
+// every render
+const NO_CANDIDATES = [];
+
+const toRows = (candidates) => candidates.map(c => ({
+  _id: c._id,
+  title: c.title || '',
+  author: c.author || '',
+}));
+
+function DetectedTitles({ candidates = NO_CANDIDATES, scannedTitles = [], reviewing = false, resolving = false, onResolve }) {
+  const [editing, setEditing] = useState(reviewing);
+  const [rows, setRows] = useState(() => toRows(candidates));
+
+  // Start over whenever a new scan result arrives (candidates is a new array)
+  useEffect(() => {
+    setRows(toRows(candidates));
+    setEditing(reviewing);
+  }, [candidates, reviewing]);
+
+  const updateRow = (index, field, value) => {
+    setRows(prev => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  const removeRow = (index) => {
+    setRows(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const addRow = () => {
+    setRows(prev => [...prev, { _id: null, title: '', author: '' }]);
+  };
+
+  const handleCancel = () => {
+    setRows(toRows(candidates));
+    setEditing(false);
+  };
+
+  const handleResolve = () => {
+    const corrected = rows
+      .map(row => ({ ...row, title: row.title.trim(), author: row.author.trim() }))
+      .filter(row => row.title);
+    if (corrected.length > 0 && onResolve) {
+      onResolve(corrected);
+    }
+  };
+
+  const filledRows = rows.filter(row => row.title.trim()).length;
+  const canEdit = Boolean(onResolve);
+
+  // Older scans only carry matched titles
+  const showCandidates = candidates.length > 0 || reviewing;
+  const count = showCandidates ? candidates.length : scannedTitles.length;
+
+  return (
+    <section className="section detected-titles">
+      <div className="detected-titles-header">
+        <h2 className="section-title">
+          Detected Titles
+          <span className="title-count">({count})</span>
+        </h2>
+        {canEdit && showCandidates && !editing && (
+          <button className="btn btn-secondary" onClick={() => setEditing(true)} disabled={resolving}>
+            Edit Titles
+          </button>
+        )}
+      </div>
+
+      {editing ? (
+        <div className="detected-titles-editor">
+          <p className="detected-titles-hint">
+            {reviewing
+              ? 'Check the titles we read from your photo. Fix any mistakes, remove anything that is not a book, and add what we missed.'
+              : 'Correct the titles and authors, then look them up again.'}
+          </p>
+          <ul className="titles-editor-list">
+            {rows.map((row, index) => (
+              <li key={row._id || `new-${index}`} className="titles-editor-row">
+                <span className="title-number">{index + 1}</span>
+                <input
+                  type="text"
+                  className="titles-editor-input"
+                  value={row.title}
+                  placeholder="Title"
+                  aria-label={`Title ${index + 1}`}
+                  onChange={(e) => updateRow(index, 'title', e.target.value)}
+                  disabled={resolving}
+                />
+                <input
+                  type="text"
+                  className="titles-editor-input titles-editor-author"
+                  value={row.author}
+                  placeholder="Author (optional)"
+                  aria-label={`Author ${index + 1}`}
+                  onChange={(e) => updateRow(index, 'author', e.target.value)}
+                  disabled={resolving}
+                />
+                <button
+                  className="titles-editor-remove"
+                  onClick={() => removeRow(index)}
+                  disabled={resolving}
+                  aria-label={`Remove title ${index + 1}`}
+                >
+                  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <line x1="18" y1="6" x2="6" y2="18" />
+                    <line x1="6" y1="6" x2="18" y2="18" />
+                  </svg>
+                </button>
+              </li>
+            ))}
+          </ul>
+          <div className="titles-editor-actions">
+            <button className="btn btn-secondary" onClick={addRow} disabled={resolving}>
+              + Add Title
+            </button>
+            <div className="titles-editor-submit">
+              {!reviewing && (
+                <button className="btn btn-secondary" onClick={handleCancel} disabled={resolving}>
+                  Cancel
+                </button>
+              )}
+              <button className="btn btn-primary" onClick={handleResolve} disabled={resolving || filledRows === 0}>
+                {resolving ? (
+                  <>
+                    <span className="loading"></span>
+                    Looking up...
+                  </>
+                ) : (
+                  `Look Up ${filledRows} ${filledRows === 1 ? 'Title' : 'Titles'}`
+                )}
+              </button>
+            </div>
+          </div>
+        </div>
+      ) : (
+        <ul className="titles-list">
+          {showCandidates
+            ? candidates.map((candidate, index) => (
+              <li
+                key={candidate._id || index}
+                className="title-item"
+                style={{ animationDelay: `${index * 0.08}s` }}
+              >
+                <span className="title-number">{index + 1}</span>
+                <p className="title-text">
+                  {toTitleCase(candidate.title)}
+                  {candidate.author && <span className="title-author"> by {candidate.author}</span>}
+                </p>
+                {candidate.source === 'barcode' && (
+                  <span className="title-source">Barcode</span>
+                )}
+                {typeof candidate.confidence === 'number' && (
+                  <span className="title-confidence">{Math.round(candidate.confidence * 100)}%</span>
+                )}
+                <span
+                  className={`title-status title-status-${candidate.status || 'pending'}`}
+                  title={typeof candidate.matchScore === 'number'
+                    ? `Match score ${Math.round(candidate.matchScore * 100)}%`
+                    : STATUS_LABELS[candidate.status] || STATUS_LABELS.pending}
+                >
+                  {STATUS_LABELS[candidate.status] || STATUS_LABELS.pending}
+                </span>
+              </li>
+            ))
+            : scannedTitles.map((title, index) => (
+              <li
+                key={index}
+                className="title-item"
+                style={{ animationDelay: `${index * 0.08}s` }}
+              >
+                <span className="title-number">{index + 1}</span>
+                <p className="title-text">{toTitleCase(title)}</p>
+              </li>
+            ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+export default DetectedTitles;
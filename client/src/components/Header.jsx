@@ -1,6 +1,6 @@
 import './Header.css';
 
-function Header({ activeSection, onNavClick }) {
+function Header({ activeSection, onNavClick, user, onLogin, onSignup, onLogout }) {
   return (
     <header className="header">
       <div className="header-content">
@@ -27,7 +27,31 @@ function Header({ activeSection, onNavClick }) {
             >
               Library
             </button>
+            {user && (
+              <button
+                className={`nav-item ${activeSection === 'history' ? 'active' : ''}`}
+                onClick={() => onNavClick('history')}
+              >
+                History
+              </button>
+            )}
           </nav>
+          {user && (
+            <div className="header-account">
+              {user.isGuest ? (
+                <>
+                  <span className="account-name">Guest</span>
+                  <button className="account-button" onClick={onLogin}>Log in</button>
+                  <button className="account-button primary" onClick={onSignup}>Sign up</button>
+                </>
+              ) : (
+                <>
+                  <span className="account-name" title={user.email}>{user.name || user.email}</span>
+                  <button className="account-button" onClick={onLogout}>Log out</button>
+                </>
+              )}
+            </div>
+          )}
         </div>
       </div>
     </header>
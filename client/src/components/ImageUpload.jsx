@@ -1,10 +1,33 @@
 import { useState, useRef } from 'react';
 import './ImageUpload.css';
 
-function ImageUpload({ onUpload, disabled }) {
+// Labels for bounding box match states
+const DETECTION_LABELS = {
+  matched: 'Matched',
+  low_confidence: 'Low confidence',
+  unmatched: 'Not found',
+};
+
+// Matches the server's per-scan photo limit
+const MAX_PHOTOS = 6;
+
+let nextPhotoId = 0;
+
+// Read a file into a data URL for previewing
+const readPreview = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = (e) => resolve(e.target.result);
+  reader.onerror = reject;
+  reader.readAsDataURL(file);
+});
+
+function ImageUpload({ onUpload, onAddPhotos, canAddToScan = false, disabled, detections = [], onDetectionClick, qualityIssue }) {
   const [dragActive, setDragActive] = useState(false);
-  const [preview, setPreview] = useState(null);
-  const [selectedFile, setSelectedFile] = useState(null);
+  const [photos, setPhotos] = useState([]); // [{ id, file, preview }]
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [scannedFiles, setScannedFiles] = useState([]); // Photos in the current scan, in scan order
+  const [reviewTitles, setReviewTitles] = useState(false);
+  const lastActionRef = useRef('scan'); // What "Scan Anyway" repeats
   const fileInputRef = useRef(null);
 
   const handleDrag = (e) => {
@@ -22,65 +45,113 @@ function ImageUpload({ onUpload, disabled }) {
     e.stopPropagation();
     setDragActive(false);
 
-    if (e.dataTransfer.files && e.dataTransfer.files[0]) {
-      handleFile(e.dataTransfer.files[0]);
+    if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
+      handleFiles(e.dataTransfer.files);
     }
   };
 
   const handleChange = (e) => {
-    if (e.target.files && e.target.files[0]) {
-      handleFile(e.target.files[0]);
+    if (e.target.files && e.target.files.length > 0) {
+      handleFiles(e.target.files);
     }
+    // Allow picking the same file again after removing it
+    e.target.value = '';
   };
 
-  const handleFile = (file) => {
-    // Check file type
-    if (!file.type.startsWith('image/')) {
-      alert('Please upload an image file (JPG, PNG, etc.)');
-      return;
-    }
-
-    // Check file size (max 10MB)
+  const handleFiles = async (fileList) => {
     const maxSize = 10 * 1024 * 1024; // 10MB
-    if (file.size > maxSize) {
-      alert('Image file is too large. Please use an image smaller than 10MB.');
-      return;
+    const accepted = [];
+    for (const file of Array.from(fileList)) {
+      // Check file type (some browsers leave HEIC photos without a type)
+      if (!file.type.startsWith('image/') && !/\.(heic|heif)$/i.test(file.name)) {
+        alert(`${file.name} is not an image. Please upload image files (JPG, PNG, etc.)`);
+        continue;
+      }
+      // Check file size (max 10MB)
+      if (file.size > maxSize) {
+        alert(`${file.name} is too large. Please use images smaller than 10MB.`);
+        continue;
+      }
+      accepted.push(file);
     }
 
-    // Store the file
-    setSelectedFile(file);
+    const room = MAX_PHOTOS - photos.length;
+    if (accepted.length > room) {
+      alert(`You can scan up to ${MAX_PHOTOS} photos at a time.`);
+    }
 
-    // Create preview
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      setPreview(e.target.result);
-    };
-    reader.onerror = () => {
+    try {
+      const added = await Promise.all(
+        accepted.slice(0, Math.max(room, 0)).map(async (file) => ({ id: nextPhotoId++, file, preview: await readPreview(file) }))
+      );
+      if (added.length === 0) return;
+      setPhotos(prev => [...prev, ...added].slice(0, MAX_PHOTOS));
+      setActiveIndex(photos.length);
+    } catch {
       alert('Failed to read image file. Please try another image.');
-      setSelectedFile(null);
-      setPreview(null);
-    };
-    reader.readAsDataURL(file);
+    }
   };
 
   const handleClick = () => {
-    fileInputRef.current?.click();
+    if (photos.length < MAX_PHOTOS) {
+      fileInputRef.current?.click();
+    }
+  };
+
+  const startScan = (options = {}) => {
+    if (photos.length > 0) {
+      const files = photos.map(p => p.file);
+      lastActionRef.current = 'scan';
+      setScannedFiles(files);
+      onUpload(files, { review: reviewTitles, ...options });
+    }
+  };
+
+  // Photos picked since the last scan
+  const newFiles = photos.map(p => p.file).filter(file => !scannedFiles.includes(file));
+
+  const addToScan = async (options = {}) => {
+    if (newFiles.length > 0 && onAddPhotos) {
+      lastActionRef.current = 'add';
+      const added = await onAddPhotos(newFiles, options);
+      if (added) setScannedFiles(prev => [...prev, ...newFiles]);
+    }
   };
 
   const handleScanClick = (e) => {
     e.stopPropagation();
-    if (selectedFile) {
-      onUpload(selectedFile);
-    }
+    startScan();
   };
 
-  const handleRemoveImage = (e) => {
+  const handleAddClick = (e) => {
     e.stopPropagation();
-    setPreview(null);
-    setSelectedFile(null);
-    if (fileInputRef.current) {
-      fileInputRef.current.value = '';
-    }
+    addToScan();
+  };
+
+  // Skip the quality check and repeat what was rejected
+  const handleScanAnyway = (e) => {
+    e.stopPropagation();
+    if (lastActionRef.current === 'add') addToScan({ force: true });
+    else startScan({ force: true });
+  };
+
+  const handleRemoveImage = (e, index) => {
+    e.stopPropagation();
+    setPhotos(prev => prev.filter((_, i) => i !== index));
+    setActiveIndex(current => Math.max(0, current >= index ? current - 1 : current));
+  };
+
+  const activePhoto = photos[Math.min(activeIndex, photos.length - 1)];
+
+  // Only draw boxes over the photo they were detected in
+  const scanIndex = activePhoto ? scannedFiles.indexOf(activePhoto.file) : -1;
+  const boxes = scanIndex >= 0
+    ? detections.filter(d => d.bbox && (d.imageIndex ?? 0) === scanIndex)
+    : [];
+
+  const handleBoxClick = (e, detection) => {
+    e.stopPropagation();
+    if (onDetectionClick) onDetectionClick(detection);
   };
 
   return (
@@ -97,19 +168,37 @@ function ImageUpload({ onUpload, disabled }) {
           ref={fileInputRef}
           type="file"
           accept="image/*"
-          capture="environment"
+          multiple
           onChange={handleChange}
           disabled={disabled}
           style={{ display: 'none' }}
         />
         
-        {preview ? (
+        {activePhoto ? (
           <div className="preview-container">
             <div className="preview-image-wrapper">
-              <img src={preview} alt="Preview" className="preview-image" />
+              <div className="preview-stage">
+                <img src={activePhoto.preview} alt="Preview" className="preview-image" />
+                {boxes.map((detection, index) => (
+                  <button
+                    key={detection._id || index}
+                    type="button"
+                    className={`detection-box detection-${detection.status || 'unmatched'}`}
+                    style={{
+                      left: `${detection.bbox.x * 100}%`,
+                      top: `${detection.bbox.y * 100}%`,
+                      width: `${detection.bbox.w * 100}%`,
+                      height: `${detection.bbox.h * 100}%`,
+                    }}
+                    title={`${detection.title} (${DETECTION_LABELS[detection.status] || 'Not found'})`}
+                    aria-label={`${detection.title}: ${DETECTION_LABELS[detection.status] || 'Not found'}`}
+                    onClick={(e) => handleBoxClick(e, detection)}
+                  />
+                ))}
+              </div>
               <button
                 className="preview-remove-btn"
-                onClick={handleRemoveImage}
+                onClick={(e) => handleRemoveImage(e, photos.indexOf(activePhoto))}
                 disabled={disabled}
                 aria-label="Remove image"
               >
@@ -119,11 +208,81 @@ function ImageUpload({ onUpload, disabled }) {
                 </svg>
               </button>
             </div>
+            <div className="preview-thumbnails" onClick={(e) => e.stopPropagation()}>
+              {photos.map((photo, index) => (
+                <button
+                  key={photo.id}
+                  type="button"
+                  className={`preview-thumbnail ${photo === activePhoto ? 'active' : ''}`}
+                  onClick={() => setActiveIndex(index)}
+                  aria-label={`Show photo ${index + 1}`}
+                >
+                  <img src={photo.preview} alt={`Photo ${index + 1}`} />
+                  {scannedFiles.includes(photo.file) && <span className="preview-thumbnail-badge">Scanned</span>}
+                </button>
+              ))}
+              {photos.length < MAX_PHOTOS && (
+                <button
+                  type="button"
+                  className="preview-thumbnail preview-thumbnail-add"
+                  onClick={handleClick}
+                  disabled={disabled}
+                  aria-label="Add another photo"
+                >
+                  +
+                </button>
+              )}
+            </div>
+            {boxes.length > 0 && (
+              <div className="detection-legend">
+                {Object.entries(DETECTION_LABELS).map(([status, label]) => (
+                  <span key={status} className="detection-legend-item">
+                    <span className={`detection-swatch detection-${status}`}></span>
+                    {label}
+                  </span>
+                ))}
+              </div>
+            )}
+            <label className="review-toggle" onClick={(e) => e.stopPropagation()}>
+              <input
+                type="checkbox"
+                checked={reviewTitles}
+                onChange={(e) => setReviewTitles(e.target.checked)}
+                disabled={disabled}
+              />
+              Let me check the detected titles before looking them up
+            </label>
+            {qualityIssue && (
+              <div className="quality-warning" role="alert" onClick={(e) => e.stopPropagation()}>
+                <p className="quality-warning-title">These photos may not scan well</p>
+                <ul className="quality-warning-list">
+                  {(qualityIssue.details?.images || []).flatMap(image => image.issues.map(issue => (
+                    <li key={`${image.index}-${issue.type}`}>
+                      {photos.length > 1 && <span className="quality-warning-photo">{image.name || `Photo ${image.index + 1}`}: </span>}
+                      <strong>{issue.message}</strong> {issue.advice}
+                    </li>
+                  )))}
+                </ul>
+                <p className="quality-warning-hint">Retake the photo, or scan it anyway if the titles look readable to you.</p>
+                <button className="btn btn-secondary" onClick={handleScanAnyway} disabled={disabled}>
+                  Scan Anyway
+                </button>
+              </div>
+            )}
             <div className="preview-actions">
+              {canAddToScan && onAddPhotos && newFiles.length > 0 && (
+                <button
+                  className="btn btn-secondary"
+                  onClick={handleAddClick}
+                  disabled={disabled}
+                >
+                  Add {newFiles.length === 1 ? 'Photo' : 'Photos'} to This Scan
+                </button>
+              )}
               <button
                 className="btn btn-primary"
                 onClick={handleScanClick}
-                disabled={disabled || !selectedFile}
+                disabled={disabled || photos.length === 0}
               >
                 {disabled ? (
                   <>
@@ -151,9 +310,9 @@ function ImageUpload({ onUpload, disabled }) {
                 <line x1="12" y1="3" x2="12" y2="15" />
               </svg>
             </div>
-            <h3>Upload Bookshelf Image</h3>
+            <h3>Upload Bookshelf Photos</h3>
             <p>Tap to take a photo or select from gallery</p>
-            <p className="upload-hint">Supports JPG, PNG, and other image formats (max 10MB)</p>
+            <p className="upload-hint">Use several photos for a whole wall of shelves (up to {MAX_PHOTOS}). Supports JPG, PNG, WebP and HEIC (max 10MB each)</p>
           </div>
         )}
       </div>
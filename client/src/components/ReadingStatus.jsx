@@ -0,0 +1,65 @@
+import { useState } from 'react';
+import './ReadingStatus.css';
+
+const STATUS_OPTIONS = [
+  { value: '', label: 'No status' },
+  { value: 'want_to_read', label: 'Want to read' },
+  { value: 'reading', label: 'Reading' },
+  { value: 'read', label: 'Read' },
+  { value: 'abandoned', label: 'Abandoned' },
+];
+
+/**
+ * Reading status and rating of an owned book. Read books can be rated;
+ * liked ones weigh more in recommendations.
+ */
+function ReadingStatus({ reading, onChange }) {
+  const [saving, setSaving] = useState(false);
+  const status = reading?.status || '';
+  const rating = reading?.rating || 0;
+
+  const save = async (update) => {
+    setSaving(true);
+    try {
+      await onChange(update);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="reading-status" onClick={(e) => e.stopPropagation()}>
+      <select
+        className={`reading-status-select ${status}`}
+        value={status}
+        disabled={saving}
+        aria-label="Reading status"
+        onChange={(e) => save({ status: e.target.value || null })}
+      >
+        {STATUS_OPTIONS.map(({ value, label }) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+      {status === 'read' && (
+        <div className="reading-rating" role="group" aria-label="Your rating">
+          {[1, 2, 3, 4, 5].map((star) => (
+            <button
+              key={star}
+              type="button"
+              className={`reading-rating-star ${star <= rating ? 'filled' : ''}`}
+              disabled={saving}
+              aria-label={`${star} star${star === 1 ? '' : 's'}`}
+              aria-pressed={star === rating}
+              // Clicking the current rating clears it
+              onClick={() => save({ rating: star === rating ? null : star })}
+            >
+              {star <= rating ? '★' : '☆'}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ReadingStatus;
@@ -4,7 +4,7 @@ import LoadingSpinner from './LoadingSpinner';
 import ErrorMessage from './ErrorMessage';
 import './RecommendationFilters.css';
 
-function RecommendationFilters({ scannedBooks, onRecommendationsGenerated, alreadyRecommendedBooks = [] }) {
+function RecommendationFilters({ scannedBooks, scanId, onRecommendationsGenerated, alreadyRecommendedBooks = [] }) {
   const [filters, setFilters] = useState({
     authorPreference: 'negative',
     languages: [],
@@ -48,7 +48,7 @@ function RecommendationFilters({ scannedBooks, onRecommendationsGenerated, alrea
       
       scannedBooks.forEach(book => {
         if (book.language) languages.add(book.language);
-        (book.genre || book.categories || []).forEach(g => {
+        [...(book.genre || book.categories || []), ...(book.parentGenres || [])].forEach(g => {
           if (g) genres.add(g);
         });
       });
@@ -165,6 +165,7 @@ function RecommendationFilters({ scannedBooks, onRecommendationsGenerated, alrea
         useCache: true,
         scannedBookIds, // Pass scanned book IDs for author preference
         excludeTitles, // Pass already-recommended titles to exclude duplicates
+        scanId, // Stored with the recommendations so the scan can be reopened with them
       });
       
       // Recommendations are already in flattened format from backend
@@ -0,0 +1,148 @@
+import { useState, useEffect } from 'react';
+import LoadingSpinner from './LoadingSpinner';
+import ErrorMessage from './ErrorMessage';
+import { getScans } from '../api';
+import './ScanHistory.css';
+
+const PAGE_SIZE = 20;
+
+const STATUS_LABELS = {
+  processing: 'Still scanning',
+  review: 'Waiting for review',
+  failed: 'Failed',
+};
+
+function formatDate(value) {
+  return new Date(value).toLocaleString(undefined, {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+  });
+}
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+/**
+ * Timeline of the user's past scans. Opening one shows its stored books and
+ * recommendations without scanning the photos again.
+ */
+function ScanHistory({ currentScanId, onOpenScan, onClose }) {
+  const [scans, setScans] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadPage = async (skip) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await getScans({ limit: PAGE_SIZE, skip });
+      setScans((prev) => (skip === 0 ? data.scans : [...prev, ...data.scans]));
+      setTotal(data.total);
+    } catch (err) {
+      setError(err.userMessage || 'Could not load your scans.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadPage(0);
+  }, []);
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [onClose]);
+
+  return (
+    <div className="scan-history-backdrop" onClick={onClose}>
+      <div className="scan-history" role="dialog" aria-modal="true" aria-label="Scan history" onClick={(e) => e.stopPropagation()}>
+        <div className="scan-history-header">
+          <div>
+            <h2 className="section-title">Your Scans</h2>
+            {total > 0 && <p className="scan-history-summary">{plural(total, 'scan')}</p>}
+          </div>
+          <button type="button" className="scan-history-close" onClick={onClose} aria-label="Close">
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="18" y1="6" x2="6" y2="18" />
+              <line x1="6" y1="6" x2="18" y2="18" />
+            </svg>
+          </button>
+        </div>
+
+        {error && <ErrorMessage message={error} />}
+
+        {!loading && !error && scans.length === 0 && (
+          <div className="empty-state">
+            <p>No scans yet. Upload a photo of your bookshelf to get started.</p>
+          </div>
+        )}
+
+        <ol className="scan-timeline">
+          {scans.map((scan) => {
+            // Running scans are followed from the upload screen instead
+            const canOpen = scan.status !== 'processing' && scan.status !== 'failed';
+            return (
+              <li key={scan.scanId} className={`scan-entry ${scan.scanId === currentScanId ? 'current' : ''}`}>
+                <button
+                  type="button"
+                  className="scan-entry-button"
+                  onClick={() => onOpenScan(scan.scanId)}
+                  disabled={!canOpen}
+                >
+                  <div className="scan-entry-meta">
+                    <time dateTime={scan.createdAt}>{formatDate(scan.createdAt)}</time>
+                    {STATUS_LABELS[scan.status] && (
+                      <span className={`scan-entry-status ${scan.status}`}>{STATUS_LABELS[scan.status]}</span>
+                    )}
+                  </div>
+                  <p className="scan-entry-counts">
+                    {plural(scan.books, 'book')} · {plural(scan.recommendations, 'recommendation')}
+                    {scan.images > 1 && ` · ${scan.images} photos`}
+                  </p>
+                  {scan.error && <p className="scan-entry-error">{scan.error}</p>}
+                  {scan.previewBooks.length > 0 && (
+                    <div className="scan-entry-covers">
+                      {scan.previewBooks.map((book) => (
+                        book.thumbnail ? (
+                          <img key={book._id} src={book.thumbnail} alt={book.title} title={book.title} loading="lazy" />
+                        ) : (
+                          <span key={book._id} className="scan-entry-cover-placeholder" title={book.title}>
+                            {book.title}
+                          </span>
+                        )
+                      ))}
+                      {scan.books > scan.previewBooks.length && (
+                        <span className="scan-entry-more">+{scan.books - scan.previewBooks.length}</span>
+                      )}
+                    </div>
+                  )}
+                </button>
+              </li>
+            );
+          })}
+        </ol>
+
+        {loading && (
+          <div className="scan-history-loading">
+            <LoadingSpinner size="small" />
+          </div>
+        )}
+
+        {!loading && scans.length < total && (
+          <div className="scan-history-more">
+            <button type="button" className="btn btn-secondary" onClick={() => loadPage(scans.length)}>
+              Show older scans
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ScanHistory;
@@ -5,62 +5,55 @@ import { connectDB } from './config/db.js';
 import uploadRouter from './routes/upload.js';
 import booksRouter from './routes/books.js';
 import prefsRouter from './routes/prefs.js';
+import scansRouter from './routes/scans.js';
+import adminRouter from './routes/admin.js';
+import seriesRouter from './routes/series.js';
+import authorsRouter from './routes/authors.js';
+import libraryRouter from './routes/library.js';
+import authRouter from './routes/auth.js';
+import { authenticate } from './middleware/auth.js';
+import { isAllowedOrigin, checkRequestOrigin } from './middleware/origin.js';
+import { settleInterruptedScans } from './services/scanRunner.js';
 
 dotenv.config();
 const app = express();
 
-// CORS configuration - allow frontend URLs
-const allowedOrigins = [
-  'http://localhost:3000',
-  'http://localhost:5173', // Vite default port
-  process.env.FRONTEND_URL, // Production frontend URL
-].filter(Boolean); // Remove undefined values
-
+// CORS configuration - only the frontend may make credentialed requests
 app.use(cors({
   origin: function (origin, callback) {
     // Allow requests with no origin (mobile apps, Postman, etc.)
-    if (!origin) return callback(null, true);
-    
-    // Check if origin is in allowed list
-    if (allowedOrigins.indexOf(origin) !== -1) {
-      return callback(null, true);
-    }
-    
-    if (process.env.NODE_ENV === 'production') {
-     
-      if (origin && (origin.includes('.onrender.com') || origin.includes('render.com'))) {
-        return callback(null, true);
-      }
-      // Allow specific frontend URL if set (with or without trailing slash)
-      if (process.env.FRONTEND_URL) {
-        const frontendUrl = process.env.FRONTEND_URL.replace(/\/$/, ''); // Remove trailing slash
-        const originUrl = origin.replace(/\/$/, '');
-        if (originUrl === frontendUrl) {
-          return callback(null, true);
-        }
-      }
-     
-      console.warn(`CORS: Blocked origin: ${origin}`);
-      return callback(new Error('Not allowed by CORS'));
-    }
-    
-    // Allow all in development
-    callback(null, true);
+    if (!origin || isAllowedOrigin(origin)) return callback(null, true);
+
+    console.warn(`CORS: Blocked origin: ${origin}`);
+    return callback(new Error('Not allowed by CORS'));
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Admin-Token'],
 }));
 
 app.use(express.json({ limit: '10mb' }));
 app.use(express.static('public'));
 
-connectDB();
+// Scan jobs do not survive a restart
+connectDB().then(() => settleInterruptedScans().catch((e) => {
+  console.error('[Scan] Could not settle interrupted scans:', e.message);
+}));
 
 app.get('/api/health', (_req, res) => res.json({ ok: true }));
+// Refuse cross-site writes, then identify the requesting user (req.user) for
+// everything below
+app.use('/api', checkRequestOrigin);
+app.use('/api', authenticate);
+app.use('/api/auth', authRouter);
 app.use('/api/upload', uploadRouter);
 app.use('/api/books', booksRouter);
 app.use('/api/prefs', prefsRouter);
+app.use('/api/scans', scansRouter);
+app.use('/api/series', seriesRouter);
+app.use('/api/authors', authorsRouter);
+app.use('/api/library', libraryRouter);
+app.use('/api/admin', adminRouter);
 
 const port = process.env.PORT || 4000;
 app.listen(port, '0.0.0.0', () => {
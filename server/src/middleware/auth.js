@@ -0,0 +1,56 @@
+import { findSessionUser, sessionTtlMs } from '../services/auth.js';
+
+export const SESSION_COOKIE = 'sid';
+
+// The frontend is served from another origin in production, where the
+// session cookie has to be SameSite=None (and so Secure) to be sent along
+function cookieAttributes() {
+  const production = process.env.NODE_ENV === 'production';
+  const sameSite = process.env.SESSION_COOKIE_SAMESITE || (production ? 'None' : 'Lax');
+  return ['Path=/', 'HttpOnly', `SameSite=${sameSite}`, ...(production || sameSite.toLowerCase() === 'none' ? ['Secure'] : [])];
+}
+
+export function setSessionCookie(res, token) {
+  const maxAge = Math.floor(sessionTtlMs() / 1000);
+  res.append('Set-Cookie', [`${SESSION_COOKIE}=${token}`, `Max-Age=${maxAge}`, ...cookieAttributes()].join('; '));
+}
+
+export function clearSessionCookie(res) {
+  res.append('Set-Cookie', [`${SESSION_COOKIE}=`, 'Max-Age=0', ...cookieAttributes()].join('; '));
+}
+
+/**
+ * Session token from the cookie, or from an `Authorization: Bearer` header
+ * for clients that cannot keep cookies
+ */
+export function getSessionToken(req) {
+  const bearer = req.get('Authorization')?.match(/^Bearer\s+(\S+)$/i);
+  if (bearer) return bearer[1];
+  for (const pair of (req.headers.cookie || '').split(';')) {
+    const [name, ...value] = pair.trim().split('=');
+    if (name === SESSION_COOKIE) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+/**
+ * Set req.user from the session. Requests without a valid session (or
+ * without a database) get req.user = null and see an empty library; routes
+ * that need a user use requireUser.
+ */
+export async function authenticate(req, _res, next) {
+  req.user = null;
+  req.sessionToken = getSessionToken(req);
+  try {
+    req.user = await findSessionUser(req.sessionToken);
+  } catch (e) {
+    console.error('[Auth] Could not load session:', e.message);
+  }
+  next();
+}
+
+// Reject requests without a session (guests are fine)
+export function requireUser(req, res, next) {
+  if (!req.user) return res.status(401).json({ error: 'Sign in or continue as a guest first', code: 'UNAUTHENTICATED' });
+  next();
+}
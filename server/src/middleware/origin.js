@@ -0,0 +1,54 @@
+/**
+ * Request origins
+ * Which browser origins may call the API. The session cookie is sent on
+ * cross-site requests in production (SameSite=None), so only the frontend
+ * may read responses (CORS) or change anything (checked here).
+ *
+ * Configuration:
+ *   FRONTEND_URL - The production frontend origin
+ */
+
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+const trimSlash = (url) => url.replace(/\/$/, '');
+
+/**
+ * Whether a browser origin may make credentialed requests: exactly
+ * FRONTEND_URL in production, anything in development
+ */
+export function isAllowedOrigin(origin) {
+  if (process.env.NODE_ENV !== 'production') return true;
+  return Boolean(process.env.FRONTEND_URL) && trimSlash(origin) === trimSlash(process.env.FRONTEND_URL);
+}
+
+function isSameOrigin(req, origin) {
+  try {
+    return new URL(origin).host === req.get('host');
+  } catch {
+    return false;
+  }
+}
+
+function requestOrigin(req) {
+  if (req.headers.origin) return req.headers.origin;
+  try {
+    return req.headers.referer ? new URL(req.headers.referer).origin : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reject state-changing requests sent by a page on another site (CSRF).
+ * Requests without Origin or Referer come from outside a browser and are let
+ * through.
+ */
+export function checkRequestOrigin(req, res, next) {
+  if (SAFE_METHODS.has(req.method)) return next();
+  const origin = requestOrigin(req);
+  if (origin && !isAllowedOrigin(origin) && !isSameOrigin(req, origin)) {
+    console.warn(`[Origin] Blocked ${req.method} ${req.originalUrl} from ${origin}`);
+    return res.status(403).json({ error: 'Request origin not allowed', code: 'FORBIDDEN_ORIGIN' });
+  }
+  next();
+}
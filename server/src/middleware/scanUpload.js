@@ -0,0 +1,71 @@
+import multer from 'multer';
+import { detectImageFormat } from '../services/imagePreprocess.js';
+
+export const MAX_IMAGE_SIZE = 10 * 1024 * 1024; // 10MB per photo
+export const MAX_SCAN_IMAGES = Number(process.env.MAX_SCAN_IMAGES || 6);
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMAGE_SIZE,
+    files: MAX_SCAN_IMAGES,
+  }
+});
+
+// Accepts a single `image` field (older clients) and/or several `images`
+const parseImages = upload.fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'images', maxCount: MAX_SCAN_IMAGES },
+]);
+
+/**
+ * Parse scan photos from a multipart request. Rejects oversized uploads
+ * with a JSON error instead of the default HTML error page, and files whose
+ * bytes are not an image whatever MIME type they claim.
+ */
+export function scanImagesUpload(req, res, next) {
+  parseImages(req, res, (err) => {
+    if (!err) {
+      const invalid = getScanImages(req).find((file) => !detectImageFormat(file.buffer));
+      if (invalid) {
+        console.log(`[Upload] Rejected ${invalid.originalname || 'file'}: claimed ${invalid.mimetype} but is not an image`);
+        return res.status(415).json({
+          error: `${invalid.originalname || 'This file'} is not a supported image. Please upload a JPG, PNG, WebP or HEIC photo.`,
+          code: 'INVALID_IMAGE',
+        });
+      }
+      return next();
+    }
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: 'Image file is too large. Maximum size is 10MB.' });
+    }
+    if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({ error: `Upload at most ${MAX_SCAN_IMAGES} photos per scan.` });
+    }
+    next(err);
+  });
+}
+
+/**
+ * Uploaded photos in the order they were sent
+ * @returns {Array} Multer files ({ buffer, mimetype, originalname, size })
+ */
+export function getScanImages(req) {
+  return [...(req.files?.image || []), ...(req.files?.images || [])];
+}
+
+// Asynchronous scans return a job ID immediately and stream progress
+// from GET /api/scans/:id/events instead of holding the request open
+export function wantsAsyncScan(req) {
+  return String(req.query.async || req.body?.async || '').toLowerCase() === 'true';
+}
+
+// Review scans stop after extraction; finish them with POST /api/scans/:id/resolve
+export function wantsReview(req) {
+  return String(req.query.review || req.body?.review || '').toLowerCase() === 'true';
+}
+
+// "Scan anyway": skip the photo quality check
+export function wantsForcedScan(req) {
+  return String(req.query.force || req.body?.force || '').toLowerCase() === 'true';
+}
@@ -5,12 +5,19 @@ const bookSchema = new mongoose.Schema(
     title: { type: String, required: true, index: true },
     authors: [String],
     categories: [String],
-    genre: [String], // Specific genre tags
+    genre: [String], // Most specific taxonomy genres (see genreTaxonomy)
+    parentGenres: [String], // Broader taxonomy genres above them
+    subjects: [String], // Open Library subject headings
+    subjectPlaces: [String], // Settings, from the Open Library work
+    subjectPeople: [String], // Characters and real people, from the Open Library work
     description: String,
+    firstSentence: String,
     series: {
       name: String,
       number: Number, // Book number in series
+      confidence: Number, // 0-1, from series detection
     },
+    seriesRef: { type: mongoose.Schema.Types.ObjectId, ref: 'Series', index: true },
     publicationYear: Number,
     pageCount: Number,
     publisher: String,
@@ -56,6 +63,10 @@ const bookSchema = new mongoose.Schema(
     },
     embedding: { type: [Number], index: false },
     source: { type: String, default: 'googlebooks' }, // Changed default to googlebooks
+    openLibraryWorkKey: String, // e.g. "/works/OL45804W"
+    work: { type: mongoose.Schema.Types.ObjectId, ref: 'Work', index: true }, // Editions of the same work share this
+    sources: [String], // Every provider that contributed to this record
+    provenance: { type: Map, of: String }, // Field name -> provider it was taken from
   },
   { timestamps: true }
 );
@@ -64,6 +75,7 @@ const bookSchema = new mongoose.Schema(
 bookSchema.index({ title: 1, authors: 1 });
 bookSchema.index({ 'series.name': 1 });
 bookSchema.index({ genre: 1 });
+bookSchema.index({ parentGenres: 1 });
 bookSchema.index({ publicationYear: 1 });
 
 export default mongoose.model('Book', bookSchema);
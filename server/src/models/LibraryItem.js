@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+// Where the user is with an owned book. Unset means the user has not said.
+export const READING_STATUSES = ['want_to_read', 'reading', 'read', 'abandoned'];
+
+// A book in a user's library. Books are a shared catalog; ownership lives here.
+const libraryItemSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    book: { type: mongoose.Schema.Types.ObjectId, ref: 'Book', required: true },
+    work: { type: mongoose.Schema.Types.ObjectId, ref: 'Work' }, // Copied from the book for owned-work checks
+    source: { type: String, enum: ['scan', 'manual'], default: 'scan' },
+    scans: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Scan' }], // Scans the book was found in
+    readingStatus: { type: String, enum: READING_STATUSES },
+    rating: { type: Number, min: 1, max: 5 }, // The user's own rating; 4 and up counts as liked
+    startedAt: Date,
+    finishedAt: Date, // When the book was finished or given up on
+  },
+  { timestamps: true }
+);
+
+libraryItemSchema.index({ userId: 1, book: 1 }, { unique: true });
+libraryItemSchema.index({ userId: 1, createdAt: -1 });
+libraryItemSchema.index({ userId: 1, readingStatus: 1 });
+
+export default mongoose.model('LibraryItem', libraryItemSchema);
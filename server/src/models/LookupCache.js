@@ -0,0 +1,17 @@
+import mongoose from 'mongoose';
+
+// Metadata provider responses keyed by normalized query, expired by MongoDB
+const lookupCacheSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true }, // provider + normalized query + options
+    provider: String, // e.g. 'google', 'openlibrary', 'openlibrary-isbn'
+    results: mongoose.Schema.Types.Mixed,
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+// TTL index: MongoDB deletes entries shortly after expiresAt
+lookupCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('LookupCache', lookupCacheSchema);
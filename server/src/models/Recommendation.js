@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+// How a recommendation was produced: the scan pipeline's strategies (see
+// scanPipeline.js), missing series volumes, or the filtered LLM recommender
+export const RECOMMENDATION_STRATEGIES = ['llm', 'metadata', 'metadata_fallback', 'scanned_titles', 'series'];
+
+const filtersSchema = new mongoose.Schema(
+  {
+    authorPreference: String,
+    languages: [String],
+    genres: [String],
+  },
+  { _id: false }
+);
+
+const recommendationSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    scan: { type: mongoose.Schema.Types.ObjectId, ref: 'Scan', index: true }, // Scan the suggestion was made for
+    // Most recommendations are a stored Book; LLM suggestions that could not
+    // be looked up only have a title and authors
+    book: { type: mongoose.Schema.Types.ObjectId, ref: 'Book' },
+    title: String,
+    authors: [String],
+    reason: String,
+    confidence: Number,
+    scoreBreakdown: { language: Number, genre: Number, author: Number, other: Number },
+    strategy: { type: String, enum: RECOMMENDATION_STRATEGIES, required: true },
+    // Filters the user chose (POST /api/books/recommendations/filtered);
+    // unset for the recommendations made by the scan itself
+    filters: { type: filtersSchema, default: undefined },
+    seriesGap: mongoose.Schema.Types.Mixed, // Series recommendations only (see seriesRecommend.js)
+    rank: Number, // Position in the list it was shown in
+  },
+  { timestamps: true }
+);
+
+recommendationSchema.index({ userId: 1, createdAt: -1 });
+recommendationSchema.index({ strategy: 1, createdAt: -1 });
+
+export default mongoose.model('Recommendation', recommendationSchema);
@@ -4,11 +4,56 @@ const scanSchema = new mongoose.Schema(
   {
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     detectedText: [String],
+    // Photos that make up this scan, in upload order
+    images: [
+      {
+        originalName: String,
+        mimeType: String,
+        size: Number,
+        w: Number,
+        h: Number,
+        candidates: Number, // Titles detected in this photo before merging
+        imageHash: String, // SHA-256 of the normalized photo (vision cache key)
+        addedAt: { type: Date, default: Date.now },
+      },
+    ],
+    // Every title detected across the scan's photos, with its normalized bounding box
+    candidates: [
+      {
+        title: String,
+        author: String,
+        isbn: String,
+        confidence: Number,
+        bbox: { x: Number, y: Number, w: Number, h: Number }, // Fractions (0-1) of image size
+        imageIndex: Number, // Photo the bounding box refers to
+        imageIndexes: [Number], // Every photo the title was detected in
+        source: { type: String, enum: ['vision', 'barcode', 'manual'] }, // How the candidate was found
+        status: { type: String, enum: ['pending', 'matched', 'unmatched', 'low_confidence'] },
+        matchScore: Number, // How well the looked-up book matches the detected title (0-1)
+        book: { type: mongoose.Schema.Types.ObjectId, ref: 'Book' },
+      },
+    ],
     matchedBooks: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Book' }],
+    // Recommendation stats, kept so a past scan can be reopened without
+    // running the pipeline again (the recommendations are Recommendation records)
+    stats: {
+      method: String, // llm, metadata, metadata_fallback or scanned_titles
+      totalRequested: Number,
+      totalFound: Number,
+      totalReturned: Number,
+      hasLowConfidence: Boolean,
+    },
     imageMeta: { w: Number, h: Number },
+    // 'processing' while an asynchronous scan job is running,
+    // 'review' while detected titles wait for the user to confirm them
+    status: { type: String, enum: ['processing', 'review', 'complete', 'failed'], default: 'complete' },
+    error: String,
   },
   { timestamps: true }
 );
 
+// Scan history, newest first
+scanSchema.index({ userId: 1, createdAt: -1 });
+
 export default mongoose.model('Scan', scanSchema);
 
@@ -0,0 +1,14 @@
+import mongoose from 'mongoose';
+
+// A book series; its volumes are the Books that point to it via `seriesRef`
+const seriesSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true }, // normalized name (see seriesKey)
+    name: { type: String, required: true },
+    authors: [String],
+    sources: [String], // Detectors that identified the series, e.g. 'metadata', 'title', 'llm'
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model('Series', seriesSchema);
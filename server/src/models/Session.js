@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+// A signed-in browser or API client. Only a hash of the token is stored.
+const sessionSchema = new mongoose.Schema(
+  {
+    tokenHash: { type: String, required: true, unique: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    userAgent: String,
+    lastUsedAt: Date,
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+// MongoDB removes sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('Session', sessionSchema);
@@ -2,7 +2,11 @@ import mongoose from 'mongoose';
 
 const userSchema = new mongoose.Schema(
   {
-    email: { type: String, unique: true },
+    // Guests have no email or password until they sign up; their scans and
+    // library stay with the same user when they do
+    email: { type: String, unique: true, sparse: true, lowercase: true, trim: true },
+    passwordHash: { type: String, select: false }, // scrypt (see services/auth.js)
+    clientId: { type: String, unique: true, sparse: true }, // Anonymous browser ID from before sign-in existed
     name: String,
     likes: [String],
     dislikes: [String],
@@ -11,4 +15,3 @@ const userSchema = new mongoose.Schema(
 );
 
 export default mongoose.model('User', userSchema);
-
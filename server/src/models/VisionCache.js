@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+
+// Candidates extracted from an image, so retrying the same photo does not
+// repeat the paid vision call
+const visionCacheSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true }, // imageHash + provider + model + promptVersion + variant
+    imageHash: { type: String, required: true, index: true }, // SHA-256 of the image sent to the provider
+    provider: String,
+    model: String,
+    promptVersion: String,
+    variant: String, // e.g. whole image or tile layout
+    items: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    hits: { type: Number, default: 0 },
+    lastHitAt: Date,
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model('VisionCache', visionCacheSchema);
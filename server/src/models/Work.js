@@ -0,0 +1,15 @@
+import mongoose from 'mongoose';
+
+// A book as a creative work; each Book document is one edition of it
+// (paperback, hardcover, translation, ...)
+const workSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true }, // normalized title + first author surname
+    title: { type: String, required: true },
+    authors: [String],
+    openLibraryWorkKey: { type: String, index: true }, // e.g. "/works/OL45804W"
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model('Work', workSchema);
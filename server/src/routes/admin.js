@@ -0,0 +1,68 @@
+import { Router } from 'express';
+import crypto from 'crypto';
+import { invalidateScanCache, getScanCacheSummary } from '../services/scanCache.js';
+import { getRecommendationStats } from '../services/recommendationHistory.js';
+
+const router = Router();
+
+const CACHE_TYPES = ['vision', 'lookup', 'all'];
+
+// Admin routes need ADMIN_TOKEN in the X-Admin-Token header and are
+// disabled entirely when ADMIN_TOKEN is not set
+function requireAdmin(req, res, next) {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) return res.status(404).json({ error: 'Not found' });
+  const given = Buffer.from(String(req.get('x-admin-token') || ''));
+  const wanted = Buffer.from(expected);
+  if (given.length !== wanted.length || !crypto.timingSafeEqual(given, wanted)) {
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+  next();
+}
+
+router.use(requireAdmin);
+
+router.get('/cache', async (_req, res) => {
+  try {
+    res.json({ entries: await getScanCacheSummary() });
+  } catch (e) {
+    console.error('[Admin] Cache summary failed:', e.message);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// DELETE /api/admin/cache?type=vision|lookup|all&imageHash=<sha256>
+// (a photo's imageHash is listed in the scan's images)
+router.delete('/cache', async (req, res) => {
+  const type = String(req.query.type || 'all');
+  if (!CACHE_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type must be one of ${CACHE_TYPES.join(', ')}` });
+  }
+  const imageHash = req.query.imageHash ? String(req.query.imageHash).toLowerCase() : undefined;
+  if (imageHash && !/^[0-9a-f]{64}$/.test(imageHash)) {
+    return res.status(400).json({ error: 'imageHash must be a SHA-256 hex digest' });
+  }
+  try {
+    res.json({ deleted: await invalidateScanCache({ type, imageHash }) });
+  } catch (e) {
+    console.error('[Admin] Cache invalidation failed:', e.message);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Recommendations made per strategy: GET /api/admin/recommendations?days=30
+router.get('/recommendations', async (req, res) => {
+  const days = Number(req.query.days);
+  if (req.query.days !== undefined && !(days > 0)) {
+    return res.status(400).json({ error: 'days must be a positive number' });
+  }
+  try {
+    const since = days > 0 ? new Date(Date.now() - days * 24 * 3600 * 1000) : undefined;
+    res.json({ strategies: await getRecommendationStats({ since }) });
+  } catch (e) {
+    console.error('[Admin] Recommendation stats failed:', e.message);
+    res.status(500).json({ error: e.message });
+  }
+});
+
+export default router;
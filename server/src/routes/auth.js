@@ -0,0 +1,75 @@
+import { Router } from 'express';
+import {
+  AuthError, signUp, logIn, findOrCreateGuest, createSession, deleteSession, isGuest, toPublicUser,
+} from '../services/auth.js';
+import { setSessionCookie, clearSessionCookie } from '../middleware/auth.js';
+
+const router = Router();
+
+// Start a session and send the user back; the token is also in the body for
+// clients that send it as a bearer token instead of a cookie
+async function startSession(req, res, user, status = 200) {
+  const { token, expiresAt } = await createSession(user._id, { userAgent: req.get('User-Agent') });
+  setSessionCookie(res, token);
+  res.status(status).json({ user: toPublicUser(user), token, expiresAt });
+}
+
+function sendError(res, e, fallback) {
+  if (e instanceof AuthError) return res.status(e.status).json({ error: e.message, code: e.code });
+  console.error(e);
+  res.status(500).json({ error: fallback, details: e.message });
+}
+
+router.get('/me', (req, res) => {
+  res.json({ user: toPublicUser(req.user) });
+});
+
+// Continue without an account. Send { clientId } to get back the library of
+// a browser that used the app before accounts existed.
+router.post('/guest', async (req, res) => {
+  if (req.user) return res.json({ user: toPublicUser(req.user) });
+  try {
+    const guest = await findOrCreateGuest({ clientId: req.body?.clientId });
+    await startSession(req, res, guest, 201);
+  } catch (e) {
+    sendError(res, e, 'failed to start guest session');
+  }
+});
+
+// A guest signing up keeps their scans and library
+router.post('/signup', async (req, res) => {
+  if (req.user && !isGuest(req.user)) {
+    return res.status(409).json({ error: 'Already signed in', code: 'ALREADY_SIGNED_IN' });
+  }
+  try {
+    const user = await signUp(req.body || {}, req.user);
+    // Replace the guest session so an old token cannot act as the account
+    await deleteSession(req.sessionToken);
+    await startSession(req, res, user, 201);
+  } catch (e) {
+    sendError(res, e, 'failed to sign up');
+  }
+});
+
+// A guest logging in brings their scans and library into the account
+router.post('/login', async (req, res) => {
+  try {
+    const user = await logIn(req.body || {}, isGuest(req.user) ? req.user : null);
+    await deleteSession(req.sessionToken);
+    await startSession(req, res, user);
+  } catch (e) {
+    sendError(res, e, 'failed to log in');
+  }
+});
+
+router.post('/logout', async (req, res) => {
+  try {
+    await deleteSession(req.sessionToken);
+  } catch (e) {
+    console.error('[Auth] Could not delete session:', e.message);
+  }
+  clearSessionCookie(res);
+  res.json({ ok: true });
+});
+
+export default router;
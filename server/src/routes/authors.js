@@ -0,0 +1,21 @@
+import { Router } from 'express';
+import { getAuthorBibliography } from '../services/authors.js';
+
+const router = Router();
+
+// An author's works across all metadata providers, with the owned ones marked
+router.get('/:name/works', async (req, res) => {
+  const name = String(req.params.name || '').trim();
+  if (!name || name.length > 200) {
+    return res.status(400).json({ error: 'Invalid author name' });
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 40, 1), 100);
+  try {
+    res.json(await getAuthorBibliography(name, { limit, userId: req.user?._id }));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'failed to fetch author works', details: e.message });
+  }
+});
+
+export default router;
@@ -4,6 +4,11 @@ import { buildRecQueryFromPrefs } from '../services/agents.js';
 import { recommendByQueryEmbedding, recommendFromScannedTitles, recommendWithLLM, recommendWithLLMAndFilters, getAvailableFilterOptions } from '../services/recommend.js';
 import { filterBooks, getContentFilterSettings } from '../services/contentFilter.js';
 import Book from '../models/Book.js';
+import Scan from '../models/Scan.js';
+import { getLibraryBooks, getOwnedBookIds, getReadingStatuses } from '../services/library.js';
+import { saveFilteredRecommendations, getRecommendationHistory } from '../services/recommendationHistory.js';
+import { RECOMMENDATION_STRATEGIES } from '../models/Recommendation.js';
+import { requireUser } from '../middleware/auth.js';
 
 const { Types } = mongoose;
 
@@ -15,7 +20,8 @@ router.get('/recommendations', async (req, res) => {
     const likes = String(req.query.likes || '').split(',').filter(Boolean);
     const dislikes = String(req.query.dislikes || '').split(',').filter(Boolean);
     const emb = await buildRecQueryFromPrefs({ likes, dislikes });
-    const recs = await recommendByQueryEmbedding(emb, { limit: 12 });
+    const owned = await getOwnedBookIds(req.user?._id);
+    const recs = await recommendByQueryEmbedding(emb, { limit: 12, excludeIds: [...owned] });
     res.json(recs);
   } catch (e) {
     console.error(e);
@@ -41,15 +47,16 @@ router.post('/recommendations/from-titles', async (req, res) => {
 // Get LLM-based recommendations with explanations 
 router.get('/recommendations/llm', async (req, res) => {
   try {
-    // Get all books from database (scanned books)
-    const books = await Book.find({}).limit(50).sort({ createdAt: -1 });
+    // The user's most recently added books
+    const books = await getLibraryBooks(req.user?._id, { limit: 50, embeddings: true });
     
     if (!books || books.length === 0) {
       return res.json({ recommendations: [] });
     }
 
     const limit = parseInt(req.query.limit) || 5;
-    const recommendations = await recommendWithLLM(books, { limit });
+    const readingStatuses = await getReadingStatuses(req.user?._id, books.map(b => b._id));
+    const recommendations = await recommendWithLLM(books, { limit, readingStatuses });
     
     res.json({ recommendations });
   } catch (e) {
@@ -69,6 +76,7 @@ router.post('/recommendations/filtered', async (req, res) => {
       useCache = true,
       scannedBookIds = [], // IDs of books from the current scan
       excludeTitles = [], // Titles of already recommended books to exclude
+      scanId, // Scan the recommendations are for, stored with them
     } = req.body;
 
     // Validate filters
@@ -80,7 +88,7 @@ router.post('/recommendations/filtered', async (req, res) => {
       return res.status(400).json({ error: 'authorPreference must be positive, negative, or neutral' });
     }
 
-    // Use scanned book IDs if provided, otherwise fall back to all books 
+    // Use scanned book IDs if provided, otherwise fall back to the user's library
     let books;
     if (scannedBookIds && scannedBookIds.length > 0) {
       // Convert string IDs to ObjectIds 
@@ -92,12 +100,12 @@ router.post('/recommendations/filtered', async (req, res) => {
         // Use only the scanned books for preference analysis
         books = await Book.find({ _id: { $in: validIds } });
       } else {
-        // If IDs are invalid, fall back to all books
-        books = await Book.find({}).limit(50).sort({ createdAt: -1 });
+        // If IDs are invalid, fall back to the user's library
+        books = await getLibraryBooks(req.user?._id, { limit: 50, embeddings: true });
       }
     } else {
-      // Fallback: use all books from database (scanned books)
-      books = await Book.find({}).limit(50).sort({ createdAt: -1 });
+      // Fallback: the user's most recently added books
+      books = await getLibraryBooks(req.user?._id, { limit: 50, embeddings: true });
     }
     
     if (!books || books.length === 0) {
@@ -111,10 +119,22 @@ router.post('/recommendations/filtered', async (req, res) => {
       useCache,
     };
 
+    // Read-and-liked books weigh more than unread or abandoned ones
+    const readingStatuses = await getReadingStatuses(req.user?._id, books.map(b => b._id));
     const recommendations = await recommendWithLLMAndFilters(books, filters, { 
       limit,
       excludeTitles: Array.isArray(excludeTitles) ? excludeTitles : [],
+      readingStatuses,
     });
+
+    try {
+      // Only the user's own scan can be named; its history lists these records
+      const scan = req.user && scanId && Types.ObjectId.isValid(scanId) ? await Scan.findById(scanId).select('userId') : null;
+      const ownScan = Boolean(scan?.userId) && String(scan.userId) === String(req.user._id);
+      await saveFilteredRecommendations(recommendations, { userId: req.user?._id, scanId: ownScan ? scan._id : null, filters });
+    } catch (saveError) {
+      console.error('[Books] Could not store filtered recommendations:', saveError.message);
+    }
     
     res.json({
       recommendations,
@@ -127,10 +147,28 @@ router.post('/recommendations/filtered', async (req, res) => {
   }
 });
 
-// Get available filter options from scanned books
+// The requesting user's past recommendations, newest first.
+// Query: limit (1-100, default 20), skip, strategy
+router.get('/recommendations/history', requireUser, async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+  const skip = Math.max(parseInt(req.query.skip) || 0, 0);
+  const strategy = req.query.strategy ? String(req.query.strategy) : undefined;
+  if (strategy && !RECOMMENDATION_STRATEGIES.includes(strategy)) {
+    return res.status(400).json({ error: `strategy must be one of ${RECOMMENDATION_STRATEGIES.join(', ')}` });
+  }
+  try {
+    const { recommendations, total } = await getRecommendationHistory(req.user._id, { limit, skip, strategy });
+    res.json({ recommendations, total, limit, skip });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'failed to fetch recommendation history', details: e.message });
+  }
+});
+
+// Get available filter options from the user's library
 router.get('/filter-options', async (req, res) => {
   try {
-    const books = await Book.find({}).limit(50).sort({ createdAt: -1 });
+    const books = await getLibraryBooks(req.user?._id, { limit: 50, lean: true });
     const options = getAvailableFilterOptions(books);
     res.json(options);
   } catch (e) {
@@ -139,21 +177,23 @@ router.get('/filter-options', async (req, res) => {
   }
 });
 
-// Get all books with full metadata
+// Get the books in the user's library with full metadata
 router.get('/', async (req, res) => {
   try {
     const { limit = 50, skip = 0, genre, series, author, year } = req.query;
     const query = {};
     
-    if (genre) query.genre = { $in: [genre] };
+    // A broad genre such as "Fiction" also finds books filed under its subgenres
+    if (genre) query.$or = [{ genre }, { parentGenres: genre }];
     if (series) query['series.name'] = { $regex: new RegExp(series, 'i') };
     if (author) query.authors = { $in: [new RegExp(author, 'i')] };
     if (year) query.publicationYear = parseInt(year);
     
-    const books = await Book.find(query)
-      .limit(parseInt(limit))
-      .skip(parseInt(skip))
-      .sort({ createdAt: -1 });
+    const books = await getLibraryBooks(req.user?._id, {
+      query,
+      limit: parseInt(limit),
+      skip: parseInt(skip),
+    });
     
     // Apply content filtering
     const filterSettings = getContentFilterSettings();
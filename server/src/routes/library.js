@@ -0,0 +1,53 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import { requireUser } from '../middleware/auth.js';
+import { getLibraryItems, parseReadingUpdate, setReadingStatus } from '../services/library.js';
+import { READING_STATUSES } from '../models/LibraryItem.js';
+
+const { Types } = mongoose;
+
+const router = Router();
+
+router.use(requireUser);
+
+// The user's books with their reading status, most recently added first.
+// Query: status (a reading status, or none), limit (1-100, default 50), skip
+router.get('/', async (req, res) => {
+  const status = req.query.status ? String(req.query.status) : undefined;
+  if (status && status !== 'none' && !READING_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${[...READING_STATUSES, 'none'].join(', ')}` });
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+  const skip = Math.max(parseInt(req.query.skip) || 0, 0);
+  try {
+    const { books, total } = await getLibraryItems(req.user._id, { status, limit, skip });
+    res.json({ books, total, limit, skip });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'failed to fetch library', details: e.message });
+  }
+});
+
+// Set the reading status, rating or dates of a book in the library.
+// Body: { status?, rating?, startedAt?, finishedAt? } (null clears a field)
+router.put('/:bookId/reading', async (req, res) => {
+  if (!Types.ObjectId.isValid(req.params.bookId)) {
+    return res.status(400).json({ error: 'Invalid book id' });
+  }
+  const { changes, error } = parseReadingUpdate(req.body || {});
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  try {
+    const reading = await setReadingStatus(req.user._id, req.params.bookId, changes);
+    if (!reading) {
+      return res.status(404).json({ error: 'Book is not in your library' });
+    }
+    res.json({ book: req.params.bookId, reading });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'failed to update reading status', details: e.message });
+  }
+});
+
+export default router;
@@ -1,18 +1,24 @@
 import { Router } from 'express';
-import User from '../models/User.js';
+import { requireUser } from '../middleware/auth.js';
+import { toPublicUser } from '../services/auth.js';
 
 const router = Router();
 
-router.post('/upsert', async (req, res) => {
-  const { email, name, likes = [], dislikes = [] } = req.body || {};
-  if (!email) return res.status(400).json({ error: 'email required' });
-  const user = await User.findOneAndUpdate(
-    { email },
-    { name, likes, dislikes },
-    { upsert: true, new: true }
-  );
-  res.json(user);
+const toList = (value) => value.map((s) => String(s).trim()).filter(Boolean).slice(0, 100);
+
+// Update the calling user's preferences; fields left out are unchanged
+router.post('/upsert', requireUser, async (req, res) => {
+  const { name, likes, dislikes } = req.body || {};
+  if (typeof name === 'string') req.user.name = name.trim().slice(0, 100);
+  if (Array.isArray(likes)) req.user.likes = toList(likes);
+  if (Array.isArray(dislikes)) req.user.dislikes = toList(dislikes);
+  try {
+    await req.user.save();
+    res.json(toPublicUser(req.user));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'failed to save preferences', details: e.message });
+  }
 });
 
 export default router;
-
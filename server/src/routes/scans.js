@@ -0,0 +1,280 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import { getScanJob, subscribeToScanJob } from '../services/scanJobs.js';
+import {
+  parseCorrectedCandidates,
+  resolveScanCandidates,
+  addScanImages,
+  startScanJob,
+  getScanErrorResponse,
+  getScanResult,
+} from '../services/scanRunner.js';
+import {
+  scanImagesUpload,
+  getScanImages,
+  wantsAsyncScan,
+  wantsForcedScan,
+  MAX_SCAN_IMAGES,
+} from '../middleware/scanUpload.js';
+import { assertImageQuality } from '../services/imageQuality.js';
+import { requireUser } from '../middleware/auth.js';
+import { countScanRecommendations } from '../services/recommendationHistory.js';
+import Scan from '../models/Scan.js';
+
+const { Types } = mongoose;
+
+const router = Router();
+
+// Scans made before accounts existed have no user. Those created before
+// LEGACY_SCANS_BEFORE (an ISO date, unset by default) stay open to everyone.
+function isLegacyScan(scan) {
+  const cutoff = new Date(process.env.LEGACY_SCANS_BEFORE || NaN);
+  return !scan.userId && scan.createdAt < cutoff;
+}
+
+// A scan the requesting user may see or change: their own, or a legacy scan
+async function findUserScan(req) {
+  const scan = await Scan.findById(req.params.id);
+  if (!scan) return null;
+  if (isLegacyScan(scan)) return scan;
+  if (!scan.userId || String(scan.userId) !== String(req.user?._id)) return null;
+  return scan;
+}
+
+// Mark a scan 'processing' for a run that changes it. Atomic, so of two
+// concurrent runs only one gets the scan; false means another run has it.
+async function claimScan(scan) {
+  const { modifiedCount } = await Scan.updateOne(
+    { _id: scan._id, status: { $ne: 'processing' } },
+    { $set: { status: 'processing' } }
+  );
+  if (modifiedCount === 0) return false;
+  scan.status = 'processing';
+  return true;
+}
+
+// Hand a scan back after a synchronous run failed
+async function releaseScan(scan, previousStatus) {
+  try {
+    await Scan.updateOne({ _id: scan._id, status: 'processing' }, { $set: { status: previousStatus } });
+  } catch (e) {
+    console.error(`[Scans] Could not restore the status of scan ${scan._id}:`, e.message);
+  }
+}
+
+// Books shown for each scan in the history list
+const PREVIEW_BOOKS = 5;
+
+function summarizeScan(scan, recommendationCounts) {
+  return {
+    scanId: scan._id,
+    status: scan.status,
+    createdAt: scan.createdAt,
+    updatedAt: scan.updatedAt,
+    images: scan.images?.length || 0,
+    titles: scan.detectedText?.length || 0,
+    books: scan.matchedBooks?.length || 0,
+    recommendations: recommendationCounts.get(String(scan._id)) || 0,
+    previewBooks: (scan.matchedBooks || []).filter(Boolean).slice(0, PREVIEW_BOOKS),
+    ...(scan.error ? { error: scan.error } : {}),
+  };
+}
+
+// The requesting user's scans, newest first.
+// Query: limit (1-50, default 20), skip
+router.get('/', requireUser, async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+  const skip = Math.max(parseInt(req.query.skip) || 0, 0);
+  try {
+    const query = { userId: req.user._id };
+    const [scans, total] = await Promise.all([
+      Scan.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('status images detectedText matchedBooks error createdAt updatedAt')
+        .populate({ path: 'matchedBooks', select: 'title authors thumbnail' })
+        .lean(),
+      Scan.countDocuments(query),
+    ]);
+    const recommendationCounts = await countScanRecommendations(scans.map((scan) => scan._id));
+    res.json({ scans: scans.map((scan) => summarizeScan(scan, recommendationCounts)), total, limit, skip });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'failed to fetch scans', details: e.message });
+  }
+});
+
+// A past scan with its books, recommendations and stats, as it was returned
+// when it ran
+router.get('/:id', async (req, res) => {
+  try {
+    if (!Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid scan id' });
+    }
+    const scan = await findUserScan(req);
+    if (!scan) {
+      return res.status(404).json({ error: 'Scan not found' });
+    }
+    res.json(await getScanResult(scan));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'failed to fetch scan', details: e.message });
+  }
+});
+
+// Stream progress for an asynchronous scan job as Server-Sent Events.
+// Events: progress (stage updates), done (full scan result), failed ({ error })
+router.get('/:id/events', async (req, res) => {
+  if (!Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid scan id' });
+  }
+  try {
+    // The done event carries the whole scan result
+    if (!(await findUserScan(req))) {
+      return res.status(404).json({ error: 'Scan not found' });
+    }
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: 'failed to fetch scan', details: e.message });
+  }
+
+  const job = getScanJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Scan job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  };
+
+  // Replay everything the client has not seen yet (EventSource sends
+  // Last-Event-ID when it reconnects)
+  const lastEventId = Number(req.get('Last-Event-ID')) || 0;
+  job.events.filter((event) => event.id > lastEventId).forEach(send);
+
+  if (job.status !== 'running') {
+    return res.end();
+  }
+
+  // Comment lines keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const unsubscribe = subscribeToScanJob(job, (event) => {
+    send(event);
+    if (event.type !== 'progress') {
+      cleanup();
+      res.end();
+    }
+  });
+  function cleanup() {
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+  req.on('close', cleanup);
+});
+
+// Re-run lookup and recommendations on a corrected list of detected titles.
+// Body: { candidates: [{ _id?, title, author? }] } where _id refers to a
+// candidate from the original scan (keeps its bounding box)
+router.post('/:id/resolve', async (req, res) => {
+  try {
+    if (!Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid scan id' });
+    }
+    const { candidates, error } = parseCorrectedCandidates(req.body?.candidates);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const scan = await findUserScan(req);
+    if (!scan) {
+      return res.status(404).json({ error: 'Scan not found' });
+    }
+    const previousStatus = scan.status;
+    if (!(await claimScan(scan))) {
+      return res.status(409).json({ error: 'Scan is still processing' });
+    }
+
+    let result;
+    try {
+      result = await resolveScanCandidates(scan, candidates);
+    } catch (e) {
+      await releaseScan(scan, previousStatus);
+      throw e;
+    }
+    res.json(result);
+  } catch (e) {
+    console.error('[Scans] Resolve error:', e);
+    const { status, body } = getScanErrorResponse(e);
+    res.status(status).json(body);
+  }
+});
+
+// Add photos to an existing scan (same `image`/`images` fields and async/force
+// options as POST /api/upload/scan). Titles are merged with the ones already
+// detected and the combined scan is looked up again.
+router.post('/:id/images', requireUser, scanImagesUpload, async (req, res) => {
+  try {
+    if (!Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid scan id' });
+    }
+    const images = getScanImages(req);
+    if (images.length === 0) {
+      return res.status(400).json({ error: 'Image is required' });
+    }
+
+    const scan = await findUserScan(req);
+    if (!scan) {
+      return res.status(404).json({ error: 'Scan not found' });
+    }
+    if (scan.status === 'processing') {
+      return res.status(409).json({ error: 'Scan is still processing' });
+    }
+    if ((scan.images?.length || 0) + images.length > MAX_SCAN_IMAGES) {
+      return res.status(400).json({ error: `A scan can have at most ${MAX_SCAN_IMAGES} photos.` });
+    }
+
+    if (!wantsForcedScan(req)) {
+      await assertImageQuality(images);
+    }
+
+    const previousStatus = scan.status;
+    const review = previousStatus === 'review';
+    if (!(await claimScan(scan))) {
+      return res.status(409).json({ error: 'Scan is still processing' });
+    }
+
+    console.log(`[Scans] Adding ${images.length} photo(s) to scan ${scan._id}`);
+
+    if (wantsAsyncScan(req)) {
+      const job = startScanJob(scan, ({ onProgress }) => addScanImages(scan, images, { onProgress, review }), { previousStatus });
+      return res.status(202).json({
+        scanId: scan._id,
+        jobId: job.id,
+        eventsUrl: `/api/scans/${job.id}/events`,
+      });
+    }
+
+    let result;
+    try {
+      result = await addScanImages(scan, images, { review });
+    } catch (e) {
+      await releaseScan(scan, previousStatus);
+      throw e;
+    }
+    res.json(result);
+  } catch (e) {
+    console.error('[Scans] Add images error:', e);
+    const { status, body } = getScanErrorResponse(e);
+    res.status(status).json(body);
+  }
+});
+
+export default router;
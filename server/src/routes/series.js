@@ -0,0 +1,24 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import { getSeriesWithVolumes } from '../services/series.js';
+
+const router = Router();
+
+// A series with its volumes in reading order and which ones the user owns
+router.get('/:id', async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ error: 'Invalid series ID' });
+  }
+  try {
+    const result = await getSeriesWithVolumes(req.params.id, { userId: req.user?._id });
+    if (!result) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+    res.json(result);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'failed to fetch series', details: e.message });
+  }
+});
+
+export default router;
@@ -1,35 +1,12 @@
-import { visionExtractFromBuffer } from './visionExtract.js';
-import { lookupBookMetadata } from './lookup.js';
-import { embedAndUpsert, embedText } from './embeddings.js';
+import { createScanPipeline } from './scanPipeline.js';
+import { embedText } from './embeddings.js';
 
+// Extract, resolve and store the books in a shelf image (no recommendations)
 export async function processScanImage(buffer) {
-  const candidates = await visionExtractFromBuffer(buffer);
-  const max = Number(process.env.MAX_CANDIDATES || 10);
-  const seen = new Set();
-  const resolved = [];
-  
-  for (const c of candidates.slice(0, max)) {
-    if (!c?.title) continue;
-    const key = String(c.title).trim().toLowerCase();
-    if (seen.has(key)) continue; 
-    seen.add(key);
-    
-    // Build search query from title and author
-    const q = [c.title, c.author].filter(Boolean).join(' ');
-    
-    try {
-      // Use enhanced lookup that tries Google Books first, then Open Library
-      const metas = await lookupBookMetadata(q, { limit: 1 });
-      if (metas[0]) {
-        const doc = await embedAndUpsert(metas[0]);
-        resolved.push(doc);
-      }
-    } catch (e) {
-      console.error(`Failed to lookup book "${c.title}":`, e.message);
-      // ignore individual failures and continue
-    }
-  }
-  return resolved;
+  const pipeline = createScanPipeline();
+  const candidates = await pipeline.extract(buffer);
+  const resolution = await pipeline.resolve(candidates);
+  return pipeline.enrich(resolution);
 }
 
 export async function buildRecQueryFromPrefs(prefs = {}) {
@@ -0,0 +1,232 @@
+/**
+ * Auth
+ * Accounts, guests and sessions. Passwords are hashed with scrypt; a session
+ * is a random token handed to the client (httpOnly cookie or bearer token)
+ * whose SHA-256 is stored in a Session document.
+ *
+ * A guest is a User without an email. Signing up as a guest turns that same
+ * user into an account; logging in as a guest moves the guest's scans and
+ * library into the account.
+ *
+ * Configuration:
+ *   SESSION_TTL_DAYS - Session lifetime (default: 30)
+ */
+import crypto from 'crypto';
+import { promisify } from 'util';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import Scan from '../models/Scan.js';
+import LibraryItem from '../models/LibraryItem.js';
+import Recommendation from '../models/Recommendation.js';
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+export const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Raised for sign-up and login failures. `status` is the HTTP status to
+ * answer with and `code` a stable identifier for clients.
+ */
+export class AuthError extends Error {
+  constructor(message, { status = 400, code = 'INVALID_CREDENTIALS' } = {}) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+export function sessionTtlMs() {
+  return Number(process.env.SESSION_TTL_DAYS || 30) * 24 * 3600 * 1000;
+}
+
+/**
+ * Hash a password as "scrypt:<salt>:<hash>" (hex)
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, KEY_LENGTH);
+  return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ */
+export async function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || '').split(':');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Start a session for a user
+ * @returns {Promise<{ token: string, expiresAt: Date }>} token is only ever returned here
+ */
+export async function createSession(userId, { userAgent } = {}) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + sessionTtlMs());
+  await Session.create({ tokenHash: hashToken(token), userId, userAgent, lastUsedAt: new Date(), expiresAt });
+  return { token, expiresAt };
+}
+
+/**
+ * The user a session token belongs to, or null when it is unknown or expired
+ */
+export async function findSessionUser(token) {
+  if (!token) return null;
+  const session = await Session.findOneAndUpdate(
+    { tokenHash: hashToken(token), expiresAt: { $gt: new Date() } },
+    { $set: { lastUsedAt: new Date() } }
+  );
+  if (!session) return null;
+  return User.findById(session.userId);
+}
+
+export async function deleteSession(token) {
+  if (token) await Session.deleteOne({ tokenHash: hashToken(token) });
+}
+
+export function isGuest(user) {
+  return Boolean(user) && !user.email;
+}
+
+/**
+ * The user as sent to clients
+ */
+export function toPublicUser(user) {
+  if (!user) return null;
+  return {
+    _id: user._id,
+    email: user.email || null,
+    name: user.name || null,
+    isGuest: isGuest(user),
+    likes: user.likes || [],
+    dislikes: user.dislikes || [],
+    createdAt: user.createdAt,
+  };
+}
+
+function parseCredentials({ email, password } = {}) {
+  const normalizedEmail = String(email || '').trim().toLowerCase();
+  if (!EMAIL_PATTERN.test(normalizedEmail) || normalizedEmail.length > 254) {
+    throw new AuthError('A valid email address is required', { code: 'INVALID_EMAIL' });
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AuthError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, { code: 'WEAK_PASSWORD' });
+  }
+  if (password.length > 200) {
+    throw new AuthError('Password is too long', { code: 'WEAK_PASSWORD' });
+  }
+  return { email: normalizedEmail, password };
+}
+
+/**
+ * Continue as a guest. A client that was identified by an anonymous browser
+ * ID before accounts existed gets that guest user back, with its library,
+ * once: the ID is dropped so it cannot be used to claim the user again.
+ * @param {Object} options - { clientId } the old anonymous ID, if any
+ * @returns {Promise<Object>} Guest user
+ */
+export async function findOrCreateGuest({ clientId } = {}) {
+  if (clientId && /^[A-Za-z0-9_-]{8,64}$/.test(clientId)) {
+    const existing = await User.findOneAndUpdate(
+      { clientId, email: { $exists: false } },
+      { $unset: { clientId: 1 } },
+      { new: true }
+    );
+    if (existing) return existing;
+  }
+  return User.create({});
+}
+
+/**
+ * Create an account. A guest signing up keeps their user, and with it their
+ * scans and library.
+ * @param {Object} input - { email, password, name }
+ * @param {Object} guest - The current guest user, if any
+ * @returns {Promise<Object>} The account
+ * @throws {AuthError} 400 for invalid input, 409 when the email is taken
+ */
+export async function signUp({ email, password, name } = {}, guest = null) {
+  const credentials = parseCredentials({ email, password });
+  if (await User.exists({ email: credentials.email })) {
+    throw new AuthError('An account with this email already exists', { status: 409, code: 'EMAIL_TAKEN' });
+  }
+  const fields = {
+    email: credentials.email,
+    passwordHash: await hashPassword(credentials.password),
+    ...(name ? { name: String(name).trim().slice(0, 100) } : {}),
+  };
+  try {
+    if (isGuest(guest)) {
+      guest.set(fields);
+      return await guest.save();
+    }
+    return await User.create(fields);
+  } catch (e) {
+    // Lost a race with another sign-up for the same email
+    if (e.code === 11000) throw new AuthError('An account with this email already exists', { status: 409, code: 'EMAIL_TAKEN' });
+    throw e;
+  }
+}
+
+/**
+ * Move a guest's scans, recommendations and library into an account and
+ * remove the guest
+ */
+export async function mergeGuestInto(guest, user) {
+  if (!isGuest(guest) || String(guest._id) === String(user._id)) return;
+
+  await Scan.updateMany({ userId: guest._id }, { $set: { userId: user._id } });
+  await Recommendation.updateMany({ userId: guest._id }, { $set: { userId: user._id } });
+  const items = await LibraryItem.find({ userId: guest._id }).lean();
+  if (items.length > 0) {
+    await LibraryItem.bulkWrite(items.map((item) => ({
+      updateOne: {
+        filter: { userId: user._id, book: item.book },
+        update: {
+          $setOnInsert: {
+            userId: user._id,
+            book: item.book,
+            work: item.work,
+            source: item.source,
+            ...Object.fromEntries(['readingStatus', 'rating', 'startedAt', 'finishedAt']
+              .filter((field) => item[field] !== undefined)
+              .map((field) => [field, item[field]])),
+          },
+          $addToSet: { scans: { $each: item.scans || [] } },
+        },
+        upsert: true,
+      },
+    })), { ordered: false });
+  }
+  await Promise.all([
+    LibraryItem.deleteMany({ userId: guest._id }),
+    Session.deleteMany({ userId: guest._id }),
+    User.deleteOne({ _id: guest._id }),
+  ]);
+  console.log(`[Auth] Merged guest ${guest._id} into user ${user._id} (${items.length} library items)`);
+}
+
+/**
+ * Check an email and password. A guest logging in brings their scans and
+ * library along.
+ * @returns {Promise<Object>} The account
+ * @throws {AuthError} 401 for a wrong email or password
+ */
+export async function logIn({ email, password } = {}, guest = null) {
+  const normalizedEmail = String(email || '').trim().toLowerCase();
+  const user = normalizedEmail ? await User.findOne({ email: normalizedEmail }).select('+passwordHash') : null;
+  // Same answer for an unknown email and a wrong password
+  if (!user || !(await verifyPassword(password, user.passwordHash))) {
+    throw new AuthError('Incorrect email or password', { status: 401, code: 'INVALID_CREDENTIALS' });
+  }
+  await mergeGuestInto(guest, user);
+  return user;
+}
@@ -0,0 +1,90 @@
+/**
+ * Authors
+ * Builds an author's bibliography from every metadata provider: one entry
+ * per work (editions merged), study guides and summaries left out, and the
+ * works the user owns marked.
+ */
+import Book from '../models/Book.js';
+import { authorSimilarity, isDerivativeTitle } from './bookMatching.js';
+import { lookupBooksByAuthor } from './lookup.js';
+import { mergeMetadataRecords } from './metadataMerge.js';
+import { workIdentities, isKnownWork, dedupeByWork } from './works.js';
+import { getOwnedBookIds } from './library.js';
+
+const AUTHOR_MATCH = 0.7;
+
+// Group records whose work identities overlap, in order of first appearance
+function groupByWork(records) {
+  const groups = [];
+  for (const record of records) {
+    const ids = workIdentities(record);
+    const group = groups.find((g) => ids.some((id) => g.ids.has(id)));
+    if (group) {
+      group.records.push(record);
+      ids.forEach((id) => group.ids.add(id));
+    } else {
+      groups.push({ ids: new Set(ids), records: [record] });
+    }
+  }
+  return groups;
+}
+
+// The spelling of the name the providers use most, e.g. "J.R.R. Tolkien" for "tolkien"
+function canonicalAuthorName(name, records) {
+  const counts = new Map();
+  for (const record of records) {
+    for (const author of record.authors || []) {
+      if (authorSimilarity(name, [author]) >= AUTHOR_MATCH) counts.set(author, (counts.get(author) || 0) + 1);
+    }
+  }
+  const [best] = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+  return best ? best[0] : name;
+}
+
+const byPublication = (a, b) =>
+  (a.publicationYear ?? Infinity) - (b.publicationYear ?? Infinity) || String(a.title).localeCompare(String(b.title));
+
+/**
+ * An author's works, oldest first, with the ones the user owns marked
+ * @param {string} name - Author name as shown on a book
+ * @param {Object} options - { limit } results to fetch from each provider,
+ *   { userId } whose library counts as owned
+ * @returns {Promise<{ author: string, works: Array<Object>, owned: number, total: number }>}
+ *   Each work is a merged metadata record plus { owned, book, editions }, where
+ *   book is the ID of the owned edition
+ */
+export async function getAuthorBibliography(name, { limit = 40, userId = null } = {}) {
+  const [records, ownedIds] = await Promise.all([
+    lookupBooksByAuthor(name, { limit }),
+    getOwnedBookIds(userId),
+  ]);
+  const ownedBooks = (await Book.find({ _id: { $in: [...ownedIds] } }).select('-embedding').lean())
+    .filter((book) => authorSimilarity(name, book.authors || []) >= AUTHOR_MATCH);
+
+  const groups = groupByWork(records.filter((r) =>
+    r.title && !isDerivativeTitle([r.title, r.advancedMetadata?.subtitle].filter(Boolean).join(' '))));
+
+  const matchedOwned = new Set();
+  const works = groups.map(({ ids, records: editions }) => {
+    const ownedBook = ownedBooks.find((book) => isKnownWork(book, ids));
+    if (ownedBook) matchedOwned.add(ownedBook);
+    return {
+      ...mergeMetadataRecords(editions),
+      owned: Boolean(ownedBook),
+      book: ownedBook?._id || null,
+      editions: editions.length,
+    };
+  });
+
+  // Owned books the providers did not return are still part of the bibliography
+  const unmatched = dedupeByWork(ownedBooks.filter((book) => !matchedOwned.has(book)));
+  works.push(...unmatched.map((book) => ({ ...book, owned: true, book: book._id, editions: 1 })));
+  works.sort(byPublication);
+
+  return {
+    author: canonicalAuthorName(name, records),
+    works,
+    owned: works.filter((w) => w.owned).length,
+    total: works.length,
+  };
+}
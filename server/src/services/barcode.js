@@ -0,0 +1,123 @@
+/**
+ * Barcode Service
+ * Decodes EAN-13 barcodes locally so back-cover photos can be resolved by
+ * ISBN without a vision model call.
+ */
+import sharp from 'sharp';
+import {
+  BarcodeFormat,
+  BinaryBitmap,
+  ChecksumException,
+  DecodeHintType,
+  FormatException,
+  HybridBinarizer,
+  MultiFormatReader,
+  NotFoundException,
+  RGBLuminanceSource,
+} from '@zxing/library';
+import { parseIsbn } from './isbn.js';
+import { planTiles } from './imageTiles.js';
+
+// Larger images are downscaled first; barcodes stay readable well below this
+const MAX_DECODE_WIDTH = Number(process.env.BARCODE_MAX_WIDTH || 1600);
+// Full-resolution tiles tried when the downscaled photo has no barcode
+const MAX_DECODE_TILES = Number(process.env.BARCODE_MAX_TILES || 4);
+
+export function isBarcodeDetectionEnabled() {
+  return String(process.env.BARCODE_DETECTION || 'true').toLowerCase() === 'true';
+}
+
+function createReader() {
+  const hints = new Map();
+  hints.set(DecodeHintType.POSSIBLE_FORMATS, [BarcodeFormat.EAN_13]);
+  hints.set(DecodeHintType.TRY_HARDER, true);
+  const reader = new MultiFormatReader();
+  reader.setHints(hints);
+  return reader;
+}
+
+// Greyscale pixels of the photo as displayed, at full resolution
+async function readGreyscale(buffer) {
+  const { data, info } = await sharp(buffer)
+    .rotate() // Respect EXIF orientation
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height, channels: info.channels };
+}
+
+// A region of the greyscale photo (all of it by default), downscaled to the decode width
+async function toLuminance(grey, region = { left: 0, top: 0, width: grey.width, height: grey.height }) {
+  const { data, info } = await sharp(grey.data, { raw: { width: grey.width, height: grey.height, channels: grey.channels } })
+    .extract(region)
+    .resize({ width: MAX_DECODE_WIDTH, height: MAX_DECODE_WIDTH, fit: 'inside', withoutEnlargement: true })
+    .extractChannel(0)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { luminances: new Uint8ClampedArray(data.buffer, data.byteOffset, data.length), width: info.width, height: info.height };
+}
+
+// Quarter turn of a single-channel image
+function rotateLuminance({ luminances, width, height }) {
+  const rotated = new Uint8ClampedArray(luminances.length);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      rotated[x * height + (height - 1 - y)] = luminances[y * width + x];
+    }
+  }
+  return { luminances: rotated, width: height, height: width };
+}
+
+// ISBNs from the barcode in one image, read as-is or turned 90 degrees
+function decodeLuminance(reader, image) {
+  const isbns = new Set();
+  for (const candidate of [image, rotateLuminance(image)]) {
+    try {
+      const source = new RGBLuminanceSource(candidate.luminances, candidate.width, candidate.height);
+      const result = reader.decode(new BinaryBitmap(new HybridBinarizer(source)));
+      const parsed = parseIsbn(result.getText());
+      if (parsed) isbns.add(parsed.isbn13);
+    } catch (e) {
+      // Not finding a readable barcode is the common case
+      const unreadable = e instanceof NotFoundException || e instanceof ChecksumException || e instanceof FormatException;
+      if (!unreadable) {
+        console.error('[Barcode] Decoding failed:', e.message);
+      }
+    } finally {
+      reader.reset();
+    }
+    // A back cover carries one ISBN barcode
+    if (isbns.size > 0) break;
+  }
+  return [...isbns];
+}
+
+/**
+ * Decode ISBNs from EAN-13 barcodes in an image. Tries the whole image, then,
+ * for photos wider than BARCODE_MAX_WIDTH, overlapping tiles at full
+ * resolution, where a barcode on a wide shelf photo keeps enough pixels.
+ * Each is tried as-is and turned 90 degrees, since barcodes often run along
+ * the spine direction.
+ * @param {Buffer} buffer - Image bytes, ideally the original upload
+ * @returns {Promise<string[]>} Valid ISBN-13s (Bookland 978/979 prefix), deduplicated
+ */
+export async function decodeIsbnBarcodes(buffer) {
+  if (!isBarcodeDetectionEnabled()) return [];
+
+  const reader = createReader();
+  let grey;
+  try {
+    grey = await readGreyscale(buffer);
+  } catch (e) {
+    console.error('[Barcode] Could not read image:', e.message);
+    return [];
+  }
+
+  const tiles = planTiles(grey.width, grey.height, { minSize: MAX_DECODE_WIDTH, maxTiles: MAX_DECODE_TILES, overlap: 0.2 });
+  const regions = [undefined, ...(tiles.length > 1 ? tiles : [])];
+  for (const region of regions) {
+    const isbns = decodeLuminance(reader, await toLuminance(grey, region));
+    if (isbns.length > 0) return isbns;
+  }
+  return [];
+}
@@ -0,0 +1,154 @@
+/**
+ * Book Matching Service
+ * Scores metadata search results against a title/author read from a photo,
+ * so lookups pick the actual book instead of a study guide or summary.
+ */
+
+// Title words that usually mean a derivative work rather than the book itself
+const DERIVATIVE_PATTERN = /\b(summary|summaries|study guide|sparknotes|cliffsnotes|cliff'?s notes|analysis|workbook|quicklet|companion|trivia|conversation starters|lesson plans?)\b/i;
+
+const STOP_WORDS = new Set(['the', 'a', 'an', 'of', 'and', 'to', 'in', 'on', 'for']);
+
+/**
+ * Lowercase, strip accents and punctuation, collapse whitespace
+ */
+export function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function tokens(text) {
+  return normalizeText(text).split(' ').filter((t) => t && !STOP_WORDS.has(t));
+}
+
+function bigrams(text) {
+  const s = normalizeText(text).replace(/ /g, '');
+  const grams = new Map();
+  for (let i = 0; i < s.length - 1; i++) {
+    const gram = s.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+}
+
+/**
+ * Sørensen–Dice coefficient over character bigrams (0-1)
+ */
+export function diceSimilarity(a, b) {
+  const na = normalizeText(a);
+  const nb = normalizeText(b);
+  if (!na || !nb) return 0;
+  if (na === nb) return 1;
+  const ga = bigrams(na);
+  const gb = bigrams(nb);
+  let overlap = 0;
+  let total = 0;
+  for (const count of ga.values()) total += count;
+  for (const count of gb.values()) total += count;
+  for (const [gram, count] of ga) {
+    overlap += Math.min(count, gb.get(gram) || 0);
+  }
+  return total > 0 ? (2 * overlap) / total : 0;
+}
+
+/**
+ * Title similarity that tolerates partially visible titles and subtitles.
+ * Uses the best of full-string similarity and the share of OCR words found
+ * in the candidate title.
+ */
+export function titleSimilarity(ocrTitle, title, subtitle) {
+  const full = [title, subtitle].filter(Boolean).join(' ');
+  const dice = Math.max(diceSimilarity(ocrTitle, title), diceSimilarity(ocrTitle, full));
+
+  const ocrTokens = tokens(ocrTitle);
+  const titleTokens = new Set(tokens(full));
+  const containment = ocrTokens.length > 0
+    ? ocrTokens.filter((t) => titleTokens.has(t)).length / ocrTokens.length
+    : 0;
+  // Containment alone over-rewards long titles, so discount it slightly
+  return Math.max(dice, containment * 0.9);
+}
+
+/**
+ * How well the OCR author matches any of the candidate's authors (0-1).
+ * Surname matches count most since spines often show only the last name.
+ */
+export function authorSimilarity(ocrAuthor, authors = []) {
+  const ocrTokens = tokens(ocrAuthor).filter((t) => t.length > 1);
+  if (ocrTokens.length === 0 || authors.length === 0) return 0;
+  let best = 0;
+  for (const author of authors) {
+    const authorTokens = tokens(author).filter((t) => t.length > 1);
+    if (authorTokens.length === 0) continue;
+    const surname = authorTokens[authorTokens.length - 1];
+    const shared = ocrTokens.filter((t) => authorTokens.includes(t)).length;
+    const overlap = shared / Math.max(ocrTokens.length, 1);
+    const surnameMatch = ocrTokens.includes(surname) ? 0.7 : 0;
+    best = Math.max(best, surnameMatch + overlap * 0.3, diceSimilarity(ocrAuthor, author));
+  }
+  return Math.min(best, 1);
+}
+
+/**
+ * Whether a title looks like a study guide, summary or similar rather than
+ * the book itself
+ */
+export function isDerivativeTitle(title) {
+  return DERIVATIVE_PATTERN.test(String(title || ''));
+}
+
+/**
+ * Score a metadata record against what was read from the photo
+ * @param {Object} query - { title, author?, language? }
+ * @param {Object} meta - Metadata from lookup providers
+ * @returns {number} Match score (0-1)
+ */
+export function scoreMatch(query, meta) {
+  if (!meta?.title) return 0;
+  const subtitle = meta.advancedMetadata?.subtitle;
+  const titleScore = titleSimilarity(query.title, meta.title, subtitle);
+
+  let score;
+  if (query.author) {
+    score = titleScore * 0.65 + authorSimilarity(query.author, meta.authors || []) * 0.25;
+  } else {
+    score = titleScore * 0.9;
+  }
+
+  // Prefer actual books over magazines and other print types
+  const printType = meta.advancedMetadata?.printType;
+  if (!printType || printType === 'BOOK') score += 0.03;
+  else score -= 0.15;
+
+  // Popular editions are more likely to be the one on the shelf
+  const ratingsCount = Number(meta.advancedMetadata?.ratingsCount) || 0;
+  score += Math.min(Math.log10(ratingsCount + 1) / 4, 1) * 0.05;
+
+  // Small nudge toward the expected language
+  const language = String(query.language || process.env.LOOKUP_PREFERRED_LANGUAGE || 'en').toLowerCase();
+  if (meta.language && String(meta.language).toLowerCase().startsWith(language)) score += 0.02;
+
+  // Study guides, summaries and the like, unless that is what was photographed
+  const metaTitle = [meta.title, subtitle].filter(Boolean).join(' ');
+  if (DERIVATIVE_PATTERN.test(metaTitle) && !DERIVATIVE_PATTERN.test(query.title)) {
+    score -= 0.35;
+  }
+
+  return Math.max(0, Math.min(1, Math.round(score * 1000) / 1000));
+}
+
+/**
+ * Rank metadata records by match score, best first
+ * @returns {Array<{ meta, score }>}
+ */
+export function rankMatches(query, metas = []) {
+  return metas
+    .map((meta) => ({ meta, score: scoreMatch(query, meta) }))
+    .sort((a, b) => b.score - a.score);
+}
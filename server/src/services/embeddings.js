@@ -1,6 +1,11 @@
 import OpenAI from 'openai';
 import dotenv from 'dotenv';
 import Book from '../models/Book.js';
+import { parseIsbn } from './isbn.js';
+import { enrichWithOpenLibraryWork } from './openLibraryWorks.js';
+import { assignWork } from './works.js';
+import { assignSeries } from './series.js';
+import { genresOfBook } from './genreTaxonomy.js';
 dotenv.config();
 
 function getOpenAI() {
@@ -64,17 +69,30 @@ function normalizeMetadata(meta) {
     }
   }
   
+  // Store both ISBN forms so a later lookup by either one finds the book
+  const from13 = parseIsbn(normalized.isbn13);
+  const from10 = parseIsbn(normalized.isbn10);
+  normalized.isbn13 = from13?.isbn13 || from10?.isbn13 || normalized.isbn13 || null;
+  normalized.isbn10 = from10?.isbn10 || from13?.isbn10 || normalized.isbn10 || null;
+
   // Ensure arrays are arrays
   if (!Array.isArray(normalized.authors)) normalized.authors = [];
   if (!Array.isArray(normalized.categories)) normalized.categories = [];
   if (!Array.isArray(normalized.genre)) normalized.genre = [];
+  if (!Array.isArray(normalized.subjects)) normalized.subjects = [];
+  if (!Array.isArray(normalized.subjectPlaces)) normalized.subjectPlaces = [];
+  if (!Array.isArray(normalized.subjectPeople)) normalized.subjectPeople = [];
+
+  // Genres from every category and subject, not only the primary source's
+  Object.assign(normalized, genresOfBook(normalized));
   
   return normalized;
 }
 
 export async function embedAndUpsert(meta) {
-  // Normalize metadata first
-  const normalizedMeta = normalizeMetadata(meta);
+  // Fill in description, series and subjects from the Open Library work
+  // first, so the embedding is not computed from a bare title
+  const normalizedMeta = normalizeMetadata(await enrichWithOpenLibraryWork(meta));
   
   // Try to find existing book by title and authors, or by ISBN if available
   let existing = null;
@@ -96,9 +114,14 @@ export async function embedAndUpsert(meta) {
     normalizedMeta.title || '',
     (normalizedMeta.authors || []).join(', '),
     (normalizedMeta.genre || []).join(' '),
+    (normalizedMeta.parentGenres || []).join(' '),
     (normalizedMeta.categories || []).join(' '),
     normalizedMeta.description || '',
+    normalizedMeta.firstSentence || '',
     normalizedMeta.series?.name || '',
+    (normalizedMeta.subjects || []).slice(0, 10).join(' '),
+    (normalizedMeta.subjectPlaces || []).join(' '),
+    (normalizedMeta.subjectPeople || []).join(' '),
     normalizedMeta.publisher || '',
     normalizedMeta.publicationYear ? String(normalizedMeta.publicationYear) : '',
   ].filter(Boolean);
@@ -109,14 +132,15 @@ export async function embedAndUpsert(meta) {
     // Update metadata only, keep embedding
     existing.set(normalizedMeta);
     await existing.save();
-    return existing;
+    return assignSeries(await assignWork(existing));
   }
   
   const embedding = await embedText(text);
   if (existing) { 
     existing.set({ ...normalizedMeta, embedding }); 
     await existing.save(); 
-    return existing; 
+    return assignSeries(await assignWork(existing));
   }
-  return Book.create({ ...normalizedMeta, embedding });
+  // Each edition stays its own Book, grouped with the others under a Work
+  return assignSeries(await assignWork(await Book.create({ ...normalizedMeta, embedding })));
 }
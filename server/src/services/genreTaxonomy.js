@@ -0,0 +1,258 @@
+/**
+ * Genre Taxonomy
+ * Maps raw provider categories and subjects ("Fiction / Science Fiction /
+ * General", "science fiction", "Space warfare") onto a curated hierarchy
+ * modelled on BISAC subject headings, so that genre weights and filters
+ * compare like with like.
+ *
+ * Each node has a label and the phrases that identify it:
+ *   terms  - matched anywhere in a category or subject
+ *   within - matched only in a BISAC-style path right after the parent,
+ *            e.g. "Historical" in "Fiction / Historical / General"
+ * A node's own label always counts as one of its terms.
+ */
+import { normalizeText } from './bookMatching.js';
+
+const TAXONOMY = [
+  {
+    label: 'Fiction',
+    terms: ['fiction', 'novel', 'novels'],
+    children: [
+      {
+        label: 'Science Fiction',
+        terms: ['science fiction', 'sci fi', 'scifi'],
+        children: [
+          { label: 'Space Opera', terms: ['space opera'] },
+          { label: 'Military Science Fiction', terms: ['military science fiction', 'space warfare', 'interstellar warfare'], within: ['military'] },
+          { label: 'Cyberpunk', terms: ['cyberpunk'] },
+          { label: 'Dystopian', terms: ['dystopia', 'dystopias', 'dystopian'] },
+          { label: 'Post-Apocalyptic', terms: ['post apocalyptic', 'apocalyptic'] },
+          { label: 'Time Travel', terms: ['time travel'] },
+          { label: 'Alien Contact', terms: ['alien contact', 'first contact', 'extraterrestrial beings', 'human alien encounters'] },
+        ],
+      },
+      {
+        label: 'Fantasy',
+        terms: ['fantasy', 'fantasy fiction'],
+        children: [
+          { label: 'Epic Fantasy', terms: ['epic fantasy', 'high fantasy'], within: ['epic'] },
+          { label: 'Urban Fantasy', terms: ['urban fantasy'], within: ['urban'] },
+          { label: 'Dark Fantasy', terms: ['dark fantasy', 'grimdark'], within: ['dark fantasy'] },
+          { label: 'Sword & Sorcery', terms: ['sword and sorcery'] },
+          { label: 'Fairy Tales & Folklore', terms: ['fairy tales', 'folklore', 'myths', 'mythology'], within: ['fairy tales', 'folk tales'] },
+          { label: 'Magic', terms: ['magic', 'wizards', 'witches', 'dragons'] },
+        ],
+      },
+      {
+        label: 'Mystery & Detective',
+        terms: ['mystery', 'mysteries', 'detective', 'detective and mystery stories', 'whodunit'],
+        children: [
+          { label: 'Cozy Mystery', terms: ['cozy mystery', 'cosy mystery'], within: ['cozy', 'cozy general'] },
+          { label: 'Police Procedural', terms: ['police procedural'], within: ['police procedural'] },
+          { label: 'Private Investigators', terms: ['private investigators', 'private detective'], within: ['private investigators'] },
+          { label: 'Traditional Mystery', terms: ['traditional british', 'golden age mystery'], within: ['traditional', 'traditional british'] },
+        ],
+      },
+      {
+        label: 'Thrillers',
+        terms: ['thriller', 'thrillers', 'suspense', 'suspense fiction'],
+        children: [
+          { label: 'Psychological Thriller', terms: ['psychological thriller', 'psychological suspense'], within: ['psychological'] },
+          { label: 'Espionage', terms: ['espionage', 'spy stories', 'spies', 'spy fiction', 'secret service'] },
+          { label: 'Legal Thriller', terms: ['legal thriller', 'legal stories'], within: ['legal'] },
+          { label: 'Techno-Thriller', terms: ['techno thriller', 'technothriller'], within: ['technological'] },
+          { label: 'Political Thriller', terms: ['political thriller', 'political fiction'], within: ['political'] },
+        ],
+      },
+      { label: 'Crime', terms: ['crime fiction', 'crime stories', 'noir'], within: ['crime'] },
+      {
+        label: 'Horror',
+        terms: ['horror', 'horror fiction', 'horror stories', 'ghost stories', 'supernatural'],
+        children: [
+          { label: 'Gothic', terms: ['gothic', 'gothic fiction'] },
+          { label: 'Vampires', terms: ['vampires'] },
+        ],
+      },
+      {
+        label: 'Romance',
+        terms: ['romance', 'romance fiction', 'love stories'],
+        children: [
+          { label: 'Historical Romance', terms: ['historical romance', 'regency'], within: ['historical', 'regency'] },
+          { label: 'Contemporary Romance', terms: ['contemporary romance'], within: ['contemporary'] },
+          { label: 'Paranormal Romance', terms: ['paranormal romance'], within: ['paranormal'] },
+          { label: 'Romantic Suspense', terms: ['romantic suspense'], within: ['suspense'] },
+        ],
+      },
+      { label: 'Historical Fiction', terms: ['historical fiction', 'historical novels'], within: ['historical'] },
+      { label: 'Literary Fiction', terms: ['literary fiction', 'psychological fiction', 'domestic fiction', 'bildungsromans'], within: ['literary'] },
+      { label: 'Classics', terms: ['classics', 'classic literature', 'classic fiction'] },
+      { label: 'War Fiction', terms: ['war fiction', 'war stories'], within: ['war and military', 'war'] },
+      { label: 'Adventure', terms: ['adventure fiction', 'adventure stories', 'action and adventure', 'sea stories'], within: ['action and adventure', 'adventure'] },
+      { label: 'Humor', terms: ['humorous fiction', 'humorous stories', 'satire', 'comic fiction'], within: ['humorous'] },
+      { label: 'Short Stories', terms: ['short stories', 'short story'] },
+      { label: 'Family Life', terms: ['family life', 'family saga', 'families'], within: ['family life'] },
+      { label: 'LGBTQ+ Fiction', terms: ['lgbtq', 'lgbt', 'gay fiction', 'lesbian fiction'] },
+    ],
+  },
+  {
+    label: 'Nonfiction',
+    terms: ['nonfiction', 'non fiction'],
+    children: [
+      { label: 'Biography & Memoir', terms: ['biography', 'biographies', 'autobiography', 'memoir', 'memoirs', 'biography and autobiography'] },
+      {
+        label: 'History',
+        terms: ['history'],
+        children: [
+          { label: 'Military History', terms: ['military history', 'world war', 'civil war'], within: ['military', 'wars and conflicts'] },
+          { label: 'Ancient History', terms: ['ancient history', 'ancient civilization'], within: ['ancient'] },
+          { label: 'Modern History', terms: ['modern history', 'twentieth century', '20th century', '21st century'], within: ['modern'] },
+        ],
+      },
+      {
+        label: 'Science',
+        terms: ['science', 'popular science', 'physics', 'astronomy', 'biology', 'chemistry', 'evolution', 'cosmology', 'mathematics'],
+        children: [
+          { label: 'Nature', terms: ['nature', 'natural history', 'ecology', 'environment'] },
+        ],
+      },
+      { label: 'Philosophy', terms: ['philosophy', 'ethics', 'stoicism'] },
+      { label: 'Psychology', terms: ['psychology', 'cognitive psychology', 'neuroscience'] },
+      { label: 'Self-Help', terms: ['self help', 'personal development', 'self improvement', 'motivational'] },
+      { label: 'Business & Economics', terms: ['business', 'economics', 'business and economics', 'management', 'finance', 'entrepreneurship', 'leadership', 'investing'] },
+      { label: 'Politics & Society', terms: ['political science', 'politics', 'social science', 'sociology', 'current events', 'feminism'] },
+      { label: 'Religion & Spirituality', terms: ['religion', 'spirituality', 'christianity', 'buddhism', 'theology', 'bible'] },
+      { label: 'True Crime', terms: ['true crime'] },
+      { label: 'Travel', terms: ['travel', 'travel writing', 'voyages and travels'] },
+      { label: 'Cooking', terms: ['cooking', 'cookbooks', 'cookery', 'recipes', 'food'] },
+      { label: 'Arts', terms: ['art', 'arts', 'music', 'photography', 'design', 'architecture', 'performing arts'] },
+      { label: 'Health & Fitness', terms: ['health', 'fitness', 'health and fitness', 'medicine', 'medical', 'diet', 'nutrition'] },
+      { label: 'Technology', terms: ['technology', 'computers', 'programming', 'computer science', 'engineering', 'artificial intelligence'] },
+      { label: 'Essays', terms: ['essays', 'literary collections'] },
+      { label: 'Literary Criticism', terms: ['literary criticism', 'criticism and interpretation'] },
+      { label: 'Sports', terms: ['sports', 'sports and recreation', 'martial arts'] },
+      { label: 'Parenting & Relationships', terms: ['parenting', 'family and relationships', 'relationships', 'marriage'] },
+      { label: 'Education', terms: ['education', 'study aids', 'language arts'] },
+    ],
+  },
+  { label: "Children's", terms: ['juvenile fiction', 'juvenile nonfiction', 'juvenile literature', 'children s fiction', 'children s stories', 'children s books', 'picture books'] },
+  { label: 'Young Adult', terms: ['young adult', 'young adult fiction', 'young adult nonfiction', 'teen fiction'] },
+  { label: 'Poetry', terms: ['poetry', 'poems'] },
+  { label: 'Drama', terms: ['drama', 'plays'] },
+  { label: 'Comics & Graphic Novels', terms: ['comics', 'graphic novels', 'comic books', 'comics and graphic novels', 'manga'] },
+];
+
+// Flattened nodes with their ancestors and normalized phrases
+const NODES = [];
+(function flatten(nodes, ancestors) {
+  for (const node of nodes) {
+    const flat = {
+      label: node.label,
+      parent: ancestors[ancestors.length - 1] || null,
+      ancestors: ancestors.map((a) => a.label),
+      depth: ancestors.length,
+      terms: [...new Set([node.label, ...(node.terms || [])].map(normalizeText).filter(Boolean))],
+      within: (node.within || []).map(normalizeText),
+    };
+    NODES.push(flat);
+    flatten(node.children || [], [...ancestors, flat]);
+  }
+})(TAXONOMY, []);
+
+const BY_LABEL = new Map(NODES.map((node) => [node.label, node]));
+
+// Segments that carry no genre information of their own
+const FILLER_SEGMENTS = new Set(['general', 'other', 'miscellaneous', 'fiction general']);
+
+const containsPhrase = (text, phrase) => ` ${text} `.includes(` ${phrase} `);
+
+// Best node for one segment: the longest matching phrase, then a node under
+// the scope, then the most specific node. With a scope, `within` phrases of
+// its children count too.
+function matchSegment(text, scope) {
+  let best = null;
+  for (const node of NODES) {
+    let length = 0;
+    for (const term of node.terms) {
+      if (term.length > length && containsPhrase(text, term)) length = term.length;
+    }
+    if (scope && node.parent === scope) {
+      for (const term of node.within) {
+        if (term.length > length && text === term) length = term.length;
+      }
+    }
+    if (length === 0) continue;
+    const score = length + (scope && node.ancestors.includes(scope.label) ? 0.5 : 0);
+    if (!best || score > best.score || (score === best.score && node.depth > best.node.depth)) {
+      best = { node, score };
+    }
+  }
+  return best?.node || null;
+}
+
+// Nodes named by one raw category or subject. BISAC paths ("Fiction /
+// Science Fiction / Military") and Open Library headings ("Fiction,
+// science fiction, general" or "England -- Fiction") are read segment by
+// segment, each segment scoped by the one before.
+function classifyOne(raw) {
+  const segments = String(raw || '').split(/\s*(?:\/|--|,|;)\s*/).map(normalizeText).filter(Boolean);
+  const found = [];
+  let scope = null;
+  for (const segment of segments) {
+    if (FILLER_SEGMENTS.has(segment)) continue;
+    const node = matchSegment(segment, scope);
+    if (node) {
+      found.push(node);
+      scope = node;
+    }
+  }
+  return found;
+}
+
+/**
+ * Normalize raw categories and subjects onto the taxonomy
+ * @param {Array<string>} raw - Provider categories, subjects or earlier genre values
+ * @returns {{ genre: string[], parentGenres: string[] }} The most specific
+ *   genres, best supported first, and every broader genre above them
+ */
+export function normalizeGenres(raw = []) {
+  const counts = new Map();
+  for (const value of raw) {
+    // A heading that names a genre twice still counts once
+    for (const node of new Set(classifyOne(value))) {
+      counts.set(node, (counts.get(node) || 0) + 1);
+    }
+  }
+
+  const matched = [...counts.keys()];
+  const ancestorLabels = new Set(matched.flatMap((node) => node.ancestors));
+  const specific = matched
+    .filter((node) => !ancestorLabels.has(node.label))
+    .sort((a, b) => counts.get(b) - counts.get(a) || b.depth - a.depth);
+
+  return {
+    genre: specific.map((node) => node.label),
+    parentGenres: [...ancestorLabels],
+  };
+}
+
+/**
+ * Normalized genres of a book, worked out from whatever it has stored, so
+ * books saved before normalization compare the same as new ones
+ * @returns {{ genre: string[], parentGenres: string[] }}
+ */
+export function genresOfBook(book) {
+  return normalizeGenres([
+    ...(book?.genre || []),
+    ...(book?.parentGenres || []),
+    ...(book?.categories || []),
+    ...(book?.subjects || []),
+    book?.advancedMetadata?.mainCategory,
+  ].filter(Boolean));
+}
+
+/**
+ * Broader genres above a taxonomy label, nearest last
+ */
+export function genreAncestors(label) {
+  return BY_LABEL.get(label)?.ancestors || [];
+}
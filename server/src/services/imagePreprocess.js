@@ -0,0 +1,136 @@
+/**
+ * Image Preprocessing
+ * Normalizes uploaded photos before extraction: detects the real format from
+ * magic bytes, applies EXIF rotation, downsizes to a configurable long edge,
+ * converts everything to JPEG and drops metadata (including GPS location).
+ *
+ * Configuration:
+ *   IMAGE_MAX_EDGE     - Long edge in pixels after downsizing (default: 2048,
+ *                        or 4096 when VISION_TILING is on so tiles keep detail)
+ *   IMAGE_JPEG_QUALITY - JPEG quality of the normalized image (default: 85)
+ */
+import sharp from 'sharp';
+import decodeHeic from 'heic-decode';
+
+/**
+ * Raised for uploads that are not usable images. `status` is the HTTP status
+ * to answer with and `code` a stable identifier for clients.
+ */
+export class ImageError extends Error {
+  constructor(message, { status = 415, code = 'INVALID_IMAGE', details } = {}) {
+    super(message);
+    this.name = 'ImageError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const HEIF_BRANDS = new Set(['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1']);
+
+const FORMAT_MIME_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  heic: 'image/heic',
+  avif: 'image/avif',
+  tiff: 'image/tiff',
+  bmp: 'image/bmp',
+};
+
+/**
+ * Detect the image format from the file's first bytes, ignoring whatever
+ * MIME type the client claimed
+ * @param {Buffer} buffer - File bytes
+ * @returns {{ format: string, mimeType: string }|null} null when not a supported image
+ */
+export function detectImageFormat(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  const ascii = (start, end) => buffer.toString('latin1', start, end);
+  let format = null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    format = 'jpeg';
+  } else if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    format = 'png';
+  } else if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') {
+    format = 'webp';
+  } else if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') {
+    format = 'gif';
+  } else if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    if (brand === 'avif' || brand === 'avis') format = 'avif';
+    else if (HEIF_BRANDS.has(brand)) format = 'heic';
+  } else if (ascii(0, 4) === 'II*\0' || ascii(0, 4) === 'MM\0*') {
+    format = 'tiff';
+  } else if (ascii(0, 2) === 'BM') {
+    format = 'bmp';
+  }
+
+  return format ? { format, mimeType: FORMAT_MIME_TYPES[format] } : null;
+}
+
+export function getNormalizeOptions() {
+  const tiling = String(process.env.VISION_TILING || 'false').toLowerCase() === 'true';
+  return {
+    maxEdge: Number(process.env.IMAGE_MAX_EDGE || (tiling ? 4096 : 2048)),
+    quality: Number(process.env.IMAGE_JPEG_QUALITY || 85),
+  };
+}
+
+// libvips builds without HEVC cannot read HEIC, so decode it separately
+async function openImage(buffer, format) {
+  if (format !== 'heic') return sharp(buffer, { failOn: 'error' });
+  try {
+    const { width, height, data } = await decodeHeic({ buffer });
+    return sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), { raw: { width, height, channels: 4 } });
+  } catch (e) {
+    throw new ImageError(`Could not read HEIC image: ${e.message}`);
+  }
+}
+
+/**
+ * Normalize an uploaded photo for extraction
+ * @param {Buffer} buffer - Uploaded bytes
+ * @param {Object} options - { maxEdge, quality } (see getNormalizeOptions)
+ * @returns {Promise<{ buffer, mimeType, format, width, height, originalWidth, originalHeight, resized }>}
+ * @throws {ImageError} When the bytes are not a supported image
+ */
+export async function normalizeImage(buffer, { maxEdge, quality } = getNormalizeOptions()) {
+  const detected = detectImageFormat(buffer);
+  if (!detected) {
+    throw new ImageError('Unsupported file. Please upload a JPG, PNG, WebP or HEIC photo.');
+  }
+
+  try {
+    const image = await openImage(buffer, detected.format);
+    const meta = await image.metadata();
+    // EXIF orientations 5-8 swap width and height
+    const swapped = meta.orientation >= 5;
+    const originalWidth = swapped ? meta.height : meta.width;
+    const originalHeight = swapped ? meta.width : meta.height;
+
+    // Without withMetadata(), sharp writes no EXIF, so GPS location is dropped
+    const { data, info } = await image
+      .rotate()
+      .resize({ width: maxEdge, height: maxEdge, fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality, mozjpeg: true })
+      .toBuffer({ resolveWithObject: true });
+
+    return {
+      buffer: data,
+      mimeType: 'image/jpeg',
+      format: detected.format,
+      width: info.width,
+      height: info.height,
+      originalWidth,
+      originalHeight,
+      resized: info.width !== originalWidth || info.height !== originalHeight,
+    };
+  } catch (e) {
+    if (e instanceof ImageError) throw e;
+    throw new ImageError(`Could not read ${detected.format.toUpperCase()} image: ${e.message}`);
+  }
+}
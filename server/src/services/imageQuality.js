@@ -0,0 +1,154 @@
+/**
+ * Image Quality
+ * Cheap local checks (sharpness, exposure, resolution) that catch photos the
+ * vision model will not be able to read, before any paid call is made.
+ *
+ * Configuration:
+ *   IMAGE_QUALITY_CHECK     - false to skip the check (default: true)
+ *   QUALITY_MIN_SHARPNESS   - Minimum Laplacian variance at 1024px (default: 60)
+ *   QUALITY_MIN_BRIGHTNESS  - Minimum mean brightness, 0-255 (default: 45)
+ *   QUALITY_MAX_BRIGHTNESS  - Maximum mean brightness, 0-255 (default: 225)
+ *   QUALITY_MIN_SIZE        - Minimum short side in pixels (default: 480)
+ */
+import sharp from 'sharp';
+import { normalizeImage, ImageError } from './imagePreprocess.js';
+
+// Analysis size; sharpness thresholds are calibrated for it
+const ANALYSIS_EDGE = 1024;
+
+export function isImageQualityCheckEnabled() {
+  return String(process.env.IMAGE_QUALITY_CHECK || 'true').toLowerCase() === 'true';
+}
+
+function getThresholds() {
+  return {
+    minSharpness: Number(process.env.QUALITY_MIN_SHARPNESS || 60),
+    minBrightness: Number(process.env.QUALITY_MIN_BRIGHTNESS || 45),
+    maxBrightness: Number(process.env.QUALITY_MAX_BRIGHTNESS || 225),
+    minSize: Number(process.env.QUALITY_MIN_SIZE || 480),
+  };
+}
+
+/**
+ * Variance of the 4-neighbour Laplacian over a greyscale image. Blurry
+ * photos have few sharp edges and so a low variance.
+ */
+function laplacianVariance(pixels, width, height) {
+  let sum = 0;
+  let sumSq = 0;
+  let count = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const value = pixels[i - width] + pixels[i + width] + pixels[i - 1] + pixels[i + 1] - 4 * pixels[i];
+      sum += value;
+      sumSq += value * value;
+      count++;
+    }
+  }
+  if (count === 0) return 0;
+  const mean = sum / count;
+  return sumSq / count - mean * mean;
+}
+
+function exposure(pixels) {
+  let total = 0;
+  let dark = 0;
+  let bright = 0;
+  for (const value of pixels) {
+    total += value;
+    if (value < 16) dark++;
+    else if (value > 240) bright++;
+  }
+  return {
+    brightness: total / pixels.length,
+    darkClipped: dark / pixels.length,
+    brightClipped: bright / pixels.length,
+  };
+}
+
+/**
+ * Measure a photo and list anything likely to make extraction fail
+ * @param {Buffer} buffer - Uploaded bytes
+ * @returns {Promise<{ ok: boolean, issues: Array<{ type, message, advice }>, metrics: Object }>}
+ */
+export async function assessImageQuality(buffer) {
+  const thresholds = getThresholds();
+  const image = await normalizeImage(buffer);
+  const { data, info } = await sharp(image.buffer)
+    .resize({ width: ANALYSIS_EDGE, height: ANALYSIS_EDGE, fit: 'inside', withoutEnlargement: true })
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const round = (v, digits = 1) => Math.round(v * 10 ** digits) / 10 ** digits;
+  const light = exposure(data);
+  const metrics = {
+    sharpness: round(laplacianVariance(data, info.width, info.height)),
+    brightness: round(light.brightness),
+    darkClipped: round(light.darkClipped, 3),
+    brightClipped: round(light.brightClipped, 3),
+    width: image.originalWidth,
+    height: image.originalHeight,
+  };
+
+  const issues = [];
+  if (Math.min(metrics.width, metrics.height) < thresholds.minSize) {
+    issues.push({
+      type: 'low_resolution',
+      message: `The photo is only ${metrics.width}×${metrics.height} pixels.`,
+      advice: 'Upload the original photo rather than a screenshot or a resized copy.',
+    });
+  }
+  if (metrics.brightness < thresholds.minBrightness) {
+    issues.push({
+      type: 'too_dark',
+      message: 'The photo is too dark to read the spines.',
+      advice: 'Turn on a light or move closer to a window, and avoid shooting against a bright background.',
+    });
+  } else if (metrics.brightness > thresholds.maxBrightness) {
+    issues.push({
+      type: 'too_bright',
+      message: 'The photo is overexposed, so titles are washed out.',
+      advice: 'Avoid direct sunlight or flash glare on the spines; tap the shelf on screen to set the exposure.',
+    });
+  }
+  // Dark or washed-out photos also lose edges; only call out blur on its own
+  if (issues.length === 0 && metrics.sharpness < thresholds.minSharpness) {
+    issues.push({
+      type: 'blurry',
+      message: 'The photo looks blurry.',
+      advice: 'Hold the phone steady, tap the shelf to focus, and photograph one or two shelves at a time.',
+    });
+  }
+
+  return { ok: issues.length === 0, issues, metrics };
+}
+
+/**
+ * Check every photo of a scan and fail with a structured IMAGE_QUALITY error
+ * (HTTP 422) listing the problems and advice per photo
+ * @param {Array} images - Uploaded photos ({ buffer, originalname? })
+ * @throws {ImageError} When any photo fails the check
+ */
+export async function assertImageQuality(images) {
+  if (!isImageQualityCheckEnabled()) return;
+
+  const rejected = [];
+  for (let index = 0; index < images.length; index++) {
+    const { ok, issues, metrics } = await assessImageQuality(images[index].buffer);
+    if (!ok) {
+      rejected.push({ index, name: images[index].originalname || null, issues, metrics });
+    }
+  }
+  if (rejected.length === 0) return;
+
+  console.log(`[Quality] Rejected ${rejected.length} of ${images.length} photo(s): ${rejected.map((r) => r.issues.map((i) => i.type).join('+')).join(', ')}`);
+  const [first] = rejected;
+  const which = images.length > 1 ? `Photo ${first.index + 1}: ` : '';
+  throw new ImageError(`${which}${first.issues[0].message} ${first.issues[0].advice}`, {
+    status: 422,
+    code: 'IMAGE_QUALITY',
+    details: { images: rejected },
+  });
+}
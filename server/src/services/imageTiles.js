@@ -0,0 +1,174 @@
+/**
+ * Image Tiles
+ * Splits large shelf photos into overlapping tiles so small spines stay
+ * legible to the vision model, then maps tile detections back to the full
+ * image and merges the ones that span tile edges.
+ *
+ * Configuration:
+ *   VISION_TILING          - true to tile large images (default: false)
+ *   VISION_TILE_MIN_SIZE   - Long side in pixels above which an image is tiled (default: 2400)
+ *   VISION_TILE_MAX        - Maximum number of tiles per image (default: 6)
+ *   VISION_TILE_OVERLAP    - Overlap between neighbouring tiles as a fraction of a tile (default: 0.15)
+ *   VISION_TILE_CONCURRENCY - Tiles sent to the vision provider at once (default: 2)
+ */
+import sharp from 'sharp';
+import { normalizeText } from './bookMatching.js';
+
+export function getTilingOptions() {
+  return {
+    enabled: String(process.env.VISION_TILING || 'false').toLowerCase() === 'true',
+    minSize: Number(process.env.VISION_TILE_MIN_SIZE || 2400),
+    maxTiles: Math.max(1, Number(process.env.VISION_TILE_MAX || 6)),
+    overlap: Math.min(Math.max(Number(process.env.VISION_TILE_OVERLAP ?? 0.15), 0), 0.5),
+    concurrency: Math.max(1, Number(process.env.VISION_TILE_CONCURRENCY || 2)),
+  };
+}
+
+/**
+ * Work out the tile grid for an image
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Object} options - { minSize, maxTiles, overlap }
+ * @returns {Array<{ left, top, width, height }>} Tile regions in pixels; a
+ *   single region covering the image when it is small enough
+ */
+export function planTiles(width, height, { minSize, maxTiles, overlap }) {
+  let cols = Math.ceil(width / minSize);
+  let rows = Math.ceil(height / minSize);
+  // Give up resolution along the shorter side first
+  while (cols * rows > maxTiles) {
+    if (cols >= rows && cols > 1) cols--;
+    else rows--;
+  }
+  if (cols * rows <= 1) {
+    return [{ left: 0, top: 0, width, height }];
+  }
+
+  const stepW = width / cols;
+  const stepH = height / rows;
+  const padW = (stepW * overlap) / 2;
+  const padH = (stepH * overlap) / 2;
+  const tiles = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const left = Math.max(0, Math.floor(col * stepW - padW));
+      const top = Math.max(0, Math.floor(row * stepH - padH));
+      const right = Math.min(width, Math.ceil((col + 1) * stepW + padW));
+      const bottom = Math.min(height, Math.ceil((row + 1) * stepH + padH));
+      tiles.push({ left, top, width: right - left, height: bottom - top });
+    }
+  }
+  return tiles;
+}
+
+/**
+ * Cut tiles out of an image
+ * @param {Buffer} buffer - Image bytes
+ * @param {Object} options - Tiling options (see getTilingOptions)
+ * @returns {Promise<{ width, height, tiles: Array<{ left, top, width, height, buffer }> }|null>}
+ *   null when the image does not need tiling
+ */
+export async function splitIntoTiles(buffer, options = getTilingOptions()) {
+  // Tile in the orientation the photo is displayed in
+  const oriented = await sharp(buffer).rotate().toBuffer({ resolveWithObject: true });
+  const { width, height } = oriented.info;
+  if (Math.max(width, height) <= options.minSize) return null;
+
+  const regions = planTiles(width, height, options);
+  if (regions.length <= 1) return null;
+
+  const tiles = await Promise.all(regions.map(async (region) => ({
+    ...region,
+    buffer: await sharp(oriented.data).extract(region).jpeg({ quality: 90 }).toBuffer(),
+  })));
+  return { width, height, tiles };
+}
+
+const round = (v) => Math.round(v * 10000) / 10000;
+
+/**
+ * Map a bounding box from tile fractions to full-image fractions
+ */
+export function tileBboxToImage(bbox, tile, width, height) {
+  if (!bbox) return null;
+  return {
+    x: round((tile.left + bbox.x * tile.width) / width),
+    y: round((tile.top + bbox.y * tile.height) / height),
+    w: round((bbox.w * tile.width) / width),
+    h: round((bbox.h * tile.height) / height),
+  };
+}
+
+// Share of the smaller box covered by the intersection (0-1)
+function overlapRatio(a, b) {
+  const ix = Math.max(0, Math.min(a.x + a.w, b.x + b.w) - Math.max(a.x, b.x));
+  const iy = Math.max(0, Math.min(a.y + a.h, b.y + b.h) - Math.max(a.y, b.y));
+  const smaller = Math.min(a.w * a.h, b.w * b.h);
+  return smaller > 0 ? (ix * iy) / smaller : 0;
+}
+
+function unionBbox(a, b) {
+  const x = Math.min(a.x, b.x);
+  const y = Math.min(a.y, b.y);
+  return {
+    x,
+    y,
+    w: round(Math.max(a.x + a.w, b.x + b.w) - x),
+    h: round(Math.max(a.y + a.h, b.y + b.h) - y),
+  };
+}
+
+// Same book read twice: identical titles, or one title cut off at a tile
+// edge where the two boxes overlap
+function isSameDetection(a, b) {
+  const ta = normalizeText(a.title);
+  const tb = normalizeText(b.title);
+  if (!ta || !tb) return false;
+  if (ta === tb) return true;
+  if (!a.bbox || !b.bbox || overlapRatio(a.bbox, b.bbox) < 0.3) return false;
+  return ta.includes(tb) || tb.includes(ta);
+}
+
+/**
+ * Merge detections from overlapping tiles. Boxes of the same book are joined
+ * (a spine cut by a tile edge becomes one box); the longer title and the
+ * higher confidence are kept.
+ * @param {Array} items - Detections with full-image bounding boxes
+ * @returns {Array} Merged detections
+ */
+export function mergeTileDetections(items) {
+  const merged = [];
+  for (const item of items) {
+    const existing = merged.find((m) => isSameDetection(m, item));
+    if (!existing) {
+      merged.push({ ...item });
+      continue;
+    }
+    if (existing.bbox && item.bbox && overlapRatio(existing.bbox, item.bbox) > 0) {
+      existing.bbox = unionBbox(existing.bbox, item.bbox);
+    } else if (!existing.bbox || (item.confidence ?? 0) > (existing.confidence ?? 0)) {
+      existing.bbox = item.bbox || existing.bbox;
+    }
+    if (String(item.title).length > String(existing.title).length) existing.title = item.title;
+    existing.author = existing.author || item.author;
+    existing.isbn = existing.isbn || item.isbn;
+    existing.confidence = Math.max(existing.confidence ?? 0, item.confidence ?? 0);
+  }
+  return merged;
+}
+
+/**
+ * Map over items with at most `limit` calls in flight
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
@@ -0,0 +1,76 @@
+/**
+ * ISBN Utilities
+ * Checksum validation and ISBN-10 <-> ISBN-13 conversion.
+ */
+
+/**
+ * Strip hyphens, spaces and an "ISBN" prefix; uppercase a trailing x
+ */
+export function cleanIsbn(raw) {
+  return String(raw || '')
+    .toUpperCase()
+    .replace(/^ISBN(-1[03])?:?/, '')
+    .replace(/[\s-]/g, '');
+}
+
+export function isValidIsbn10(isbn) {
+  if (!/^\d{9}[\dX]$/.test(isbn)) return false;
+  let sum = 0;
+  for (let i = 0; i < 10; i++) {
+    const digit = isbn[i] === 'X' ? 10 : Number(isbn[i]);
+    sum += digit * (10 - i);
+  }
+  return sum % 11 === 0;
+}
+
+export function isValidIsbn13(isbn) {
+  if (!/^97[89]\d{10}$/.test(isbn)) return false;
+  let sum = 0;
+  for (let i = 0; i < 13; i++) {
+    sum += Number(isbn[i]) * (i % 2 === 0 ? 1 : 3);
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Convert a valid ISBN-10 to ISBN-13 (978 prefix)
+ */
+export function isbn10To13(isbn10) {
+  const body = `978${isbn10.slice(0, 9)}`;
+  let sum = 0;
+  for (let i = 0; i < 12; i++) {
+    sum += Number(body[i]) * (i % 2 === 0 ? 1 : 3);
+  }
+  return `${body}${(10 - (sum % 10)) % 10}`;
+}
+
+/**
+ * Convert a valid ISBN-13 to ISBN-10. Only 978 ISBNs have an ISBN-10 form.
+ * @returns {string|null}
+ */
+export function isbn13To10(isbn13) {
+  if (!isbn13.startsWith('978')) return null;
+  const body = isbn13.slice(3, 12);
+  let sum = 0;
+  for (let i = 0; i < 9; i++) {
+    sum += Number(body[i]) * (10 - i);
+  }
+  const check = (11 - (sum % 11)) % 11;
+  return `${body}${check === 10 ? 'X' : check}`;
+}
+
+/**
+ * Validate an ISBN in either form and return both forms
+ * @param {string} raw - ISBN as read from a cover or returned by a provider
+ * @returns {{ isbn10: string|null, isbn13: string }|null} null when the checksum fails
+ */
+export function parseIsbn(raw) {
+  const isbn = cleanIsbn(raw);
+  if (isbn.length === 10 && isValidIsbn10(isbn)) {
+    return { isbn10: isbn, isbn13: isbn10To13(isbn) };
+  }
+  if (isbn.length === 13 && isValidIsbn13(isbn)) {
+    return { isbn10: isbn13To10(isbn), isbn13: isbn };
+  }
+  return null;
+}
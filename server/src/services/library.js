@@ -0,0 +1,232 @@
+/**
+ * Library
+ * The books each user owns. Book is a shared catalog; LibraryItem links a
+ * user to the books found in their scans and records where the user is with
+ * each one (reading status, rating and dates). Requests without a user see an
+ * empty library.
+ */
+import LibraryItem, { READING_STATUSES } from '../models/LibraryItem.js';
+import Book from '../models/Book.js';
+import { collectWorkIdentities, isKnownWork } from './works.js';
+
+/**
+ * IDs of the books in a user's library
+ * @param {string} userId - User ID (empty for anonymous requests)
+ * @returns {Promise<Set<string>>}
+ */
+export async function getOwnedBookIds(userId) {
+  if (!userId) return new Set();
+  const ids = await LibraryItem.distinct('book', { userId });
+  return new Set(ids.map(String));
+}
+
+/**
+ * Add books to a user's library. Books already there only record the scan.
+ * @param {string} userId - User ID; nothing is stored without one
+ * @param {Array} books - Book documents
+ * @param {Object} options - { scanId, source } where the books came from
+ * @returns {Promise<number>} Number of books newly added
+ */
+export async function addBooksToLibrary(userId, books = [], { scanId = null, source = 'scan' } = {}) {
+  if (!userId || books.length === 0) return 0;
+  const result = await LibraryItem.bulkWrite(books.map((book) => ({
+    updateOne: {
+      filter: { userId, book: book._id },
+      update: {
+        $setOnInsert: { userId, book: book._id, source },
+        $set: { work: book.work?._id || book.work || null },
+        ...(scanId ? { $addToSet: { scans: scanId } } : {}),
+      },
+      upsert: true,
+    },
+  })), { ordered: false });
+  return result.upsertedCount || 0;
+}
+
+/**
+ * Books in a user's library, most recently added first
+ * @param {string} userId - User ID
+ * @param {Object} options - { query } extra Book conditions, { limit, skip } paging,
+ *   { lean } return plain objects, { embeddings } include embedding vectors
+ *   (needed by the recommenders)
+ * @returns {Promise<Array>} Book documents
+ */
+export async function getLibraryBooks(userId, { query = {}, limit = 50, skip = 0, lean = false, embeddings = false } = {}) {
+  if (!userId) return [];
+  const items = await LibraryItem.find({ userId }).sort({ createdAt: -1 }).select('book').lean();
+  if (items.length === 0) return [];
+
+  const order = new Map(items.map((item, i) => [String(item.book), i]));
+  const find = Book.find({ ...query, _id: { $in: items.map((item) => item.book) } });
+  if (!embeddings) find.select('-embedding');
+  const books = lean ? await find.lean() : await find;
+  return books
+    .sort((a, b) => order.get(String(a._id)) - order.get(String(b._id)))
+    .slice(skip, skip + limit);
+}
+
+/**
+ * Drop items (recommendations) that are editions of works the user owns
+ * @param {string} userId - User ID
+ * @param {Array} items - Books or items wrapping them
+ * @param {Function} getBook - Picks the book out of each item
+ */
+export async function excludeOwnedWorks(userId, items = [], getBook = (item) => item) {
+  if (!userId || items.length === 0) return items;
+  const owned = collectWorkIdentities(await getLibraryBooks(userId, { limit: Infinity, lean: true }));
+  return items.filter((item) => !isKnownWork(getBook(item), owned));
+}
+
+// Reading state of a library item as sent to clients
+function toReading(item) {
+  return {
+    status: item.readingStatus || null,
+    rating: item.rating ?? null,
+    startedAt: item.startedAt || null,
+    finishedAt: item.finishedAt || null,
+  };
+}
+
+function parseDate(value, field) {
+  if (value === null) return { value: null };
+  const date = new Date(value);
+  if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+    return { error: `${field} must be an ISO date or null` };
+  }
+  return { value: date };
+}
+
+/**
+ * Validate a reading status update. Fields left out stay as they are; null
+ * clears them.
+ * @param {Object} input - { status, rating, startedAt, finishedAt }
+ * @returns {{ changes: Object, error: string|null }}
+ */
+export function parseReadingUpdate(input = {}) {
+  const changes = {};
+  if (input.status !== undefined) {
+    if (input.status !== null && !READING_STATUSES.includes(input.status)) {
+      return { changes, error: `status must be one of ${READING_STATUSES.join(', ')} or null` };
+    }
+    changes.status = input.status;
+  }
+  if (input.rating !== undefined) {
+    if (input.rating !== null && !(Number.isInteger(input.rating) && input.rating >= 1 && input.rating <= 5)) {
+      return { changes, error: 'rating must be a whole number from 1 to 5 or null' };
+    }
+    changes.rating = input.rating;
+  }
+  for (const field of ['startedAt', 'finishedAt']) {
+    if (input[field] === undefined) continue;
+    const { value, error } = parseDate(input[field], field);
+    if (error) return { changes, error };
+    changes[field] = value;
+  }
+  if (Object.keys(changes).length === 0) {
+    return { changes, error: 'Nothing to update' };
+  }
+  return { changes, error: null };
+}
+
+/**
+ * Set where the user is with a book in their library. Dates follow the
+ * status unless given: starting a book sets startedAt, finishing or
+ * abandoning it sets finishedAt, and "want to read" clears both.
+ * @param {string} userId - User ID
+ * @param {string} bookId - Book ID
+ * @param {Object} changes - Output of parseReadingUpdate
+ * @returns {Promise<Object|null>} { status, rating, startedAt, finishedAt }, or
+ *   null when the book is not in the user's library
+ */
+export async function setReadingStatus(userId, bookId, changes) {
+  if (!userId) return null;
+  const item = await LibraryItem.findOne({ userId, book: bookId });
+  if (!item) return null;
+
+  const now = new Date();
+  if (changes.status !== undefined && changes.status !== item.readingStatus) {
+    const wasFinished = ['read', 'abandoned'].includes(item.readingStatus);
+    item.readingStatus = changes.status || undefined;
+    if (changes.status === 'reading') {
+      item.startedAt = item.startedAt || now;
+      item.finishedAt = undefined;
+    } else if (changes.status === 'read' || changes.status === 'abandoned') {
+      if (!wasFinished) item.finishedAt = now;
+    } else {
+      item.startedAt = undefined;
+      item.finishedAt = undefined;
+    }
+  }
+  if (changes.rating !== undefined) item.rating = changes.rating ?? undefined;
+  if (changes.startedAt !== undefined) item.startedAt = changes.startedAt ?? undefined;
+  if (changes.finishedAt !== undefined) item.finishedAt = changes.finishedAt ?? undefined;
+
+  await item.save();
+  return toReading(item);
+}
+
+/**
+ * Reading status and rating of the given books in a user's library
+ * @param {string} userId - User ID
+ * @param {Array} bookIds - Book IDs
+ * @returns {Promise<Map<string, { status, rating }>>} Book ID to its reading state;
+ *   books the user has not given a status or rating are left out
+ */
+export async function getReadingStatuses(userId, bookIds = []) {
+  if (!userId || bookIds.length === 0) return new Map();
+  const items = await LibraryItem.find({
+    userId,
+    book: { $in: bookIds },
+    $or: [{ readingStatus: { $exists: true } }, { rating: { $exists: true } }],
+  }).select('book readingStatus rating').lean();
+  return new Map(items.map((item) => [String(item.book), { status: item.readingStatus || null, rating: item.rating ?? null }]));
+}
+
+/**
+ * Books as plain objects with `reading` ({ status, rating, startedAt,
+ * finishedAt }) on the ones in the user's library
+ * @param {string} userId - User ID
+ * @param {Array} books - Book documents or plain objects
+ * @returns {Promise<Array>}
+ */
+export async function withReadingStatus(userId, books = []) {
+  const plain = books.map((book) => (book?.toObject ? book.toObject() : book));
+  if (!userId || plain.length === 0) return plain;
+  const items = await LibraryItem.find({ userId, book: { $in: plain.map((b) => b._id) } })
+    .select('book readingStatus rating startedAt finishedAt')
+    .lean();
+  const byBook = new Map(items.map((item) => [String(item.book), item]));
+  return plain.map((book) => {
+    const item = byBook.get(String(book._id));
+    return item ? { ...book, reading: toReading(item) } : book;
+  });
+}
+
+/**
+ * A user's library with reading state, most recently added first
+ * @param {string} userId - User ID
+ * @param {Object} options - { status } a reading status, or 'none' for books
+ *   without one, { limit, skip } paging
+ * @returns {Promise<{ books: Array, total: number }>} Books with `reading` and `addedAt`
+ */
+export async function getLibraryItems(userId, { status, limit = 50, skip = 0 } = {}) {
+  if (!userId) return { books: [], total: 0 };
+  const query = { userId };
+  if (status === 'none') query.readingStatus = { $exists: false };
+  else if (status) query.readingStatus = status;
+
+  const [items, total] = await Promise.all([
+    LibraryItem.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate({ path: 'book', select: '-embedding' })
+      .lean(),
+    LibraryItem.countDocuments(query),
+  ]);
+  return {
+    // Items whose book was deleted are left out
+    books: items.filter((item) => item.book).map((item) => ({ ...item.book, reading: toReading(item), addedAt: item.createdAt })),
+    total,
+  };
+}
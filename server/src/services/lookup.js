@@ -1,133 +1,109 @@
-import axios from 'axios';
+import { rankMatches, authorSimilarity } from './bookMatching.js';
+import { parseIsbn } from './isbn.js';
+import { getMetadataProviders } from './metadataProviders.js';
+import { mergeMetadataRecords, groupRecordsByBook, isSameBook } from './metadataMerge.js';
 
-// Google Books API lookup - primary source for rich metadata
-// Note: Google Books API doesn't require an API key
-export async function lookupGoogleBooks(q, { limit = 3 } = {}) {
-  try {
-    let url = `https://www.googleapis.com/books/v1/volumes?q=${encodeURIComponent(q)}&maxResults=${limit}`;
-    // Optionally add API key if provided (for higher rate limits)
-    const apiKey = process.env.GOOGLE_BOOKS_API_KEY;
-    if (apiKey) {
-      url += `&key=${encodeURIComponent(apiKey)}`;
+// Query every configured provider in parallel; a provider that fails only
+// loses its own results
+async function queryProviders(call) {
+  const providers = getMetadataProviders();
+  const settled = await Promise.allSettled(providers.map((provider) => call(provider)));
+  return settled.flatMap((result, i) => {
+    if (result.status === 'rejected') {
+      console.error(`[Lookup] ${providers[i].name} failed:`, result.reason?.message);
+      return [];
     }
-    const { data } = await axios.get(url);
-    const items = data?.items || [];
-    return items.map((item) => {
-      const volumeInfo = item.volumeInfo || {};
-      const industryIdentifiers = volumeInfo.industryIdentifiers || [];
-      
-      // Extract ISBNs
-      const isbn13 = industryIdentifiers.find((id) => id.type === 'ISBN_13')?.identifier;
-      const isbn10 = industryIdentifiers.find((id) => id.type === 'ISBN_10')?.identifier;
-      
-      // Extract publication year
-      const publishedDate = volumeInfo.publishedDate || '';
-      const publicationYear = publishedDate ? parseInt(publishedDate.split('-')[0]) : null;
-      
-      // Extract series information from title or categories
-      const seriesMatch = volumeInfo.title?.match(/(.+?)\s*\((.+?)\s*#(\d+)\)/i) || 
-                       volumeInfo.subtitle?.match(/(.+?)\s*#(\d+)/i);
-      const seriesName = seriesMatch ? seriesMatch[1] : 
-                        (volumeInfo.categories?.find((cat) => cat.toLowerCase().includes('series')) || null);
-      const seriesNumber = seriesMatch ? parseInt(seriesMatch[seriesMatch.length - 1]) : null;
-      
-      return {
-        title: volumeInfo.title,
-        authors: volumeInfo.authors || [],
-        categories: volumeInfo.categories || [],
-        genre: volumeInfo.categories || [], // Use categories as genre
-        description: volumeInfo.description || '',
-        series: {
-          name: seriesName,
-          number: seriesNumber,
-        },
-        publicationYear,
-        pageCount: volumeInfo.pageCount || null,
-        publisher: volumeInfo.publisher || null,
-        language: volumeInfo.language || null,
-        isbn10: isbn10 || null,
-        isbn13: isbn13 || null,
-        thumbnail: volumeInfo.imageLinks?.thumbnail || 
-                  volumeInfo.imageLinks?.smallThumbnail || 
-                  null,
-        advancedMetadata: {
-          averageRating: volumeInfo.averageRating || null,
-          ratingsCount: volumeInfo.ratingsCount || null,
-          maturityRating: volumeInfo.maturityRating || null,
-          printType: volumeInfo.printType || null,
-          previewLink: volumeInfo.previewLink || null,
-          infoLink: volumeInfo.infoLink || null,
-          canonicalVolumeLink: volumeInfo.canonicalVolumeLink || null,
-          subtitle: volumeInfo.subtitle || null,
-          publishedDate: publishedDate || null,
-          industryIdentifiers: industryIdentifiers.map((id) => ({
-            identifierType: id.type, 
-            identifier: id.identifier,
-          })),
-          dimensions: volumeInfo.dimensions || null,
-          mainCategory: volumeInfo.mainCategory || null,
-          contentVersion: volumeInfo.contentVersion || null,
-          imageLinks: volumeInfo.imageLinks || null,
-        },
-        source: 'googlebooks',
-      };
-    });
-  } catch (error) {
-    console.error('Google Books API error:', error.message);
-    return [];
-  }
+    const records = Array.isArray(result.value) ? result.value : [result.value];
+    return records.filter(Boolean).map((record) => ({ ...record, source: record.source || providers[i].name }));
+  });
 }
 
-// Open Library lookup - fallback
-function mapDocToMeta(d) {
-  const publishedYear = d.first_publish_year || 
-                       (d.publish_date ? parseInt(d.publish_date[0]?.split('-')[0]) : null);
-  
-  return {
-    title: d.title,
-    authors: d.author_name || [],
-    categories: d.subject ? d.subject.slice(0, 5) : [],
-    genre: d.subject ? d.subject.slice(0, 5) : [],
-    description: '',
-    series: {
-      name: null,
-      number: null,
-    },
-    publicationYear: publishedYear,
-    pageCount: d.number_of_pages_median || null,
-    publisher: d.publisher?.[0] || null,
-    isbn10: (d.isbn || []).find((x) => String(x).length === 10),
-    isbn13: (d.isbn || []).find((x) => String(x).length === 13),
-    thumbnail: d.cover_i ? `https://covers.openlibrary.org/b/id/${d.cover_i}-M.jpg` : null,
-    language: d.language?.[0] || null,
-    advancedMetadata: {},
-    source: 'openlibrary',
-  };
+/**
+ * Search all metadata providers and merge the results into one record per book
+ * @param {string} q - Search query
+ * @param {Object} options - { limit } results per provider and in total
+ * @returns {Promise<Array<Object>>} Merged records in provider precedence order
+ */
+export async function lookupBookMetadata(q, { limit = 3 } = {}) {
+  const records = await queryProviders((provider) => provider.search(q, { limit }));
+  return groupRecordsByBook(records).slice(0, limit).map(mergeMetadataRecords);
 }
 
-export async function lookupOpenLibrary(q, { limit = 3 } = {}) {
-  try {
-  const url = `https://openlibrary.org/search.json?q=${encodeURIComponent(q)}&limit=${limit}`;
-  const { data } = await axios.get(url);
-  const docs = data?.docs || [];
-  return docs.map(mapDocToMeta);
-  } catch (error) {
-    console.error('Open Library API error:', error.message);
-    return [];
-  }
+/**
+ * Every provider's books by an author, unmerged. Providers without
+ * searchAuthor get a plain search for the name, so records whose authors
+ * do not match the name are dropped.
+ * @param {string} name - Author name
+ * @param {Object} options - { limit } results per provider
+ * @returns {Promise<Array<Object>>} Provider records
+ */
+export async function lookupBooksByAuthor(name, { limit = 40 } = {}) {
+  const records = await queryProviders((provider) =>
+    (provider.searchAuthor ? provider.searchAuthor(name, { limit }) : provider.search(name, { limit })));
+  return records.filter((record) => authorSimilarity(name, record.authors || []) >= 0.7);
 }
 
-// Primary lookup function - tries Google Books first, falls back to Open Library
-export async function lookupBookMetadata(q, { limit = 3 } = {}) {
-  // Try Google Books first (richer metadata)
-  const googleResults = await lookupGoogleBooks(q, { limit });
-  if (googleResults.length > 0) {
-    return googleResults;
+/**
+ * Exact lookup by ISBN across all providers that support it, merged into
+ * one record.
+ * @param {string} raw - ISBN-10 or ISBN-13, with or without hyphens
+ * @returns {Promise<Object|null>} Metadata with both ISBN forms filled in, or
+ *   null when the checksum fails or nothing is found
+ */
+export async function lookupBookByIsbn(raw) {
+  const parsed = parseIsbn(raw);
+  if (!parsed) return null;
+
+  const records = await queryProviders((provider) => (provider.lookupIsbn ? provider.lookupIsbn(parsed) : null));
+  const meta = mergeMetadataRecords(records);
+  if (!meta) return null;
+
+  // Keep the ISBN that was read, whatever the provider reported
+  return { ...meta, isbn10: parsed.isbn10 || meta.isbn10 || null, isbn13: parsed.isbn13 };
+}
+
+// Minimum match score for a lookup result to count as the book that was read
+const MATCH_THRESHOLD = Number(process.env.LOOKUP_MATCH_THRESHOLD || 0.55);
+
+const summarizeMatch = ({ meta, score }) => ({
+  title: meta.title,
+  authors: meta.authors,
+  source: meta.source,
+  score,
+});
+
+/**
+ * Find the metadata record that best matches a title/author read from a photo.
+ * Fetches several results from each provider and ranks them instead of
+ * trusting the first hit, then merges in other sources' records of that book.
+ * @param {Object} query - { title, author?, language? }
+ * @param {Object} options - { limit } results to fetch per provider, { threshold } minimum score
+ * @returns {Promise<{ status: 'resolved'|'unresolved', meta: Object|null, score: number, alternatives: Array }>}
+ */
+export async function findBestMatch(query, { limit = 5, threshold = MATCH_THRESHOLD } = {}) {
+  const q = [query.title, query.author].filter(Boolean).join(' ');
+  const records = await queryProviders((provider) => provider.search(q, { limit }));
+  const ranked = rankMatches(query, records);
+  const best = ranked[0];
+
+  if (!best || best.score < threshold) {
+    return { status: 'unresolved', meta: null, score: best?.score || 0, alternatives: ranked.slice(0, 3).map(summarizeMatch) };
   }
-  
-  // Fallback to Open Library
-  const openLibResults = await lookupOpenLibrary(q, { limit });
-  return openLibResults;
+
+  // Fill in fields from the best record for the same book in each other source
+  const sameBook = [];
+  for (const { meta } of ranked.slice(1)) {
+    if (meta.source !== best.meta.source && !sameBook.some((m) => m.source === meta.source) && isSameBook(best.meta, meta)) {
+      sameBook.push(meta);
+    }
+  }
+  const alternatives = ranked.slice(1).filter(({ meta }) => !sameBook.includes(meta));
+  return {
+    status: 'resolved',
+    meta: mergeMetadataRecords([best.meta, ...sameBook]),
+    score: best.score,
+    alternatives: alternatives.slice(0, 3).map(summarizeMatch),
+  };
 }
 
 const normalize = (title) => String(title || '').trim().toLowerCase();
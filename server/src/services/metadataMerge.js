@@ -0,0 +1,166 @@
+/**
+ * Metadata Merge
+ * Combines records for the same book from several metadata providers into
+ * one, choosing each field from the source that is best at it, and records
+ * which source every field came from.
+ */
+import { titleSimilarity, authorSimilarity } from './bookMatching.js';
+import { parseIsbn } from './isbn.js';
+
+/**
+ * How each field is chosen:
+ *   prefer  - first source in this order with a value (others follow in record order)
+ *   earliest - smallest value (first publication rather than a reprint)
+ *   cover   - highest resolution cover image
+ *   merge   - object merged key by key, preferred sources winning
+ * Fields without a rule come from the primary (best matching) record; genre
+ * and parentGenres are left to the primary so they stay consistent, and are
+ * worked out again from the merged categories and subjects when saved.
+ */
+export const FIELD_RULES = {
+  authors: { prefer: ['googlebooks', 'openlibrary'] },
+  description: { prefer: ['googlebooks', 'openlibrary'] },
+  categories: { prefer: ['googlebooks', 'openlibrary'] },
+  subjects: { prefer: ['openlibrary', 'googlebooks'] },
+  series: { prefer: ['googlebooks', 'openlibrary'] },
+  publicationYear: { earliest: true },
+  pageCount: { prefer: ['googlebooks', 'openlibrary'] },
+  publisher: { prefer: ['googlebooks', 'openlibrary'] },
+  language: { prefer: ['googlebooks', 'openlibrary'] },
+  isbn10: { prefer: ['googlebooks', 'openlibrary'] },
+  isbn13: { prefer: ['googlebooks', 'openlibrary'] },
+  thumbnail: { cover: true },
+  openLibraryWorkKey: { prefer: ['openlibrary'] },
+  advancedMetadata: { merge: ['googlebooks', 'openlibrary'] },
+};
+
+function hasValue(value) {
+  if (value === null || value === undefined || value === '') return false;
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'number') return Number.isFinite(value);
+  // Series objects are only meaningful with a name
+  if (typeof value === 'object' && 'name' in value) return Boolean(value.name);
+  if (typeof value === 'object') return Object.values(value).some(hasValue);
+  return true;
+}
+
+// Records sorted by a source preference list, keeping record order otherwise
+function byPreference(records, prefer = []) {
+  const rank = (r) => {
+    const i = prefer.indexOf(r.source);
+    return i === -1 ? prefer.length : i;
+  };
+  return records.map((r, i) => ({ r, i })).sort((a, b) => rank(a.r) - rank(b.r) || a.i - b.i).map(({ r }) => r);
+}
+
+// Rough cover resolution: Google's large renditions, then Open Library
+// covers, then Google's small thumbnails
+function coverCandidates(record) {
+  const links = record.advancedMetadata?.imageLinks || {};
+  const ranked = [
+    [links.extraLarge, 6],
+    [links.large, 5],
+    [links.medium, 4],
+    [links.small, 3],
+  ];
+  if (record.thumbnail) {
+    ranked.push([record.thumbnail, record.source === 'openlibrary' ? 2 : 1]);
+  }
+  return ranked.filter(([url]) => url).map(([url, score]) => ({ url, score, source: record.source }));
+}
+
+function pickField(field, rule, records) {
+  if (rule.earliest) {
+    const withValue = records.filter((r) => hasValue(r[field]));
+    if (withValue.length === 0) return null;
+    const best = withValue.reduce((a, b) => (b[field] < a[field] ? b : a));
+    return { value: best[field], source: best.source };
+  }
+  if (rule.cover) {
+    const best = records.flatMap(coverCandidates).sort((a, b) => b.score - a.score)[0];
+    return best ? { value: best.url, source: best.source } : null;
+  }
+  if (rule.merge) {
+    const ordered = byPreference(records, rule.merge).filter((r) => hasValue(r[field]));
+    if (ordered.length === 0) return null;
+    // Lowest precedence first so preferred sources overwrite
+    const value = {};
+    for (const r of [...ordered].reverse()) {
+      for (const [key, v] of Object.entries(r[field])) {
+        if (hasValue(v)) value[key] = v;
+      }
+    }
+    return { value, source: ordered[0].source };
+  }
+  const best = byPreference(records, rule.prefer).find((r) => hasValue(r[field]));
+  return best ? { value: best[field], source: best.source } : null;
+}
+
+/**
+ * Merge records describing the same book
+ * @param {Array<Object>} records - Provider records, primary (best match) first
+ * @returns {Object} Merged record with `sources` and per-field `provenance`
+ */
+export function mergeMetadataRecords(records) {
+  const [primary] = records;
+  if (!primary) return null;
+  if (records.length === 1) {
+    const provenance = {};
+    for (const [field, value] of Object.entries(primary)) {
+      if (field !== 'source' && hasValue(value)) provenance[field] = primary.source;
+    }
+    return { ...primary, sources: [primary.source], provenance };
+  }
+
+  const merged = { ...primary };
+  const provenance = { title: primary.source };
+  for (const [field, rule] of Object.entries(FIELD_RULES)) {
+    const picked = pickField(field, rule, records);
+    if (picked) {
+      merged[field] = picked.value;
+      provenance[field] = picked.source;
+    }
+  }
+  merged.sources = [...new Set(records.map((r) => r.source))];
+  merged.provenance = provenance;
+  return merged;
+}
+
+function sharesIsbn(a, b) {
+  const isbnsOf = (r) => [parseIsbn(r.isbn13)?.isbn13, parseIsbn(r.isbn10)?.isbn13].filter(Boolean);
+  const ours = isbnsOf(a);
+  return isbnsOf(b).some((isbn) => ours.includes(isbn));
+}
+
+/**
+ * Whether two provider records describe the same book: a shared ISBN, or
+ * near-identical titles by the same author
+ */
+export function isSameBook(a, b) {
+  if (!a?.title || !b?.title) return false;
+  if (sharesIsbn(a, b)) return true;
+  const title = Math.min(
+    titleSimilarity(a.title, b.title, b.advancedMetadata?.subtitle),
+    titleSimilarity(b.title, a.title, a.advancedMetadata?.subtitle)
+  );
+  if (title < 0.85) return false;
+  const [author] = a.authors || [];
+  if (!author || !(b.authors || []).length) return true;
+  return authorSimilarity(author, b.authors) >= 0.7;
+}
+
+/**
+ * Group provider records by book, keeping the order in which books first appear
+ * @param {Array<Object>} records - Records from all providers
+ * @returns {Array<Array<Object>>} Groups, each starting with its first record
+ */
+export function groupRecordsByBook(records) {
+  const groups = [];
+  for (const record of records) {
+    // One record per source: two editions from the same provider stay apart
+    const group = groups.find((g) => !g.some((r) => r.source === record.source) && g.some((r) => isSameBook(r, record)));
+    if (group) group.push(record);
+    else groups.push([record]);
+  }
+  return groups;
+}
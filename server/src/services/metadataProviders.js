@@ -0,0 +1,265 @@
+/**
+ * Metadata Providers
+ * Registry of book metadata sources. A provider is
+ * { name, search(query, { limit }), lookupIsbn?({ isbn10, isbn13 }),
+ * searchAuthor?(name, { limit }) } and resolves to metadata records in the
+ * Book shape with `source` set to its name.
+ * Providers never throw for network errors; they return [] or null instead.
+ *
+ * Built-in providers (select and order with METADATA_PROVIDERS, default
+ * "googlebooks,openlibrary"):
+ *   googlebooks - Google Books API (GOOGLE_BOOKS_API_KEY optional)
+ *   openlibrary - Open Library search and edition APIs
+ *
+ * Tests can swap any provider for a local stub with registerMetadataProvider.
+ */
+import axios from 'axios';
+import { cachedLookup } from './scanCache.js';
+import { parseSeriesFromTitle } from './seriesDetection.js';
+import { normalizeGenres } from './genreTaxonomy.js';
+
+// Google Books API lookup - primary source for rich metadata
+// Note: Google Books API doesn't require an API key
+async function lookupGoogleBooks(q, { limit = 3 } = {}) {
+  try {
+    // Failed requests throw before anything is cached
+    const items = await cachedLookup('google', q, async () => {
+      let url = `https://www.googleapis.com/books/v1/volumes?q=${encodeURIComponent(q)}&maxResults=${limit}`;
+      // Optionally add API key if provided (for higher rate limits)
+      const apiKey = process.env.GOOGLE_BOOKS_API_KEY;
+      if (apiKey) {
+        url += `&key=${encodeURIComponent(apiKey)}`;
+      }
+      const { data } = await axios.get(url);
+      return data?.items || [];
+    }, { variant: limit });
+    return items.map((item) => {
+      const volumeInfo = item.volumeInfo || {};
+      const industryIdentifiers = volumeInfo.industryIdentifiers || [];
+      
+      // Extract ISBNs
+      const isbn13 = industryIdentifiers.find((id) => id.type === 'ISBN_13')?.identifier;
+      const isbn10 = industryIdentifiers.find((id) => id.type === 'ISBN_10')?.identifier;
+      
+      // Extract publication year
+      const publishedDate = volumeInfo.publishedDate || '';
+      const publicationYear = publishedDate ? parseInt(publishedDate.split('-')[0]) : null;
+      
+      // Series from title/subtitle patterns such as "Dune (Dune Chronicles, #1)"
+      const series = parseSeriesFromTitle(volumeInfo.title, volumeInfo.subtitle);
+      
+      return {
+        title: volumeInfo.title,
+        authors: volumeInfo.authors || [],
+        categories: volumeInfo.categories || [],
+        ...normalizeGenres(volumeInfo.categories || []),
+        description: volumeInfo.description || '',
+        series: {
+          name: series?.name || null,
+          number: series?.number ?? null,
+        },
+        publicationYear,
+        pageCount: volumeInfo.pageCount || null,
+        publisher: volumeInfo.publisher || null,
+        language: volumeInfo.language || null,
+        isbn10: isbn10 || null,
+        isbn13: isbn13 || null,
+        thumbnail: volumeInfo.imageLinks?.thumbnail || 
+                  volumeInfo.imageLinks?.smallThumbnail || 
+                  null,
+        advancedMetadata: {
+          averageRating: volumeInfo.averageRating || null,
+          ratingsCount: volumeInfo.ratingsCount || null,
+          maturityRating: volumeInfo.maturityRating || null,
+          printType: volumeInfo.printType || null,
+          previewLink: volumeInfo.previewLink || null,
+          infoLink: volumeInfo.infoLink || null,
+          canonicalVolumeLink: volumeInfo.canonicalVolumeLink || null,
+          subtitle: volumeInfo.subtitle || null,
+          publishedDate: publishedDate || null,
+          industryIdentifiers: industryIdentifiers.map((id) => ({
+            identifierType: id.type, 
+            identifier: id.identifier,
+          })),
+          dimensions: volumeInfo.dimensions || null,
+          mainCategory: volumeInfo.mainCategory || null,
+          contentVersion: volumeInfo.contentVersion || null,
+          imageLinks: volumeInfo.imageLinks || null,
+        },
+        source: 'googlebooks',
+      };
+    });
+  } catch (error) {
+    console.error('Google Books API error:', error.message);
+    return [];
+  }
+}
+
+// Open Library search result to metadata
+function mapDocToMeta(d) {
+  const publishedYear = d.first_publish_year || 
+                       (d.publish_date ? parseInt(d.publish_date[0]?.split('-')[0]) : null);
+  
+  return {
+    title: d.title,
+    authors: d.author_name || [],
+    categories: d.subject ? d.subject.slice(0, 5) : [],
+    ...normalizeGenres(d.subject || []),
+    subjects: (d.subject || []).slice(0, 20),
+    description: '',
+    series: {
+      name: null,
+      number: null,
+    },
+    publicationYear: publishedYear,
+    pageCount: d.number_of_pages_median || null,
+    publisher: d.publisher?.[0] || null,
+    isbn10: (d.isbn || []).find((x) => String(x).length === 10),
+    isbn13: (d.isbn || []).find((x) => String(x).length === 13),
+    thumbnail: d.cover_i ? `https://covers.openlibrary.org/b/id/${d.cover_i}-M.jpg` : null,
+    language: d.language?.[0] || null,
+    openLibraryWorkKey: d.key || null,
+    advancedMetadata: {},
+    source: 'openlibrary',
+  };
+}
+
+async function lookupOpenLibrary(q, { limit = 3 } = {}) {
+  try {
+    const docs = await cachedLookup('openlibrary', q, async () => {
+      const url = `https://openlibrary.org/search.json?q=${encodeURIComponent(q)}&limit=${limit}`;
+      const { data } = await axios.get(url);
+      return data?.docs || [];
+    }, { variant: limit });
+    return docs.map(mapDocToMeta);
+  } catch (error) {
+    console.error('Open Library API error:', error.message);
+    return [];
+  }
+}
+
+// Books by an author; the author parameter matches author names only,
+// unlike a free-text query that also hits titles and subjects
+async function lookupOpenLibraryByAuthor(name, { limit = 40 } = {}) {
+  try {
+    const docs = await cachedLookup('openlibrary-author', name, async () => {
+      const url = `https://openlibrary.org/search.json?author=${encodeURIComponent(name)}&sort=editions&limit=${limit}`;
+      const { data } = await axios.get(url);
+      return data?.docs || [];
+    }, { variant: limit });
+    return docs.map(mapDocToMeta);
+  } catch (error) {
+    console.error('Open Library author search error:', error.message);
+    return [];
+  }
+}
+
+// Open Library edition record (from /isbn/{isbn}.json) to metadata
+async function mapEditionToMeta(edition) {
+  // Editions only reference authors by key
+  const authors = await Promise.all((edition.authors || []).slice(0, 3).map(async ({ key }) => {
+    try {
+      const { data } = await axios.get(`https://openlibrary.org${key}.json`);
+      return data?.name || null;
+    } catch {
+      return null;
+    }
+  }));
+  const publishedYear = parseInt(String(edition.publish_date || '').match(/\d{4}/)?.[0]) || null;
+
+  return {
+    title: edition.title,
+    authors: authors.filter(Boolean),
+    categories: (edition.subjects || []).slice(0, 5),
+    ...normalizeGenres(edition.subjects || []),
+    subjects: (edition.subjects || []).slice(0, 20),
+    description: typeof edition.description === 'string' ? edition.description : edition.description?.value || '',
+    series: {
+      name: null,
+      number: null,
+    },
+    publicationYear: publishedYear,
+    pageCount: edition.number_of_pages || null,
+    publisher: edition.publishers?.[0] || null,
+    isbn10: edition.isbn_10?.[0] || null,
+    isbn13: edition.isbn_13?.[0] || null,
+    thumbnail: edition.covers?.[0] ? `https://covers.openlibrary.org/b/id/${edition.covers[0]}-M.jpg` : null,
+    language: edition.languages?.[0]?.key?.split('/').pop() || null,
+    openLibraryWorkKey: edition.works?.[0]?.key || null,
+    advancedMetadata: {
+      subtitle: edition.subtitle || null,
+      publishedDate: edition.publish_date || null,
+    },
+    source: 'openlibrary',
+  };
+}
+
+async function lookupOpenLibraryByIsbn(isbn) {
+  try {
+    const data = await cachedLookup('openlibrary-isbn', isbn, async () => {
+      const res = await axios.get(`https://openlibrary.org/isbn/${encodeURIComponent(isbn)}.json`);
+      return res.data;
+    });
+    return data?.title ? await mapEditionToMeta(data) : null;
+  } catch (error) {
+    if (error.response?.status !== 404) {
+      console.error('Open Library ISBN lookup error:', error.message);
+    }
+    return null;
+  }
+}
+
+function createGoogleBooksProvider() {
+  return {
+    name: 'googlebooks',
+    search: lookupGoogleBooks,
+    async lookupIsbn({ isbn10, isbn13 }) {
+      for (const isbn of [isbn13, isbn10].filter(Boolean)) {
+        const [hit] = await lookupGoogleBooks(`isbn:${isbn}`, { limit: 1 });
+        if (hit) return hit;
+      }
+      return null;
+    },
+    // Google Books returns at most 40 results per request
+    searchAuthor: (name, { limit = 40 } = {}) =>
+      lookupGoogleBooks(`inauthor:"${name}"`, { limit: Math.min(limit, 40) }),
+  };
+}
+
+function createOpenLibraryProvider() {
+  return {
+    name: 'openlibrary',
+    search: lookupOpenLibrary,
+    lookupIsbn: ({ isbn13 }) => (isbn13 ? lookupOpenLibraryByIsbn(isbn13) : null),
+    searchAuthor: lookupOpenLibraryByAuthor,
+  };
+}
+
+const providers = new Map([
+  ['googlebooks', createGoogleBooksProvider],
+  ['openlibrary', createOpenLibraryProvider],
+]);
+
+/**
+ * Register (or replace) a metadata provider factory
+ * @param {string} name - Provider name used in METADATA_PROVIDERS
+ * @param {Function} factory - Returns { name, search(query, options), lookupIsbn?(isbns), searchAuthor?(name, options) }
+ */
+export function registerMetadataProvider(name, factory) {
+  providers.set(name, factory);
+}
+
+/**
+ * Configured metadata providers, in precedence order
+ * @param {string} names - Comma-separated provider names (defaults to METADATA_PROVIDERS)
+ * @returns {Array<Object>} Providers
+ */
+export function getMetadataProviders(names = process.env.METADATA_PROVIDERS || 'googlebooks,openlibrary') {
+  return String(names).split(',').map((n) => n.trim()).filter(Boolean).map((name) => {
+    const factory = providers.get(name);
+    if (!factory) {
+      throw new Error(`Unknown metadata provider "${name}". Available: ${[...providers.keys()].join(', ')}`);
+    }
+    return factory();
+  });
+}
@@ -0,0 +1,131 @@
+/**
+ * Open Library Works Enrichment
+ * Follows a book's Open Library work key to fill in what search results and
+ * other providers leave out: the work description, series, subject places
+ * and people, and the first sentence. Runs before the embedding is computed
+ * so these books are not embedded from a title alone.
+ *
+ * Configuration:
+ *   OPENLIBRARY_ENRICHMENT - false to skip enrichment (default: true)
+ */
+import axios from 'axios';
+import { cachedLookup } from './scanCache.js';
+
+const OPEN_LIBRARY = 'https://openlibrary.org';
+const EDITIONS_TO_SCAN = 10;
+
+export function isOpenLibraryEnrichmentEnabled() {
+  return String(process.env.OPENLIBRARY_ENRICHMENT || 'true').toLowerCase() === 'true';
+}
+
+// Open Library text fields are either strings or { type, value } objects
+function textValue(field) {
+  if (!field) return '';
+  return String(typeof field === 'string' ? field : field.value || '').trim();
+}
+
+async function fetchJson(cacheName, key, path) {
+  return cachedLookup(cacheName, key, async () => {
+    const { data } = await axios.get(`${OPEN_LIBRARY}${path}`);
+    return data;
+  });
+}
+
+/**
+ * Parse an Open Library series string such as "Discworld ; 12",
+ * "The Dune Chronicles, bk. 1" or "Harry Potter (1)"
+ * @returns {{ name: string, number: number|null }|null}
+ */
+export function parseSeriesString(raw) {
+  const text = String(raw || '').trim();
+  if (!text) return null;
+  const match = text.match(/^(.*?)[\s;,:(#-]+(?:bk\.?|book|vol\.?|volume|no\.?|number|#)?\s*(\d{1,3})\)?\s*$/i);
+  if (match && match[1].trim()) {
+    return { name: match[1].trim(), number: Number(match[2]) };
+  }
+  return { name: text.replace(/[\s;,]+$/, ''), number: null };
+}
+
+// Work key from the record, or from the edition of its ISBN
+async function resolveWorkKey(meta) {
+  if (meta.openLibraryWorkKey) return meta.openLibraryWorkKey;
+  if (!meta.isbn13 && !meta.isbn10) return null;
+  const isbn = meta.isbn13 || meta.isbn10;
+  try {
+    const edition = await fetchJson('openlibrary-isbn', isbn, `/isbn/${encodeURIComponent(isbn)}.json`);
+    return edition?.works?.[0]?.key || null;
+  } catch (e) {
+    if (e.response?.status !== 404) console.error('[OpenLibrary] Edition lookup failed:', e.message);
+    return null;
+  }
+}
+
+/**
+ * Work-level details for an Open Library work
+ * @param {string} workKey - e.g. "/works/OL45804W"
+ * @returns {Promise<{ description, series, subjects, subjectPlaces, subjectPeople, firstSentence }|null>}
+ */
+export async function fetchOpenLibraryWork(workKey) {
+  if (!/^\/works\/OL\d+W$/.test(String(workKey || ''))) return null;
+  const [work, editions] = await Promise.all([
+    fetchJson('openlibrary-work', workKey, `${workKey}.json`),
+    fetchJson('openlibrary-editions', workKey, `${workKey}/editions.json?limit=${EDITIONS_TO_SCAN}`)
+      .catch((e) => {
+        console.error('[OpenLibrary] Editions lookup failed:', e.message);
+        return null;
+      }),
+  ]);
+  const entries = editions?.entries || [];
+  // Series and first sentences are usually recorded on editions, not works
+  const seriesEdition = entries.find((e) => e.series?.length);
+  const sentenceEdition = entries.find((e) => textValue(e.first_sentence));
+
+  return {
+    description: textValue(work?.description),
+    series: seriesEdition ? parseSeriesString(seriesEdition.series[0]) : null,
+    subjects: (work?.subjects || []).slice(0, 20),
+    subjectPlaces: (work?.subject_places || []).slice(0, 10),
+    subjectPeople: (work?.subject_people || []).slice(0, 10),
+    firstSentence: textValue(work?.first_sentence) || textValue(sentenceEdition?.first_sentence),
+  };
+}
+
+/**
+ * Fill in empty fields of a metadata record from its Open Library work.
+ * Fields the record already has are kept; added fields are noted in
+ * `provenance`. Never throws: on failure the record is returned unchanged.
+ * @param {Object} meta - Metadata record (see metadataMerge)
+ * @returns {Promise<Object>} Enriched record
+ */
+export async function enrichWithOpenLibraryWork(meta) {
+  if (!isOpenLibraryEnrichmentEnabled() || !meta?.title) return meta;
+  try {
+    const workKey = await resolveWorkKey(meta);
+    const work = workKey ? await fetchOpenLibraryWork(workKey) : null;
+    if (!work) return meta;
+
+    const enriched = { ...meta, openLibraryWorkKey: workKey };
+    const provenance = { ...(meta.provenance || {}) };
+    const fill = (field, value, isEmpty) => {
+      if (!value || (Array.isArray(value) && value.length === 0) || !isEmpty(enriched[field])) return;
+      enriched[field] = value;
+      provenance[field] = 'openlibrary';
+    };
+    const emptyText = (v) => !String(v || '').trim();
+    const emptyList = (v) => !Array.isArray(v) || v.length === 0;
+
+    fill('description', work.description, emptyText);
+    fill('series', work.series, (v) => !v?.name);
+    fill('subjects', work.subjects, emptyList);
+    fill('subjectPlaces', work.subjectPlaces, emptyList);
+    fill('subjectPeople', work.subjectPeople, emptyList);
+    fill('firstSentence', work.firstSentence, emptyText);
+
+    enriched.provenance = provenance;
+    enriched.sources = [...new Set([...(meta.sources || [meta.source].filter(Boolean)), 'openlibrary'])];
+    return enriched;
+  } catch (e) {
+    console.error(`[OpenLibrary] Could not enrich "${meta.title}":`, e.message);
+    return meta;
+  }
+}
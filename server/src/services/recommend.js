@@ -1,7 +1,9 @@
 import Book from '../models/Book.js';
-import { lookupSimilarBooks, lookupBookMetadata } from './lookup.js';
+import { lookupSimilarBooks, lookupBookMetadata, findBestMatch } from './lookup.js';
 import { embedText, embedAndUpsert } from './embeddings.js';
 import { filterBooks, getContentFilterSettings, shouldFilterBook } from './contentFilter.js';
+import { collectWorkIdentities, isKnownWork, workIdentities, workTitleKey, dedupeByWork } from './works.js';
+import { genresOfBook } from './genreTaxonomy.js';
 import OpenAI from 'openai';
 import dotenv from 'dotenv';
 dotenv.config();
@@ -12,15 +14,19 @@ const recommendationCache = new Map();
 const CACHE_TTL = Number(process.env.RECOMMENDATION_CACHE_TTL) || 60 * 60 * 1000; // 1 hour default
 const ENABLE_CACHE = String(process.env.ENABLE_RECOMMENDATION_CACHE || 'true').toLowerCase() === 'true';
 
-// Cache key: sorted book IDs + filters
-function getCacheKey(bookIds, filters = {}) {
+// Cache key: sorted book IDs + filters + reading statuses
+function getCacheKey(bookIds, filters = {}, readingStatuses = new Map()) {
   const bookKey = bookIds.sort().join(',');
   const filterKey = JSON.stringify({
     authorPreference: filters.authorPreference || 'negative',
     languages: (filters.languages || []).sort(),
     genres: (filters.genres || []).sort(),
   });
-  return `${bookKey}|${filterKey}`;
+  const readingKey = [...readingStatuses.entries()]
+    .map(([id, { status, rating }]) => `${id}:${status || ''}:${rating || ''}`)
+    .sort()
+    .join(',');
+  return `${bookKey}|${filterKey}|${readingKey}`;
 }
 
 // Cache entry structure
@@ -95,7 +101,12 @@ export async function recommendByQueryEmbedding(queryEmbedding, { limit = 12, ex
   const normalizedExclude = excludeIds
     .map((id) => (id && id._id ? id._id : id))
     .filter(Boolean);
+  // Other editions of excluded books are excluded too
+  const excludedWorks = normalizedExclude.length
+    ? await Book.distinct('work', { _id: { $in: normalizedExclude } })
+    : [];
   const query = normalizedExclude.length ? { _id: { $nin: normalizedExclude } } : {};
+  if (excludedWorks.length) query.work = { $nin: excludedWorks };
   const books = await Book.find(query);
   const scored = books.map((b) => ({ book: b, score: cosine(queryEmbedding, b.embedding) }));
   const seen = new Set();
@@ -111,8 +122,8 @@ export async function recommendByQueryEmbedding(queryEmbedding, { limit = 12, ex
       if (filterSettings.enabled && shouldFilterBook(s.book, filterSettings)) {
         return false;
       }
-      // Filter duplicates
-      const key = s.book?._id ? String(s.book._id) : undefined;
+      // Filter duplicates, including other editions of the same work
+      const key = s.book?._id ? String(s.book.work || s.book._id) : undefined;
       if (!key || seen.has(key)) return false;
       seen.add(key);
       return true;
@@ -125,8 +136,10 @@ export async function recommendByQueryEmbedding(queryEmbedding, { limit = 12, ex
   return results.map(({ book }) => book);
 }
 
-export async function recommendFromSeedBooks(books, { limit = 12 } = {}) {
-  const seedEmbedding = averageEmbeddingFromBooks(books);
+// Books similar to the seed books; abandoned and disliked ones (per
+// readingStatuses) are excluded but do not steer the embedding
+export async function recommendFromSeedBooks(books, { limit = 12, readingStatuses = new Map() } = {}) {
+  const seedEmbedding = averageEmbeddingFromBooks(books.filter((b) => !isDisliked(b, readingStatuses)));
   if (!seedEmbedding.length) return [];
   const excludeIds = books.map((b) => b._id);
   const seedTitles = new Set(
@@ -137,11 +150,13 @@ export async function recommendFromSeedBooks(books, { limit = 12 } = {}) {
   let recs = await recommendByQueryEmbedding(seedEmbedding, { limit: limit * 2, excludeIds, includeScores: true });
   const normalize = (title) => String(title || '').trim().toLowerCase();
   const seenTitles = new Set(seedTitles);
+  const seenWorks = collectWorkIdentities(books);
   const primary = [];
   recs.forEach(({ book, confidence }) => {
     const key = normalize(book?.title);
-    if (!key || seenTitles.has(key)) return;
+    if (!key || seenTitles.has(key) || isKnownWork(book, seenWorks)) return;
     seenTitles.add(key);
+    workIdentities(book).forEach((id) => seenWorks.add(id));
     primary.push({ book, confidence });
   });
   if (primary.length >= limit) return primary.slice(0, limit);
@@ -160,8 +175,9 @@ export async function recommendFromSeedBooks(books, { limit = 12 } = {}) {
         continue;
       }
       const key = normalize(meta?.title);
-      if (!key || seenTitles.has(key)) continue;
+      if (!key || seenTitles.has(key) || isKnownWork(meta, seenWorks)) continue;
       seenTitles.add(key);
+      workIdentities(meta).forEach((id) => seenWorks.add(id));
       // Lower confidence for fallback results
       fallback.push({ book: meta, confidence: 0.4 });
       if (fallback.length >= fallbackNeeded) break;
@@ -170,10 +186,16 @@ export async function recommendFromSeedBooks(books, { limit = 12 } = {}) {
   return [...primary, ...fallback].slice(0, limit);
 }
 
+// Abandoned or rated 1-2 stars
+function isDisliked(book, readingStatuses) {
+  return readingSignalWeight(readingStatuses.get(String(book._id))) < 0.5;
+}
+
 /**
- * Extract metadata patterns from books (genres, categories, themes)
+ * Extract metadata patterns from books (genres, categories, themes). Books the
+ * reader abandoned or disliked only add authors and titles to exclude.
  */
-function extractMetadataPatterns(books) {
+function extractMetadataPatterns(books, { readingStatuses = new Map() } = {}) {
   const genres = new Set();
   const categories = new Set();
   const authors = new Set();
@@ -183,11 +205,15 @@ function extractMetadataPatterns(books) {
   const years = [];
 
   books.forEach(book => {
-    if (book.genre && Array.isArray(book.genre)) {
-      book.genre.forEach(g => {
-        if (g) genres.add(String(g).toLowerCase().trim());
+    if (book.authors && Array.isArray(book.authors)) {
+      book.authors.forEach(a => {
+        if (a) authors.add(String(a).toLowerCase().trim());
       });
     }
+    if (book.title) titles.add(String(book.title).toLowerCase().trim());
+    if (isDisliked(book, readingStatuses)) return;
+
+    genresOfBook(book).genre.forEach(g => genres.add(g.toLowerCase()));
     if (book.categories && Array.isArray(book.categories)) {
       book.categories.forEach(c => {
         if (c) categories.add(String(c).toLowerCase().trim());
@@ -197,12 +223,6 @@ function extractMetadataPatterns(books) {
     if (book.advancedMetadata?.mainCategory) {
       categories.add(String(book.advancedMetadata.mainCategory).toLowerCase().trim());
     }
-    if (book.authors && Array.isArray(book.authors)) {
-      book.authors.forEach(a => {
-        if (a) authors.add(String(a).toLowerCase().trim());
-      });
-    }
-    if (book.title) titles.add(String(book.title).toLowerCase().trim());
     if (book.series?.name) series.add(String(book.series.name).toLowerCase().trim());
     if (book.publisher) publishers.add(String(book.publisher).toLowerCase().trim());
     if (book.publicationYear) years.push(book.publicationYear);
@@ -233,11 +253,9 @@ function scoreBookByMetadata(book, patterns, excludeAuthors, excludeTitles) {
   let score = 0;
   
   // Genre matching (high weight)
-  if (book.genre && book.genre.length > 0) {
-    const bookGenres = book.genre.map(g => g.toLowerCase());
-    const genreMatches = bookGenres.filter(g => patterns.genres.includes(g)).length;
-    score += genreMatches * 3;
-  }
+  const bookGenres = genresOfBook(book).genre.map(g => g.toLowerCase());
+  const genreMatches = bookGenres.filter(g => patterns.genres.includes(g)).length;
+  score += genreMatches * 3;
   
   // Category matching (medium weight)
   if (book.categories && book.categories.length > 0) {
@@ -273,16 +291,19 @@ function scoreBookByMetadata(book, patterns, excludeAuthors, excludeTitles) {
 /**
  * Recommend books based on metadata patterns from scanned books
  * Uses genre, categories, and other metadata to find similar books
+ * @param {Object} options - { limit, readingStatuses } where readingStatuses
+ *   (book ID to { status, rating }) keeps abandoned and disliked books from
+ *   steering the search
  */
-export async function recommendByMetadata(books, { limit = 12 } = {}) {
+export async function recommendByMetadata(books, { limit = 12, readingStatuses = new Map() } = {}) {
   if (!books || books.length === 0) return [];
 
   // Extract metadata patterns from scanned books
-  const patterns = extractMetadataPatterns(books);
+  const patterns = extractMetadataPatterns(books, { readingStatuses });
   
   // If no genres/categories found, fallback to embedding-based
   if (patterns.genres.length === 0 && patterns.categories.length === 0) {
-    const results = await recommendFromSeedBooks(books, { limit });
+    const results = await recommendFromSeedBooks(books, { limit, readingStatuses });
     return results;
   }
 
@@ -305,12 +326,14 @@ export async function recommendByMetadata(books, { limit = 12 } = {}) {
   // If we have specific genres, search for books in those genres
   if (searchQueries.length === 0) {
     // Fallback: use embedding-based recommendations
-    const results = await recommendFromSeedBooks(books, { limit });
+    const results = await recommendFromSeedBooks(books, { limit, readingStatuses });
     return results;
   }
 
   const excludeAuthors = new Set(patterns.authors);
   const excludeTitles = new Set(patterns.titles);
+  // Editions of books in the collection, and editions already picked
+  const seenWorks = collectWorkIdentities(books);
   
   // Search for books using metadata queries
   const allCandidates = [];
@@ -321,8 +344,9 @@ export async function recommendByMetadata(books, { limit = 12 } = {}) {
       const results = await lookupBookMetadata(query, { limit: 20 });
       for (const meta of results) {
         const bookId = meta.isbn13 || meta.isbn10 || meta.title;
-        if (seenBookIds.has(bookId)) continue;
+        if (seenBookIds.has(bookId) || isKnownWork(meta, seenWorks)) continue;
         seenBookIds.add(bookId);
+        workIdentities(meta).forEach((id) => seenWorks.add(id));
         
         // Score the book based on metadata similarity
         const score = scoreBookByMetadata(meta, patterns, excludeAuthors, excludeTitles);
@@ -369,7 +393,7 @@ export async function recommendByMetadata(books, { limit = 12 } = {}) {
   // If we don't have enough, supplement with embedding-based recommendations
   if (recommendedBooks.length < limit) {
     const excludeIds = [...books.map(b => b._id), ...recommendedBooks.map(r => r.book._id)];
-    const seedEmbedding = averageEmbeddingFromBooks(books);
+    const seedEmbedding = averageEmbeddingFromBooks(books.filter((b) => !isDisliked(b, readingStatuses)));
     if (seedEmbedding.length > 0) {
       const embeddingRecs = await recommendByQueryEmbedding(seedEmbedding, { 
         limit: limit - recommendedBooks.length, 
@@ -393,9 +417,9 @@ export async function recommendByMetadata(books, { limit = 12 } = {}) {
     }
   }
 
-  // Sort by confidence and return
+  // Sort by confidence and return one edition per work
   recommendedBooks.sort((a, b) => b.confidence - a.confidence);
-  return recommendedBooks.slice(0, limit);
+  return dedupeByWork(recommendedBooks, (r) => r.book).slice(0, limit);
 }
 
 /**
@@ -425,9 +449,9 @@ export async function recommendFromScannedTitles(scannedTitles = [], { limit = 1
     
     for (const title of missingTitles.slice(0, 5)) {
       try {
-        const metas = await lookupBookMetadata(title, { limit: 1 });
-        if (metas[0]) {
-          const book = await embedAndUpsert(metas[0]);
+        const match = await findBestMatch({ title });
+        if (match.meta) {
+          const book = await embedAndUpsert(match.meta);
           existingBooks.push(book);
         }
       } catch (e) {
@@ -448,11 +472,72 @@ export async function recommendFromScannedTitles(scannedTitles = [], { limit = 1
   return results;
 }
 
+/**
+ * How much a library book says about the user's taste. Owning a book is a
+ * weak signal; having read and liked it a strong one, and abandoning or
+ * disliking it counts for very little.
+ * @param {Object} reading - { status, rating } from the library, if any
+ * @returns {number} Weight (0.1-1.5)
+ */
+export function readingSignalWeight(reading) {
+  const { status, rating } = reading || {};
+  if (status === 'abandoned') return 0.1;
+  if (rating && rating <= 2) return 0.2;
+  if (rating >= 4) return 1.5;
+  if (status === 'read') return 1.0;
+  if (status === 'reading') return 0.8;
+  return 0.5; // Want to read, or no status
+}
+
+const formatBookForPrompt = (b) => {
+  const title = b.title || 'Unknown Title';
+  const author = b.authors && b.authors.length > 0 
+    ? b.authors[0] 
+    : (b.author || 'Unknown Author');
+  return `"${title}" by ${author}`;
+};
+
+/**
+ * The user's books for an LLM prompt, grouped by what they did with them so
+ * read-and-liked books lead and abandoned ones are marked as such
+ * @param {Array} books - Library books
+ * @param {Map} readingStatuses - Book ID to { status, rating }
+ * @returns {string}
+ */
+function describeReadingHistory(books, readingStatuses = new Map()) {
+  if (readingStatuses.size === 0) {
+    return `Books on my shelf: ${books.map(formatBookForPrompt).join(', ')}`;
+  }
+  const groups = { loved: [], read: [], reading: [], unread: [], disliked: [] };
+  books.forEach(b => {
+    const { status, rating } = readingStatuses.get(String(b._id)) || {};
+    if (status === 'abandoned' || (rating && rating <= 2)) groups.disliked.push(b);
+    else if (rating >= 4) groups.loved.push(b);
+    else if (status === 'read') groups.read.push(b);
+    else if (status === 'reading') groups.reading.push(b);
+    else groups.unread.push(b);
+  });
+  return [
+    ['Books I\'ve read and loved', groups.loved],
+    ['Books I\'ve read', groups.read],
+    ['Currently reading', groups.reading],
+    ['On my shelf but not read yet', groups.unread],
+    ['Books I disliked or gave up on (recommend fewer like these)', groups.disliked],
+  ]
+    .filter(([, list]) => list.length > 0)
+    .map(([label, list]) => `${label}: ${list.map(formatBookForPrompt).join(', ')}`)
+    .join('\n');
+}
+
 /**
  * Analyze user preferences from scanned books
- * Extracts language distribution, genre preferences, and author diversity
+ * Extracts language distribution, genre preferences, and author diversity.
+ * Books count by readingSignalWeight, so read-and-liked books shape the
+ * preferences more than unread or abandoned ones.
+ * @param {Array} books - Library or scanned books
+ * @param {Object} options - { readingStatuses } Book ID to { status, rating }
  */
-export function analyzeUserPreferences(books) {
+export function analyzeUserPreferences(books, { readingStatuses = new Map() } = {}) {
   if (!books || books.length === 0) {
     return {
       language: { distribution: {}, confidence: 0 },
@@ -463,16 +548,20 @@ export function analyzeUserPreferences(books) {
     };
   }
 
+  const weightOf = (book) => readingSignalWeight(readingStatuses.get(String(book._id)));
+
   // Language distribution
   const languageCount = {};
   const languagesWithData = books.filter(b => b.language);
+  let totalWithLanguage = 0;
   
   languagesWithData.forEach(book => {
     const lang = String(book.language).toLowerCase().trim();
-    languageCount[lang] = (languageCount[lang] || 0) + 1;
+    const weight = weightOf(book);
+    languageCount[lang] = (languageCount[lang] || 0) + weight;
+    totalWithLanguage += weight;
   });
 
-  const totalWithLanguage = languagesWithData.length;
   const languageDistribution = {};
   let dominantLanguage = null;
   let maxLangCount = 0;
@@ -490,32 +579,39 @@ export function analyzeUserPreferences(books) {
     ? languageDistribution[dominantLanguage]
     : 0;
 
-  // Genre distribution
+  // Genre distribution over taxonomy genres, counting each book once per genre
   const genreCount = {};
+  const broadGenres = new Set();
+  let totalGenreBooks = 0;
   books.forEach(book => {
-    const genres = book.genre || book.categories || [];
-    genres.forEach(genre => {
-      const normalized = String(genre).toLowerCase().trim();
-      if (normalized) {
-        genreCount[normalized] = (genreCount[normalized] || 0) + 1;
-      }
+    const { genre, parentGenres } = genresOfBook(book);
+    if (genre.length === 0) return;
+    const weight = weightOf(book);
+    totalGenreBooks += weight;
+    [...genre, ...parentGenres].forEach(g => {
+      const normalized = g.toLowerCase();
+      genreCount[normalized] = (genreCount[normalized] || 0) + weight;
     });
+    parentGenres.forEach(g => broadGenres.add(g.toLowerCase()));
   });
 
-  const genreEntries = Object.entries(genreCount).sort((a, b) => b[1] - a[1]);
-  const topGenres = genreEntries.slice(0, 10).map(([genre]) => genre);
-  
-  const totalGenreBooks = books.filter(b => (b.genre || b.categories || []).length > 0).length;
   const genreDistribution = {};
   const genreWeights = {};
 
-  genreEntries.forEach(([genre, count]) => {
+  Object.entries(genreCount).forEach(([genre, count]) => {
     const percentage = totalGenreBooks > 0 ? count / totalGenreBooks : 0;
     genreDistribution[genre] = percentage;
-    // Weight based on frequency (more frequent = higher weight)
-    genreWeights[genre] = Math.min(percentage * 2, 1.0); // Cap at 1.0
+    // Weight based on frequency (more frequent = higher weight). Broad genres
+    // such as "Fiction" weigh a quarter, so they do not drown out the
+    // subgenres that actually tell tastes apart.
+    const weight = Math.min(percentage * 2, 1.0); // Cap at 1.0
+    genreWeights[genre] = broadGenres.has(genre) ? weight * 0.25 : weight;
   });
 
+  const topGenres = Object.keys(genreWeights)
+    .sort((a, b) => genreWeights[b] - genreWeights[a])
+    .slice(0, 10);
+
   // Author diversity
   const uniqueAuthors = new Set();
   books.forEach(book => {
@@ -611,8 +707,8 @@ function scoreRecommendationByLayers(candidateBook, userPreferences, scannedBook
   }
 
   // Layer 2: Genre Match
-  const candidateGenres = (candidateBook.genre || candidateBook.categories || [])
-    .map(g => String(g).toLowerCase().trim());
+  const { genre: specificGenres, parentGenres } = genresOfBook(candidateBook);
+  const candidateGenres = [...specificGenres, ...parentGenres].map(g => g.toLowerCase());
   
   if (genres.length > 0) {
     // User-specified genres filter (normalize for comparison)
@@ -699,22 +795,14 @@ function getOpenAI() {
   return new OpenAI({ apiKey });
 }
 
-export async function recommendWithLLM(books, { limit = 5 } = {}) {
+export async function recommendWithLLM(books, { limit = 5, readingStatuses = new Map() } = {}) {
   if (!books || books.length === 0) return [];
 
   try {
     const openai = getOpenAI();
     
-    // Create book list for AI (similar to the other app)
-    const bookList = books
-      .map(b => {
-        const title = b.title || 'Unknown Title';
-        const author = b.authors && b.authors.length > 0 
-          ? b.authors[0] 
-          : (b.author || 'Unknown Author');
-        return `"${title}" by ${author}`;
-      })
-      .join(', ');
+    // Create book list for AI, read-and-liked books first
+    const readingHistory = describeReadingHistory(books, readingStatuses);
 
     // Call OpenAI for recommendations
     const response = await openai.chat.completions.create({
@@ -726,7 +814,7 @@ export async function recommendWithLLM(books, { limit = 5 } = {}) {
         },
         {
           role: 'user',
-          content: `Based on these books I've read: ${bookList}\n\nPlease recommend ${limit} books I would enjoy. Include a brief reason for each recommendation.`
+          content: `${readingHistory}\n\nPlease recommend ${limit} books I would enjoy. Include a brief reason for each recommendation.`
         }
       ],
       response_format: { type: 'json_object' },
@@ -789,6 +877,7 @@ export async function recommendWithLLM(books, { limit = 5 } = {}) {
     const excludeAuthors = new Set(
       books.flatMap(b => (b.authors || []).map(a => String(a).toLowerCase().trim()))
     );
+    const seenWorks = collectWorkIdentities(books);
 
     for (const rec of llmRecommendations) {
       try {
@@ -805,7 +894,7 @@ export async function recommendWithLLM(books, { limit = 5 } = {}) {
           const metaTitle = String(metadata.title || '').toLowerCase().trim();
           const metaAuthors = (metadata.authors || []).map(a => String(a).toLowerCase().trim());
           
-          if (excludeTitles.has(metaTitle)) {
+          if (excludeTitles.has(metaTitle) || isKnownWork(metadata, seenWorks)) {
             console.log(`Skipping "${metadata.title}" - already in collection`);
             continue;
           }
@@ -818,6 +907,9 @@ export async function recommendWithLLM(books, { limit = 5 } = {}) {
 
           // Store the book in database and get full book object with embedding
           const bookDoc = await embedAndUpsert(metadata);
+          // The stored edition may belong to a work that was already recommended
+          if (isKnownWork(bookDoc, seenWorks)) continue;
+          workIdentities(bookDoc).forEach((id) => seenWorks.add(id));
           
           // Return enriched recommendation with full metadata
           enrichedRecommendations.push({
@@ -864,7 +956,7 @@ export async function recommendWithLLM(books, { limit = 5 } = {}) {
     console.error('LLM recommendation error:', error);
     // Fallback to metadata-based recommendations
     console.log('Falling back to metadata-based recommendations');
-    const fallbackResults = await recommendByMetadata(books, { limit });
+    const fallbackResults = await recommendByMetadata(books, { limit, readingStatuses });
     // Convert to flattened format with generic reasons and full book data
     return fallbackResults.map(({ book, confidence }) => {
       const bookData = book.toObject ? book.toObject() : book;
@@ -890,7 +982,7 @@ export function getAvailableFilterOptions(books) {
   }
 
   const languages = new Set();
-  const genres = new Set();
+  const genreCount = new Map();
   const authors = new Set();
 
   books.forEach(book => {
@@ -898,8 +990,9 @@ export function getAvailableFilterOptions(books) {
       languages.add(String(book.language).toLowerCase().trim());
     }
     
-    (book.genre || book.categories || []).forEach(g => {
-      genres.add(String(g).trim());
+    const { genre, parentGenres } = genresOfBook(book);
+    [...genre, ...parentGenres].forEach(g => {
+      genreCount.set(g, (genreCount.get(g) || 0) + 1);
     });
     
     (book.authors || []).forEach(a => {
@@ -909,7 +1002,10 @@ export function getAvailableFilterOptions(books) {
 
   return {
     languages: Array.from(languages).sort(),
-    genres: Array.from(genres).sort(),
+    // Most common first, since the client shows only the first few
+    genres: [...genreCount.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([genre]) => genre),
     authors: Array.from(authors).sort(),
   };
 }
@@ -918,7 +1014,7 @@ export function getAvailableFilterOptions(books) {
  * Generate LLM recommendations with filters applied
  * Uses caching to reduce API costs
  */
-export async function recommendWithLLMAndFilters(books, filters = {}, { limit = 5, excludeTitles = [] } = {}) {
+export async function recommendWithLLMAndFilters(books, filters = {}, { limit = 5, excludeTitles = [], readingStatuses = new Map() } = {}) {
   if (!books || books.length === 0) return [];
 
   const {
@@ -935,7 +1031,7 @@ export async function recommendWithLLMAndFilters(books, filters = {}, { limit =
 
   // Get cache key based on book IDs + filters
   const bookIds = books.map(b => String(b._id || b.id || '')).filter(Boolean);
-  const cacheKey = getCacheKey(bookIds, filters);
+  const cacheKey = getCacheKey(bookIds, filters, readingStatuses);
   
   // Try to get cached LLM recommendations (before metadata enrichment)
   let llmRecommendations = null;
@@ -952,15 +1048,7 @@ export async function recommendWithLLMAndFilters(books, filters = {}, { limit =
     try {
       const openai = getOpenAI();
       
-      const bookList = books
-        .map(b => {
-          const title = b.title || 'Unknown Title';
-          const author = b.authors && b.authors.length > 0 
-            ? b.authors[0] 
-            : (b.author || 'Unknown Author');
-          return `"${title}" by ${author}`;
-        })
-        .join(', ');
+      const readingHistory = describeReadingHistory(books, readingStatuses);
 
       // Extract unique authors from scanned books
       const scannedAuthorsSet = new Set();
@@ -986,7 +1074,7 @@ export async function recommendWithLLMAndFilters(books, filters = {}, { limit =
       }
 
       // Build user prompt with author context if needed
-      let userPrompt = `Based on these books I've read: ${bookList}\n\nPlease recommend ${limit * 2} books I would enjoy. Include a brief reason for each recommendation.`;
+      let userPrompt = `${readingHistory}\n\nPlease recommend ${limit * 2} books I would enjoy. Include a brief reason for each recommendation.`;
       if (authorPreference === 'positive' && scannedAuthorsList) {
         userPrompt += ` Remember: Only recommend books by these authors: ${scannedAuthorsList}.`;
       }
@@ -1060,12 +1148,15 @@ export async function recommendWithLLMAndFilters(books, filters = {}, { limit =
   }
 
   // Analyze user preferences
-  const userPreferences = analyzeUserPreferences(books);
+  const userPreferences = analyzeUserPreferences(books, { readingStatuses });
 
   // Fetch metadata and apply filters
   // Combine scanned book titles and already-recommended titles for exclusion
   const scannedBookTitles = new Set(books.map(b => String(b.title || '').toLowerCase().trim()));
   const allExcludeTitles = new Set([...scannedBookTitles, ...excludeTitleSet]);
+  // Other editions of scanned or already-recommended books are excluded too
+  const seenWorks = collectWorkIdentities(books);
+  const excludeWorkTitles = new Set([...excludeTitleSet].map(workTitleKey));
   const excludeAuthors = new Set(
     books.flatMap(b => (b.authors || []).map(a => String(a).toLowerCase().trim()))
   );
@@ -1121,6 +1212,7 @@ export async function recommendWithLLMAndFilters(books, filters = {}, { limit =
       const bookAuthors = (bookObj.authors || []).map(a => String(a).toLowerCase().trim());
       
       if (allExcludeTitles.has(bookTitle)) continue;
+      if (isKnownWork(bookObj, seenWorks) || excludeWorkTitles.has(workTitleKey(bookObj.title))) continue;
       
       // Apply author filter early
       if (authorPreference === 'negative' && bookAuthors.some(a => excludeAuthors.has(a))) {
@@ -1155,6 +1247,8 @@ export async function recommendWithLLMAndFilters(books, filters = {}, { limit =
       // Skip if score is too low
       if (score < 0.2) continue;
 
+      workIdentities(bookObj).forEach((id) => seenWorks.add(id));
+
       // Return flattened structure for consistency with BookCard expectations
       enrichedRecommendations.push({
         ...bookObj,
@@ -0,0 +1,156 @@
+/**
+ * Recommendation History
+ * Stores every recommendation shown to a user (one Recommendation per book)
+ * with the strategy that produced it, the filters used and the scan it was
+ * made for, so past suggestions can be shown again and strategies compared.
+ */
+import mongoose from 'mongoose';
+import Recommendation, { RECOMMENDATION_STRATEGIES } from '../models/Recommendation.js';
+
+const { Types } = mongoose;
+
+const SCORE_LAYERS = ['language', 'genre', 'author', 'other'];
+
+// A flat recommendation (book fields plus reason and confidence) as a record
+function toRecord(rec, rank, { userId, scanId, strategy, filters }) {
+  const breakdown = rec.scoreBreakdown
+    ? Object.fromEntries(SCORE_LAYERS.filter((layer) => Number.isFinite(rec.scoreBreakdown[layer])).map((layer) => [layer, rec.scoreBreakdown[layer]]))
+    : undefined;
+  return {
+    userId: userId || undefined,
+    scan: scanId || undefined,
+    book: rec._id && mongoose.isValidObjectId(rec._id) ? rec._id : undefined,
+    title: rec.title,
+    authors: (rec.authors || []).filter(Boolean),
+    reason: rec.reason,
+    confidence: Number.isFinite(rec.confidence) ? rec.confidence : undefined,
+    scoreBreakdown: breakdown,
+    strategy,
+    filters: filters
+      ? { authorPreference: filters.authorPreference, languages: filters.languages || [], genres: filters.genres || [] }
+      : undefined,
+    seriesGap: rec.seriesGap,
+    rank,
+  };
+}
+
+// Back to the flat shape recommendations are returned in
+function toFlatRecommendation({ book, title, authors, reason, confidence, scoreBreakdown, seriesGap, strategy, filters, createdAt, scan }) {
+  return {
+    ...(book || { title, authors }),
+    reason,
+    confidence,
+    ...(scoreBreakdown ? { scoreBreakdown } : {}),
+    ...(seriesGap ? { seriesGap } : {}),
+    recommendation: { strategy, filters: filters || null, scan: scan || null, createdAt },
+  };
+}
+
+/**
+ * Store the recommendations a scan produced, replacing the ones from an
+ * earlier run of the same scan (recommendations made with filters are kept)
+ * @param {Object} scan - Scan document with its userId
+ * @param {Object} results - { recommendations, seriesRecommendations, strategy }
+ *   where strategy is the pipeline's recommendation method
+ * @returns {Promise<number>} Records stored
+ */
+export async function saveScanRecommendations(scan, { recommendations = [], seriesRecommendations = [], strategy }) {
+  const context = { userId: scan.userId, scanId: scan._id };
+  const records = [
+    ...(RECOMMENDATION_STRATEGIES.includes(strategy)
+      ? recommendations.map((rec, i) => toRecord(rec, i, { ...context, strategy }))
+      : []),
+    ...seriesRecommendations.map((rec, i) => toRecord(rec, i, { ...context, strategy: 'series' })),
+  ];
+  await Recommendation.deleteMany({ scan: scan._id, filters: { $exists: false } });
+  if (records.length > 0) await Recommendation.insertMany(records, { ordered: false });
+  return records.length;
+}
+
+/**
+ * Store recommendations made with user-selected filters
+ * @param {Array} recommendations - Flat recommendations from recommendWithLLMAndFilters
+ * @param {Object} context - { userId, scanId, filters, strategy } (strategy defaults to 'llm')
+ * @returns {Promise<number>} Records stored
+ */
+export async function saveFilteredRecommendations(recommendations = [], { userId, scanId, filters = {}, strategy = 'llm' } = {}) {
+  if (recommendations.length === 0) return 0;
+  const records = recommendations.map((rec, i) => toRecord(rec, i, { userId, scanId, strategy, filters }));
+  await Recommendation.insertMany(records, { ordered: false });
+  return records.length;
+}
+
+/**
+ * A scan's stored recommendations, split the way a scan response shows them
+ * @returns {Promise<{ recommendations: Array, seriesRecommendations: Array, filteredRecommendations: Array }>}
+ */
+export async function getScanRecommendations(scanId) {
+  const records = await Recommendation.find({ scan: scanId })
+    .sort({ createdAt: 1, rank: 1 })
+    .populate({ path: 'book', select: '-embedding' })
+    .lean();
+  return {
+    recommendations: records.filter((r) => !r.filters && r.strategy !== 'series').map(toFlatRecommendation),
+    seriesRecommendations: records.filter((r) => r.strategy === 'series').map(toFlatRecommendation),
+    filteredRecommendations: records.filter((r) => r.filters).map(toFlatRecommendation),
+  };
+}
+
+/**
+ * Number of recommendations stored for each scan
+ * @param {Array} scanIds - Scan IDs
+ * @returns {Promise<Map<string, number>>} Scan ID to count
+ */
+export async function countScanRecommendations(scanIds = []) {
+  if (scanIds.length === 0) return new Map();
+  const counts = await Recommendation.aggregate([
+    { $match: { scan: { $in: scanIds.map((id) => new Types.ObjectId(String(id))) } } },
+    { $group: { _id: '$scan', count: { $sum: 1 } } },
+  ]);
+  return new Map(counts.map(({ _id, count }) => [String(_id), count]));
+}
+
+/**
+ * A user's past recommendations, newest first
+ * @param {string} userId - User ID
+ * @param {Object} options - { limit, skip, strategy }
+ * @returns {Promise<{ recommendations: Array, total: number }>} Flat recommendations,
+ *   each with recommendation: { strategy, filters, scan, createdAt }
+ */
+export async function getRecommendationHistory(userId, { limit = 20, skip = 0, strategy } = {}) {
+  if (!userId) return { recommendations: [], total: 0 };
+  const query = { userId, ...(strategy ? { strategy } : {}) };
+  const [records, total] = await Promise.all([
+    Recommendation.find(query)
+      .sort({ createdAt: -1, rank: 1 })
+      .skip(skip)
+      .limit(limit)
+      .populate({ path: 'book', select: '-embedding' })
+      .lean(),
+    Recommendation.countDocuments(query),
+  ]);
+  return { recommendations: records.map(toFlatRecommendation), total };
+}
+
+/**
+ * How each strategy has done: recommendations made, average confidence and
+ * how many could not be matched to a stored book
+ * @param {Object} options - { since } only count recommendations made after this date
+ * @returns {Promise<Array<{ strategy, count, averageConfidence, withoutBook, filtered }>>}
+ */
+export async function getRecommendationStats({ since } = {}) {
+  const stats = await Recommendation.aggregate([
+    ...(since ? [{ $match: { createdAt: { $gte: since } } }] : []),
+    {
+      $group: {
+        _id: '$strategy',
+        count: { $sum: 1 },
+        averageConfidence: { $avg: '$confidence' },
+        withoutBook: { $sum: { $cond: [{ $ifNull: ['$book', false] }, 0, 1] } },
+        filtered: { $sum: { $cond: [{ $ifNull: ['$filters', false] }, 1, 0] } },
+      },
+    },
+    { $sort: { count: -1 } },
+  ]);
+  return stats.map(({ _id, ...rest }) => ({ strategy: _id, ...rest }));
+}
@@ -0,0 +1,154 @@
+/**
+ * Scan Cache
+ * Persistent caches for vision extraction (keyed by image SHA-256 and the
+ * model/prompt version) and metadata lookups (keyed by normalized query, with
+ * a TTL). Both are skipped when MongoDB is not connected.
+ *
+ * Hits and misses are counted per scan: code running inside
+ * withCacheStats(stats, fn) adds to that stats object.
+ *
+ * Configuration:
+ *   SCAN_CACHE            - false to disable both caches (default: true)
+ *   LOOKUP_CACHE_TTL_HOURS - Lifetime of cached lookups (default: 168, one week)
+ */
+import { AsyncLocalStorage } from 'async_hooks';
+import mongoose from 'mongoose';
+import VisionCache from '../models/VisionCache.js';
+import LookupCache from '../models/LookupCache.js';
+
+const statsStorage = new AsyncLocalStorage();
+
+function isCacheEnabled() {
+  return String(process.env.SCAN_CACHE || 'true').toLowerCase() === 'true'
+    && mongoose.connection.readyState === 1;
+}
+
+export function createCacheStats() {
+  return {
+    vision: { hits: 0, misses: 0 },
+    lookup: { hits: 0, misses: 0 },
+  };
+}
+
+/**
+ * Run fn with cache hits and misses counted into stats
+ */
+export function withCacheStats(stats, fn) {
+  return statsStorage.run(stats, fn);
+}
+
+function count(kind, hit) {
+  const stats = statsStorage.getStore();
+  if (stats?.[kind]) stats[kind][hit ? 'hits' : 'misses']++;
+}
+
+// Word order matters to search, so only case and whitespace are normalized
+export function normalizeLookupQuery(q) {
+  return String(q || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function visionKey({ imageHash, provider, model, promptVersion, variant }) {
+  return [imageHash, provider, model || '-', promptVersion || '-', variant || 'whole'].join(':');
+}
+
+/**
+ * Cached vision items for an image, or null
+ * @param {Object} entry - { imageHash, provider, model, promptVersion, variant }
+ */
+export async function getCachedVisionItems(entry) {
+  if (!isCacheEnabled()) return null;
+  try {
+    const cached = await VisionCache.findOneAndUpdate(
+      { key: visionKey(entry) },
+      { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } },
+      { new: true }
+    ).lean();
+    count('vision', Boolean(cached));
+    return cached ? cached.items : null;
+  } catch (e) {
+    console.error('[Cache] Vision cache read failed:', e.message);
+    return null;
+  }
+}
+
+/**
+ * Store vision items for an image
+ * @param {Object} entry - { imageHash, provider, model, promptVersion, variant }
+ * @param {Array} items - Extracted candidates
+ */
+export async function setCachedVisionItems(entry, items) {
+  if (!isCacheEnabled()) return;
+  try {
+    await VisionCache.updateOne(
+      { key: visionKey(entry) },
+      { $set: { ...entry, key: visionKey(entry), items } },
+      { upsert: true }
+    );
+  } catch (e) {
+    console.error('[Cache] Vision cache write failed:', e.message);
+  }
+}
+
+/**
+ * Return a cached lookup result, or run fetcher and cache what it returns.
+ * Errors thrown by fetcher are not cached.
+ * @param {string} provider - Provider name, part of the key
+ * @param {string} query - Query text (normalized before use)
+ * @param {Function} fetcher - async () => results
+ * @param {Object} options - { variant } extra key part such as the result limit
+ */
+export async function cachedLookup(provider, query, fetcher, { variant = '' } = {}) {
+  if (!isCacheEnabled()) return fetcher();
+
+  const key = `${provider}:${variant}:${normalizeLookupQuery(query)}`;
+  try {
+    const cached = await LookupCache.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+    if (cached) {
+      count('lookup', true);
+      return cached.results;
+    }
+  } catch (e) {
+    console.error('[Cache] Lookup cache read failed:', e.message);
+  }
+
+  count('lookup', false);
+  const results = await fetcher();
+  const ttlHours = Number(process.env.LOOKUP_CACHE_TTL_HOURS || 168);
+  LookupCache.updateOne(
+    { key },
+    { $set: { key, provider, results, expiresAt: new Date(Date.now() + ttlHours * 3600 * 1000) } },
+    { upsert: true }
+  ).catch((e) => console.error('[Cache] Lookup cache write failed:', e.message));
+  return results;
+}
+
+/**
+ * Remove cached entries
+ * @param {Object} options - { type: 'vision'|'lookup'|'all', imageHash } where
+ *   imageHash limits vision invalidation to one image
+ * @returns {Promise<{ vision: number, lookup: number }>} Deleted entry counts
+ */
+export async function invalidateScanCache({ type = 'all', imageHash } = {}) {
+  const deleted = { vision: 0, lookup: 0 };
+  if (type === 'all' || type === 'vision') {
+    const res = await VisionCache.deleteMany(imageHash ? { imageHash } : {});
+    deleted.vision = res.deletedCount;
+  }
+  if ((type === 'all' || type === 'lookup') && !imageHash) {
+    const res = await LookupCache.deleteMany({});
+    deleted.lookup = res.deletedCount;
+  }
+  console.log(`[Cache] Invalidated ${deleted.vision} vision and ${deleted.lookup} lookup entries`);
+  return deleted;
+}
+
+/**
+ * Entry counts for each cache
+ */
+export async function getScanCacheSummary() {
+  const [vision, lookup] = await Promise.all([
+    VisionCache.estimatedDocumentCount(),
+    LookupCache.estimatedDocumentCount(),
+  ]);
+  return { vision, lookup };
+}
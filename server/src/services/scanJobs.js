@@ -0,0 +1,73 @@
+/**
+ * Scan Jobs
+ * In-memory registry of running scans. Each job keeps an ordered event log
+ * so Server-Sent Events clients can replay missed events after reconnecting.
+ */
+import { EventEmitter } from 'events';
+
+const jobs = new Map();
+const JOB_TTL = Number(process.env.SCAN_JOB_TTL) || 30 * 60 * 1000; // 30 minutes default
+
+// Drop finished jobs older than the TTL
+function pruneExpiredJobs() {
+  const now = Date.now();
+  for (const [id, job] of jobs) {
+    if (job.status !== 'running' && now - job.updatedAt > JOB_TTL) {
+      jobs.delete(id);
+    }
+  }
+}
+
+/**
+ * Register a new running job
+ * @param {string} id - Job ID (the Scan document ID)
+ * @returns {Object} Job
+ */
+export function createScanJob(id) {
+  pruneExpiredJobs();
+  const job = {
+    id: String(id),
+    status: 'running',
+    events: [],
+    emitter: new EventEmitter(),
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+  };
+  jobs.set(job.id, job);
+  return job;
+}
+
+/**
+ * Look up a job by ID
+ * @param {string} id - Job ID
+ * @returns {Object|null} Job, or null if unknown or expired
+ */
+export function getScanJob(id) {
+  pruneExpiredJobs();
+  return jobs.get(String(id)) || null;
+}
+
+/**
+ * Append an event to the job log and notify listeners
+ * @param {Object} job - Job
+ * @param {string} type - 'progress', 'done' or 'failed'
+ * @param {Object} data - Event payload
+ */
+export function publishScanJobEvent(job, type, data = {}) {
+  if (job.status !== 'running') return;
+  const event = { id: job.events.length + 1, type, data };
+  job.events.push(event);
+  job.updatedAt = Date.now();
+  if (type === 'done') job.status = 'done';
+  if (type === 'failed') job.status = 'failed';
+  job.emitter.emit('event', event);
+}
+
+/**
+ * Subscribe to new events for a job
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToScanJob(job, listener) {
+  job.emitter.on('event', listener);
+  return () => job.emitter.off('event', listener);
+}
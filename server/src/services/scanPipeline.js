@@ -0,0 +1,492 @@
+/**
+ * Scan Pipeline
+ * Runs a shelf photo through extraction, resolution, enrichment and
+ * recommendation, calling the vision model at most once per upload
+ * (not at all when an ISBN barcode can be read locally).
+ * Each stage records its timing and a summary of its results.
+ */
+import { visionExtractFromBuffer } from './visionExtract.js';
+import { decodeIsbnBarcodes } from './barcode.js';
+import { normalizeImage } from './imagePreprocess.js';
+import { hashImage } from './visionProviders.js';
+import { findBestMatch, lookupBookByIsbn } from './lookup.js';
+import { embedAndUpsert } from './embeddings.js';
+import { normalizeText } from './bookMatching.js';
+import { dedupeByWork } from './works.js';
+import { recommendByMetadata, recommendFromScannedTitles, recommendWithLLM } from './recommend.js';
+import { recommendSeriesVolumes } from './seriesRecommend.js';
+import { excludeOwnedWorks, getReadingStatuses } from './library.js';
+import { getContentFilterSettings, shouldFilterBook } from './contentFilter.js';
+import { createCacheStats, withCacheStats } from './scanCache.js';
+
+/**
+ * Flatten { book, confidence } results into the shape BookCard expects
+ */
+function toFlatRecommendations(results, reasonFn) {
+  return results.map(({ book, confidence }) => ({
+    ...(book.toObject ? book.toObject() : book),
+    confidence,
+    reason: reasonFn(confidence),
+  }));
+}
+
+// Candidates below this vision confidence are flagged for review
+const LOW_CONFIDENCE_THRESHOLD = Number(process.env.LOW_CONFIDENCE_THRESHOLD || 0.6);
+
+const candidateKey = (c) => normalizeText(c?.title);
+
+const confidenceOf = (c) => (Number.isFinite(Number(c?.confidence)) && c?.confidence !== null ? Number(c.confidence) : -1);
+
+/**
+ * Merge candidate lists from several photos of the same shelf. Titles (or
+ * ISBNs) seen in more than one photo become one candidate that keeps the
+ * most confident reading and lists every photo it appeared in.
+ * @param {...Array} lists - Candidates tagged with imageIndex
+ * @returns {Array} Merged candidates with imageIndexes
+ */
+export function mergeCandidates(...lists) {
+  const merged = [];
+  const byKey = new Map();
+  for (const c of lists.flat()) {
+    const keys = [candidateKey(c), c.isbn ? `isbn:${c.isbn}` : null].filter(Boolean);
+    const seenIn = c.imageIndexes?.length ? c.imageIndexes : [c.imageIndex ?? 0];
+    let existing = keys.map((key) => byKey.get(key)).find(Boolean);
+
+    if (!existing) {
+      existing = { ...c, imageIndexes: [...seenIn] };
+      merged.push(existing);
+    } else {
+      existing.imageIndexes = [...new Set([...existing.imageIndexes, ...seenIn])].sort((a, b) => a - b);
+      if (confidenceOf(c) > confidenceOf(existing)) {
+        Object.assign(existing, {
+          title: c.title,
+          confidence: c.confidence,
+          bbox: c.bbox,
+          imageIndex: c.imageIndex,
+          source: c.source,
+        });
+      }
+      existing.author = existing.author || c.author || null;
+      existing.isbn = existing.isbn || c.isbn || null;
+    }
+    keys.forEach((key) => byKey.set(key, existing));
+  }
+  return merged;
+}
+
+const similarReason = (confidence) =>
+  `Similar to books in your collection (${Math.round(confidence * 100)}% match)`;
+
+/**
+ * Create a pipeline for a single scan
+ * @param {Object} options - Pipeline options
+ * @param {number} options.maxCandidates - Maximum number of detected titles to resolve
+ * @param {boolean} options.useLLMRecommendations - Use the LLM recommender (falls back to metadata)
+ * @param {number} options.recommendationLimit - Number of recommendations to return
+ * @param {Function} options.onProgress - Called with { stage, message, ... } as work advances
+ * @param {string} options.userId - Scanning user; books in their library are not recommended
+ * @returns {Object} Pipeline with extract, resolve, enrich, recommend and run
+ */
+export function createScanPipeline(options = {}) {
+  const {
+    maxCandidates = Number(process.env.MAX_CANDIDATES || 10),
+    useLLMRecommendations = String(process.env.USE_LLM_RECOMMENDATIONS || 'true').toLowerCase() === 'true',
+    recommendationLimit = 5,
+    onProgress = () => {},
+    userId = null,
+  } = options;
+
+  // Progress listeners must never break the scan itself
+  const report = (event) => {
+    try {
+      onProgress(event);
+    } catch (e) {
+      console.error('[Pipeline] Progress listener failed:', e.message);
+    }
+  };
+
+  // Timing and result summary per stage, in execution order
+  const stages = [];
+  // Stored Book for each resolved candidate, keyed by normalized title
+  const booksByCandidate = new Map();
+  // Best lookup match score per candidate, including ones below the threshold
+  const matchScores = new Map();
+  // Metadata already found for decoded barcodes, keyed by ISBN-13
+  const isbnMatches = new Map();
+  // Vision and lookup cache hits/misses during this scan
+  const cacheStats = createCacheStats();
+  // Vision cache key (SHA-256 of the normalized photo) per photo index
+  const imageHashes = new Map();
+
+  async function runStage(name, fn, summarize) {
+    const startedAt = Date.now();
+    try {
+      const result = await withCacheStats(cacheStats, fn);
+      const stage = { name, ms: Date.now() - startedAt, ...summarize(result) };
+      stages.push(stage);
+      console.log(`[Pipeline] ${name} finished in ${stage.ms}ms`);
+      return result;
+    } catch (e) {
+      stages.push({ name, ms: Date.now() - startedAt, error: e.message });
+      throw e;
+    }
+  }
+
+  /**
+   * Stage 1a: decode EAN-13 barcodes locally and look their ISBNs up.
+   * Barcodes that do not resolve to a book are ignored.
+   */
+  function readBarcodes(buffer) {
+    return runStage(
+      'barcode',
+      async () => {
+        const isbns = await decodeIsbnBarcodes(buffer);
+        const candidates = [];
+        for (const isbn of isbns) {
+          const meta = await lookupBookByIsbn(isbn);
+          if (!meta?.title) {
+            console.log(`[Pipeline] Barcode ${isbn} did not match a book`);
+            continue;
+          }
+          isbnMatches.set(isbn, meta);
+          candidates.push({
+            title: meta.title,
+            author: meta.authors?.[0] || null,
+            isbn,
+            confidence: 1,
+            bbox: null,
+            source: 'barcode',
+          });
+        }
+        return { isbns, candidates };
+      },
+      ({ isbns, candidates }) => ({ decoded: isbns.length, candidates: candidates.length })
+    );
+  }
+
+  /**
+   * Stage 1: normalize the photo (format, orientation, size, metadata), then
+   * read candidate titles from it. A readable ISBN barcode wins; the vision
+   * model is only called when there is none.
+   * @param {Buffer} buffer - Image bytes
+   * @param {Object} options - { imageIndex } position of the photo within the scan,
+   *   { message } progress text
+   */
+  async function extract(buffer, { imageIndex = 0, message = 'Extracting book titles...' } = {}) {
+    report({ stage: 'extracting', message });
+    const tag = (c) => ({ ...c, imageIndex, imageIndexes: [imageIndex] });
+
+    const image = await runStage(
+      'normalize',
+      async () => {
+        const normalized = await normalizeImage(buffer);
+        return { ...normalized, imageHash: hashImage(normalized.buffer) };
+      },
+      (normalized) => ({
+        format: normalized.format,
+        width: normalized.width,
+        height: normalized.height,
+        resized: normalized.resized,
+        imageHash: normalized.imageHash,
+      })
+    );
+    imageHashes.set(imageIndex, image.imageHash);
+
+    // Barcodes are read from the upload itself: a spine barcode on a wide
+    // shelf photo is only a few pixels wide once the photo is downsized.
+    // HEIC goes through the normalized copy since sharp may not decode it.
+    const barcodes = await readBarcodes(image.format === 'heic' ? image.buffer : buffer);
+    if (barcodes.candidates.length > 0) {
+      return barcodes.candidates.map(tag);
+    }
+
+    return runStage(
+      'extract',
+      async () => {
+        const items = await visionExtractFromBuffer(image.buffer, { mimeType: image.mimeType, imageHash: image.imageHash });
+        return items
+          .filter((c) => c?.title)
+          .map((c) => tag({ ...c, source: 'vision' }));
+      },
+      (candidates) => ({ candidates: candidates.length })
+    );
+  }
+
+  /**
+   * Stage 1 for several photos of one shelf: extract each photo in turn and
+   * merge titles that appear in more than one
+   * @param {Array<Buffer>} buffers - Image bytes, in upload order
+   * @param {Object} options - { firstIndex } index of the first photo within the scan
+   * @returns {Promise<{ candidates: Array, perImage: Array<number>, imageHashes: Array<string> }>}
+   *   perImage counts the titles found in each photo; imageHashes are the
+   *   photos' vision cache keys
+   */
+  async function extractImages(buffers, { firstIndex = 0 } = {}) {
+    const perImage = [];
+    let candidates = [];
+    for (let i = 0; i < buffers.length; i++) {
+      const found = await extract(buffers[i], {
+        imageIndex: firstIndex + i,
+        message: buffers.length > 1 ? `Reading photo ${i + 1} of ${buffers.length}...` : undefined,
+      });
+      perImage.push(found.length);
+      candidates = mergeCandidates(candidates, found);
+    }
+    const hashes = buffers.map((_, i) => imageHashes.get(firstIndex + i) || null);
+    return { candidates, perImage, imageHashes: hashes };
+  }
+
+  // A valid ISBN (usually read from a cover) identifies the edition exactly;
+  // otherwise rank text search results against the OCR title and author
+  async function matchCandidate(c) {
+    const isbnMeta = c.isbn ? isbnMatches.get(c.isbn) || await lookupBookByIsbn(c.isbn) : null;
+    if (isbnMeta) {
+      return { status: 'resolved', meta: isbnMeta, score: 1 };
+    }
+    return findBestMatch({ title: c.title, author: c.author });
+  }
+
+  /**
+   * Stage 2: look up metadata for each unique candidate. Matches scoring under
+   * LOOKUP_MATCH_THRESHOLD stay unresolved and are not upserted.
+   * @returns {Promise<{ resolved: Array<{ candidate, meta, score }>, unresolved: Array }>}
+   */
+  function resolve(candidates = []) {
+    return runStage(
+      'resolve',
+      async () => {
+        const seen = new Set();
+        const unique = candidates.slice(0, maxCandidates).filter((c) => {
+          const key = candidateKey(c);
+          if (seen.has(key)) return false;
+          seen.add(key);
+          return true;
+        });
+        const resolved = [];
+        const unresolved = [];
+        report({ stage: 'resolving', resolved: 0, total: unique.length, message: `Resolving ${unique.length} titles...` });
+
+        for (const c of unique) {
+          try {
+            const match = await matchCandidate(c);
+            matchScores.set(candidateKey(c), match.score);
+            if (match.status === 'resolved') {
+              resolved.push({ candidate: c, meta: match.meta, score: match.score });
+            } else {
+              console.log(`[Pipeline] No confident match for "${c.title}" (best score ${match.score})`);
+              unresolved.push(c);
+            }
+          } catch (e) {
+            console.error(`Failed to lookup book "${c.title}":`, e.message);
+            unresolved.push(c);
+          }
+          report({
+            stage: 'resolving',
+            resolved: resolved.length,
+            total: unique.length,
+            message: `Resolved ${resolved.length} of ${unique.length} titles`,
+          });
+        }
+        return { resolved, unresolved };
+      },
+      ({ resolved, unresolved }) => ({
+        attempted: resolved.length + unresolved.length,
+        resolved: resolved.length,
+        unresolved: unresolved.length,
+      })
+    );
+  }
+
+  /**
+   * Stage 3: embed and upsert resolved metadata into Book documents
+   */
+  function enrich({ resolved = [] } = {}) {
+    return runStage(
+      'enrich',
+      async () => {
+        report({ stage: 'enriching', total: resolved.length, message: 'Fetching book metadata...' });
+        const books = [];
+        for (const { candidate, meta } of resolved) {
+          try {
+            const book = await embedAndUpsert(meta);
+            booksByCandidate.set(candidateKey(candidate), book);
+            books.push(book);
+          } catch (e) {
+            console.error(`Failed to store book "${candidate.title}":`, e.message);
+          }
+        }
+        // Two editions of the same work on one shelf are listed once
+        return dedupeByWork(books);
+      },
+      (books) => ({ books: books.length })
+    );
+  }
+
+  /**
+   * Stage 4: generate and content-filter recommendations for the scanned books
+   * @returns {Promise<{ recommendations: Array, stats: Object }>}
+   */
+  function recommend(books = [], scannedTitles = []) {
+    return runStage(
+      'recommend',
+      async () => {
+        report({ stage: 'recommending', message: 'Generating recommendations...' });
+        const stats = {
+          totalRequested: recommendationLimit,
+          totalFound: 0,
+          method: useLLMRecommendations ? 'llm' : 'metadata',
+        };
+        let recommendations = [];
+
+        // Reading status and ratings of the user's copies of these books
+        const readingStatuses = await getReadingStatuses(userId, books.map((b) => b._id));
+
+        if (useLLMRecommendations && books.length > 0) {
+          try {
+            const llmRecs = await recommendWithLLM(books, { limit: recommendationLimit, readingStatuses });
+            // LLM recommendations come pre-enriched with full metadata;
+            // flatten structure to match BookCard expectations
+            recommendations = llmRecs.map((rec) => {
+              const bookData = rec.book || {
+                title: rec.title,
+                authors: [rec.author],
+                thumbnail: null,
+              };
+              return {
+                ...(bookData.toObject ? bookData.toObject() : bookData),
+                reason: rec.reason,
+                confidence: rec.confidence || 0.8,
+              };
+            });
+          } catch (llmError) {
+            console.error('LLM recommendation failed, falling back to metadata:', llmError);
+            stats.method = 'metadata_fallback';
+            const results = await recommendByMetadata(books, { limit: 12, readingStatuses });
+            recommendations = toFlatRecommendations(results, similarReason);
+          }
+        } else if (books.length > 0) {
+          stats.method = 'metadata';
+          const results = await recommendByMetadata(books, { limit: 12, readingStatuses });
+          recommendations = toFlatRecommendations(results, similarReason);
+        } else if (scannedTitles.length > 0) {
+          stats.method = 'scanned_titles';
+          const results = await recommendFromScannedTitles(scannedTitles, { limit: 12 });
+          recommendations = toFlatRecommendations(results, () => 'Based on your scanned titles');
+        }
+        stats.totalFound = recommendations.length;
+
+        // LLM recommendations are already filtered in the prompt; filter the rest
+        const filterSettings = getContentFilterSettings();
+        const unowned = await excludeOwnedWorks(userId, recommendations);
+        const filtered = unowned
+          .filter((r) => {
+            if (stats.method === 'llm' || !filterSettings.enabled) return true;
+            return !shouldFilterBook(r, filterSettings);
+          })
+          .slice(0, stats.totalRequested);
+
+        return { recommendations: filtered, stats };
+      },
+      ({ recommendations, stats }) => ({ method: stats.method, recommendations: recommendations.length })
+    );
+  }
+
+  /**
+   * Stage 5: missing and next volumes of the series in the scanned books.
+   * A failure here leaves the other recommendations intact.
+   * @returns {Promise<Array>} Flat recommendations with a series `reason`
+   */
+  function recommendSeries(books = []) {
+    return runStage(
+      'series',
+      async () => {
+        if (books.length === 0) return [];
+        report({ stage: 'series', message: 'Checking your series for missing books...' });
+        try {
+          const results = await recommendSeriesVolumes(books, { userId });
+          const filterSettings = getContentFilterSettings();
+          return filterSettings.enabled ? results.filter((r) => !shouldFilterBook(r, filterSettings)) : results;
+        } catch (e) {
+          console.error('[Pipeline] Series recommendations failed:', e.message);
+          return [];
+        }
+      },
+      (results) => ({ recommendations: results.length })
+    );
+  }
+
+  /**
+   * Summarize every detected candidate with its match status, for storing on
+   * the Scan and drawing bounding boxes on the client
+   * @param {Array} candidates - Candidates from extract (or a corrected list)
+   * @param {Object} options - { resolved: false } marks candidates as 'pending' review
+   * @returns {Array<{ title, author, isbn, confidence, bbox, source, imageIndex, imageIndexes, status, matchScore, book }>}
+   */
+  function describeCandidates(candidates = [], { resolved = true } = {}) {
+    return candidates.map((c) => {
+      const book = booksByCandidate.get(candidateKey(c));
+      const confidence = c.confidence !== null && Number.isFinite(Number(c.confidence)) ? Number(c.confidence) : null;
+      let status = book ? 'matched' : 'unmatched';
+      if (!resolved) {
+        status = 'pending';
+      } else if (book && confidence !== null && confidence < LOW_CONFIDENCE_THRESHOLD) {
+        status = 'low_confidence';
+      }
+      return {
+        title: c.title,
+        author: c.author || null,
+        isbn: c.isbn || null,
+        confidence,
+        bbox: c.bbox || null,
+        source: c.source || 'vision',
+        imageIndex: c.imageIndex ?? null,
+        imageIndexes: c.imageIndexes || [],
+        status,
+        matchScore: matchScores.get(candidateKey(c)) ?? null,
+        book: book?._id || null,
+      };
+    });
+  }
+
+  /**
+   * Run all stages in order for one image or several photos of one shelf
+   * @param {Buffer|Array<Buffer>} input - Image bytes
+   */
+  async function run(input) {
+    const { candidates } = await extractImages(Array.isArray(input) ? input : [input]);
+    return runFromCandidates(candidates);
+  }
+
+  /**
+   * Run resolution, enrichment and recommendation for already-extracted
+   * (or user-corrected) candidates, without calling the vision model
+   */
+  async function runFromCandidates(candidates = []) {
+    const resolution = await resolve(candidates);
+    const books = await enrich(resolution);
+
+    // Only include titles that were successfully matched to books
+    // This ensures "Detected Titles" matches "Your Books"
+    const matchedTitles = books.map((b) => b.title).filter(Boolean);
+    const scannedTitles = matchedTitles.length > 0
+      ? matchedTitles
+      : candidates.map((c) => c.title);
+
+    const { recommendations, stats } = await recommend(books, scannedTitles);
+    const seriesRecommendations = await recommendSeries(books);
+
+    return {
+      candidates: describeCandidates(candidates),
+      unresolved: resolution.unresolved,
+      scannedTitles,
+      books,
+      recommendations,
+      recommendationStats: stats,
+      seriesRecommendations,
+      stages,
+      cacheStats,
+    };
+  }
+
+  return { stages, cacheStats, extract, extractImages, resolve, enrich, recommend, recommendSeries, describeCandidates, run, runFromCandidates };
+}
@@ -0,0 +1,363 @@
+/**
+ * Scan Runner
+ * Connects the scan pipeline to Scan documents: runs a pipeline for an
+ * uploaded image or a corrected title list, stores the outcome on the Scan
+ * (recommendations as Recommendation records), adds the books to the
+ * scanning user's library and builds the response shared by the upload and
+ * scan routes.
+ */
+import sharp from 'sharp';
+import { createScanPipeline, mergeCandidates } from './scanPipeline.js';
+import { createScanJob, publishScanJobEvent } from './scanJobs.js';
+import { ImageError, detectImageFormat } from './imagePreprocess.js';
+import { addBooksToLibrary, withReadingStatus } from './library.js';
+import { saveScanRecommendations, getScanRecommendations } from './recommendationHistory.js';
+import Scan from '../models/Scan.js';
+
+// Most titles looked up for one scan, across all of its photos
+const MAX_SCAN_CANDIDATES = 30;
+const MAX_CANDIDATES_PER_IMAGE = Number(process.env.MAX_CANDIDATES || 10);
+
+/**
+ * Provide user-friendly error messages
+ */
+export function getScanErrorMessage(e) {
+  // Already written for users
+  if (e instanceof ImageError) {
+    return e.message;
+  }
+  if (e.message?.includes('timeout') || e.message?.includes('TIMEOUT')) {
+    return 'Processing timeout. The image may be too large or complex. Please try a smaller image.';
+  }
+  if (e.message?.includes('rate limit') || e.status === 429) {
+    return 'Service is temporarily busy. Please try again in a moment.';
+  }
+  if (e.message) {
+    return `Processing error: ${e.message}`;
+  }
+  return 'Failed to process image';
+}
+
+/**
+ * HTTP status and JSON body for a failed scan. Image problems keep their
+ * status and code so clients can react to them; anything else is a 500.
+ * @returns {{ status: number, body: { error: string, code?: string, details?: Object } }}
+ */
+export function getScanErrorResponse(e) {
+  if (e instanceof ImageError) {
+    return {
+      status: e.status,
+      body: { error: e.message, code: e.code, ...(e.details ? { details: e.details } : {}) },
+    };
+  }
+  return { status: 500, body: { error: getScanErrorMessage(e) } };
+}
+
+function summarizeRecommendationStats(recommendationStats = {}, totalReturned = 0) {
+  return {
+    ...recommendationStats,
+    totalReturned,
+    hasLowConfidence: recommendationStats.totalFound < recommendationStats.totalRequested,
+  };
+}
+
+async function buildScanResponse(scan, { recommendations = [], seriesRecommendations = [], recommendationStats = {}, stages = [], cacheStats } = {}) {
+  const populated = await scan.populate('matchedBooks');
+  return {
+    scanId: scan._id,
+    status: scan.status,
+    scannedTitles: scan.detectedText,
+    candidates: scan.candidates,
+    // Owned books carry their reading status for the BookCard controls
+    matches: await withReadingStatus(scan.userId, populated.matchedBooks),
+    recommendations,
+    seriesRecommendations,
+    stats: {
+      ...summarizeRecommendationStats(recommendationStats, recommendations.length),
+      stages,
+      ...(cacheStats ? { cache: cacheStats } : {}),
+    }
+  };
+}
+
+/**
+ * A stored scan in the same shape as the response of the scan that made it,
+ * without running anything again
+ * @param {Object} scan - Scan document
+ * @returns {Promise<Object>} Scan response plus createdAt, updatedAt, images, error and
+ *   filteredRecommendations (made later with user-selected filters)
+ */
+export async function getScanResult(scan) {
+  await scan.populate({ path: 'matchedBooks', select: '-embedding' });
+  const plain = scan.toObject();
+  const { recommendations, seriesRecommendations, filteredRecommendations } = await getScanRecommendations(scan._id);
+  return {
+    scanId: plain._id,
+    status: plain.status,
+    createdAt: plain.createdAt,
+    updatedAt: plain.updatedAt,
+    images: plain.images || [],
+    scannedTitles: plain.detectedText || [],
+    candidates: plain.candidates || [],
+    // Books deleted since the scan are left out
+    matches: await withReadingStatus(scan.userId, (plain.matchedBooks || []).filter(Boolean)),
+    recommendations,
+    seriesRecommendations,
+    filteredRecommendations,
+    stats: plain.stats || {},
+    ...(plain.error ? { error: plain.error } : {}),
+  };
+}
+
+// Store pipeline results on the scan and build the response
+async function completeScan(scan, results) {
+  const { candidates, scannedTitles, books, recommendations, seriesRecommendations = [], recommendationStats } = results;
+  scan.set({
+    detectedText: scannedTitles,
+    candidates,
+    matchedBooks: books.map((b) => b._id),
+    stats: summarizeRecommendationStats(recommendationStats, recommendations.length),
+    status: 'complete',
+  });
+  await scan.save();
+  const added = await addBooksToLibrary(scan.userId, books, { scanId: scan._id });
+  try {
+    await saveScanRecommendations(scan, { recommendations, seriesRecommendations, strategy: recommendationStats?.method });
+  } catch (e) {
+    // The user still gets this scan's recommendations, only not later
+    console.error(`[Scan] Could not store recommendations for scan ${scan._id}:`, e.message);
+  }
+  console.log(`[Scan] Processed scan ${scan._id}: ${scannedTitles.length} titles, ${books.length} books (${added} new to the library), ${recommendations.length} recommendations`);
+  return buildScanResponse(scan, results);
+}
+
+// Upload details kept on the scan for each photo
+async function describeImages(images, perImage, imageHashes = []) {
+  return Promise.all(images.map(async (image, i) => {
+    let size = {};
+    try {
+      const { width, height } = await sharp(image.buffer).metadata();
+      size = { w: width, h: height };
+    } catch {
+      // Dimensions are informational only
+    }
+    return {
+      originalName: image.originalname || null,
+      // Detected from the bytes rather than the client's claim
+      mimeType: detectImageFormat(image.buffer)?.mimeType || image.mimetype || null,
+      size: image.size ?? image.buffer.length,
+      ...size,
+      candidates: perImage[i] ?? 0,
+      // Vision cache key, for DELETE /api/admin/cache?imageHash=
+      imageHash: imageHashes[i] || null,
+    };
+  }));
+}
+
+// Candidate subdocuments as plain objects the pipeline can work with
+function toPlainCandidate(c) {
+  const box = c.bbox;
+  return {
+    _id: c._id ? String(c._id) : null,
+    title: c.title,
+    author: c.author || null,
+    isbn: c.isbn || null,
+    confidence: c.confidence ?? null,
+    bbox: box?.w ? { x: box.x, y: box.y, w: box.w, h: box.h } : null,
+    source: c.source,
+    imageIndex: c.imageIndex ?? 0,
+    imageIndexes: c.imageIndexes?.length ? [...c.imageIndexes] : [c.imageIndex ?? 0],
+  };
+}
+
+function createPipelineForImages(scan, imageCount, onProgress) {
+  return createScanPipeline({
+    recommendationLimit: 5,
+    maxCandidates: Math.min(MAX_CANDIDATES_PER_IMAGE * Math.max(imageCount, 1), MAX_SCAN_CANDIDATES),
+    onProgress,
+    userId: scan.userId,
+  });
+}
+
+// Stop after extraction and wait for the user to confirm the titles
+async function saveForReview(scan, pipeline, candidates) {
+  scan.set({
+    detectedText: candidates.map((c) => c.title),
+    candidates: pipeline.describeCandidates(candidates, { resolved: false }),
+    matchedBooks: [],
+    stats: undefined,
+    status: 'review',
+  });
+  await scan.save();
+  return buildScanResponse(scan, { stages: pipeline.stages, cacheStats: pipeline.cacheStats });
+}
+
+/**
+ * Run the scan pipeline for one or more photos of a shelf and fill in the
+ * Scan document. Titles seen in several photos are merged, and the books
+ * found are added to the library of the scan's user.
+ * @param {Object} scan - Scan document (saved or new) with its userId set
+ * @param {Array} images - Uploaded photos ({ buffer, mimetype?, originalname?, size? })
+ * @param {Object} options - { onProgress, review } where review stops after
+ *   extraction so the user can correct titles before they are looked up
+ * @returns {Promise<Object>} Scan response
+ */
+export async function runScan(scan, images, { onProgress, review = false } = {}) {
+  const pipeline = createPipelineForImages(scan, images.length, onProgress);
+  const { candidates, perImage, imageHashes } = await pipeline.extractImages(images.map((image) => image.buffer));
+  scan.set({ images: await describeImages(images, perImage, imageHashes) });
+
+  if (review) {
+    return saveForReview(scan, pipeline, candidates);
+  }
+
+  // Resolution, enrichment and recommendation run once for all photos
+  return completeScan(scan, await pipeline.runFromCandidates(candidates));
+}
+
+/**
+ * Add photos to an existing scan. New titles are merged with the ones
+ * already detected and the whole scan is looked up again, so earlier
+ * photos' books stay in the result.
+ * @param {Object} scan - Scan document
+ * @param {Array} images - Uploaded photos
+ * @param {Object} options - { onProgress, review } where review (default: the
+ *   scan is waiting for review) stops after extraction again
+ * @returns {Promise<Object>} Scan response
+ */
+export async function addScanImages(scan, images, { onProgress, review = scan.status === 'review' } = {}) {
+  const existingImages = scan.images || [];
+  // Scans from before multi-photo support have candidates but no image list
+  const firstIndex = existingImages.length || (scan.candidates?.length ? 1 : 0);
+  const pipeline = createPipelineForImages(scan, firstIndex + images.length, onProgress);
+
+  const { candidates: added, perImage, imageHashes } = await pipeline.extractImages(
+    images.map((image) => image.buffer),
+    { firstIndex }
+  );
+  const candidates = mergeCandidates((scan.candidates || []).map(toPlainCandidate), added);
+  scan.set({ images: [...existingImages, ...await describeImages(images, perImage, imageHashes)] });
+
+  // A scan waiting for review keeps waiting, now with the new titles
+  if (review) {
+    return saveForReview(scan, pipeline, candidates);
+  }
+  return completeScan(scan, await pipeline.runFromCandidates(candidates));
+}
+
+/**
+ * Run scan work in the background as a job. Progress and the final result
+ * are published to the job and streamed from GET /api/scans/:id/events.
+ * @param {Object} scan - Saved Scan document (its _id is the job ID)
+ * @param {Function} work - ({ onProgress }) => Promise<Object> resolving to the scan response
+ * @param {Object} options - { previousStatus } the status to return the scan
+ *   to if the work fails; without it (a scan's first run) the scan is marked failed
+ * @returns {Object} The job
+ */
+export function startScanJob(scan, work, { previousStatus } = {}) {
+  const job = createScanJob(scan._id);
+
+  // Keep working after the caller has responded
+  work({ onProgress: (event) => publishScanJobEvent(job, 'progress', event) })
+    .then((result) => {
+      // Round-trip through JSON so the event carries plain objects
+      publishScanJobEvent(job, 'done', JSON.parse(JSON.stringify(result)));
+    })
+    .catch(async (e) => {
+      console.error(`[Scan] Scan job ${job.id} failed:`, e);
+      const { body } = getScanErrorResponse(e);
+      publishScanJobEvent(job, 'failed', body);
+      // The error is reported on the job; an earlier result stays as it was
+      const update = previousStatus ? { status: previousStatus } : { status: 'failed', error: body.error };
+      try {
+        await Scan.updateOne({ _id: scan._id }, update);
+      } catch (saveError) {
+        console.error(`[Scan] Failed to mark scan ${job.id} as ${update.status}:`, saveError.message);
+      }
+    });
+
+  return job;
+}
+
+/**
+ * Settle scans left 'processing' by runs that died with a previous server
+ * process (scan jobs only live in memory). A scan's first run is marked
+ * failed. A scan that already had a result (photos, titles or stats; older
+ * scans have titles but no photo list) goes back to where it was: complete
+ * when it has recommendation stats, otherwise review.
+ * @returns {Promise<number>} Number of scans settled
+ */
+export async function settleInterruptedScans() {
+  const processing = { status: 'processing' };
+  const hasStats = { 'stats.totalReturned': { $exists: true } };
+  const hadResult = { $or: [{ 'images.0': { $exists: true } }, { 'candidates.0': { $exists: true } }, hasStats] };
+  const [failed, complete, review] = await Promise.all([
+    Scan.updateMany({ ...processing, $nor: hadResult.$or }, { status: 'failed', error: 'The scan was interrupted. Please try again.' }),
+    Scan.updateMany({ ...processing, ...hasStats }, { status: 'complete' }),
+    Scan.updateMany({ ...processing, ...hadResult, 'stats.totalReturned': { $exists: false } }, { status: 'review' }),
+  ]);
+  const settled = failed.modifiedCount + complete.modifiedCount + review.modifiedCount;
+  if (settled > 0) {
+    console.log(`[Scan] Settled ${settled} interrupted scan(s): ${failed.modifiedCount} failed, ${complete.modifiedCount} complete, ${review.modifiedCount} review`);
+  }
+  return settled;
+}
+
+/**
+ * Validate a user-corrected title list
+ * @param {Array} input - [{ _id?, title, author? }]
+ * @returns {{ candidates: Array, error: string|null }}
+ */
+export function parseCorrectedCandidates(input) {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { candidates: [], error: 'candidates array is required' };
+  }
+  if (input.length > MAX_SCAN_CANDIDATES) {
+    return { candidates: [], error: `Maximum ${MAX_SCAN_CANDIDATES} titles allowed` };
+  }
+  const candidates = input
+    .map((c) => ({
+      _id: c?._id ? String(c._id) : null,
+      title: String(c?.title || '').trim().slice(0, 300),
+      author: String(c?.author || '').trim().slice(0, 200),
+    }))
+    .filter((c) => c.title);
+  if (candidates.length === 0) {
+    return { candidates: [], error: 'Every title is empty' };
+  }
+  return { candidates, error: null };
+}
+
+/**
+ * Re-run lookup and recommendations for a scan on a corrected title list.
+ * Candidates that keep their _id retain the original bounding box; edited or
+ * added titles count as confirmed by the user.
+ * @param {Object} scan - Scan document
+ * @param {Array} corrected - Output of parseCorrectedCandidates
+ * @returns {Promise<Object>} Scan response
+ */
+export async function resolveScanCandidates(scan, corrected, { onProgress } = {}) {
+  const originals = new Map((scan.candidates || []).map((c) => [String(c._id), toPlainCandidate(c)]));
+  const candidates = corrected.map((c) => {
+    const original = c._id ? originals.get(c._id) : null;
+    const unchanged = original && original.title === c.title && (original.author || '') === c.author;
+    return {
+      title: c.title,
+      author: c.author || null,
+      isbn: unchanged ? original.isbn : null,
+      bbox: original?.bbox || null,
+      confidence: unchanged ? original.confidence : 1,
+      source: unchanged ? original.source : 'manual',
+      imageIndex: original?.imageIndex ?? null,
+      imageIndexes: original?.imageIndexes || [],
+    };
+  });
+
+  const pipeline = createScanPipeline({
+    recommendationLimit: 5,
+    maxCandidates: MAX_SCAN_CANDIDATES,
+    onProgress,
+    userId: scan.userId,
+  });
+  return completeScan(scan, await pipeline.runFromCandidates(candidates));
+}
@@ -0,0 +1,103 @@
+/**
+ * Series
+ * Links books to Series documents using seriesDetection, and lists a
+ * series' volumes in reading order with the ones the user owns.
+ *
+ * Configuration:
+ *   SERIES_MIN_CONFIDENCE - Combined detector confidence needed to link a book (default: 0.5)
+ */
+import Series from '../models/Series.js';
+import Book from '../models/Book.js';
+import { detectSeries, seriesKey } from './seriesDetection.js';
+import { getOwnedBookIds } from './library.js';
+
+/**
+ * Detect a book's series and link it, creating the Series when needed.
+ * Failures are logged, not thrown.
+ * @param {Object} book - Book document
+ * @returns {Promise<Object>} The same book
+ */
+export async function assignSeries(book) {
+  try {
+    const detected = await detectSeries(book);
+    const minConfidence = Number(process.env.SERIES_MIN_CONFIDENCE || 0.5);
+    if (!detected || detected.confidence < minConfidence) return book;
+
+    const key = seriesKey(detected.name);
+    const series = await Series.findOneAndUpdate(
+      { key },
+      {
+        $setOnInsert: { key, name: detected.name },
+        $addToSet: {
+          authors: { $each: (book.authors || []).slice(0, 2) },
+          sources: { $each: detected.sources },
+        },
+      },
+      { upsert: true, new: true }
+    );
+    book.set({
+      series: { name: series.name, number: detected.number, confidence: detected.confidence },
+      seriesRef: series._id,
+    });
+    await book.save();
+  } catch (e) {
+    console.error(`[Series] Could not assign a series to "${book.title}":`, e.message);
+  }
+  return book;
+}
+
+const byReadingOrder = (a, b) =>
+  (a.number ?? Infinity) - (b.number ?? Infinity) || (a.publicationYear ?? Infinity) - (b.publicationYear ?? Infinity);
+
+/**
+ * A series with its volumes in reading order. Editions of the same work
+ * are one volume, represented by the owned edition when there is one.
+ * @param {string} id - Series ID
+ * @param {Object} options - { userId } whose library counts as owned,
+ *   { ownedBookIds } books to count as owned besides the library ones (e.g.
+ *   from a scan that is still being saved)
+ * @returns {Promise<{ series, volumes: Array<{ number, title, authors, work, book, editions, owned }>, owned, total }|null>}
+ */
+export async function getSeriesWithVolumes(id, { userId = null, ownedBookIds = [] } = {}) {
+  const series = await Series.findById(id).lean();
+  if (!series) return null;
+
+  const [books, ownedIds] = await Promise.all([
+    Book.find({ seriesRef: series._id }).select('-embedding').lean(),
+    getOwnedBookIds(userId),
+  ]);
+  ownedBookIds.forEach((bookId) => ownedIds.add(String(bookId)));
+
+  const byWork = new Map();
+  for (const book of books) {
+    const key = String(book.work || book._id);
+    if (!byWork.has(key)) byWork.set(key, []);
+    byWork.get(key).push(book);
+  }
+
+  const volumes = [...byWork.values()].map((editions) => {
+    const owned = editions.find((b) => ownedIds.has(String(b._id)));
+    const book = owned || editions[0];
+    // Editions can disagree on the number; take the most confident reading
+    const numbered = editions
+      .filter((b) => b.series?.number !== null && b.series?.number !== undefined)
+      .sort((a, b) => (b.series.confidence || 0) - (a.series.confidence || 0))[0];
+    return {
+      number: numbered ? numbered.series.number : null,
+      title: book.title,
+      authors: book.authors || [],
+      publicationYear: book.publicationYear ?? null,
+      work: book.work || null,
+      book,
+      editions: editions.length,
+      owned: Boolean(owned),
+    };
+  }).sort(byReadingOrder);
+
+  return {
+    series,
+    volumes,
+    owned: volumes.filter((v) => v.owned).length,
+    total: volumes.length,
+  };
+}
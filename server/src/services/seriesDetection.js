@@ -0,0 +1,243 @@
+/**
+ * Series Detection
+ * Works out which series a book belongs to, and its number in it, from
+ * several signals. Each signal is a detector { name, detect(book) } that
+ * resolves to [{ name, number, confidence }]; the readings are then combined.
+ *
+ * Built-in detectors (select with SERIES_DETECTORS, default "metadata,title"):
+ *   metadata - Series already on the record (Open Library editions, providers)
+ *   title    - Title and subtitle patterns such as "Dune (Dune Chronicles, #1)",
+ *              "Book Three of the Wheel of Time" or "A Discworld Novel"
+ *   llm      - Asks the recommendation model (OPENAI_API_KEY, OPENAI_SERIES_MODEL)
+ */
+import OpenAI from 'openai';
+import { normalizeText } from './bookMatching.js';
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17,
+  eighteen: 18, nineteen: 19, twenty: 20,
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9, tenth: 10,
+};
+const ROMAN = { i: 1, v: 5, x: 10, l: 50, c: 100 };
+
+const NUM = String.raw`(\d{1,3}(?:\.\d)?|${Object.keys(NUMBER_WORDS).join('|')}|[ivxlc]{1,6})`;
+const VOLUME_WORD = String.raw`(?:#|no\.?|number|book|bk\.?|vol\.?|volume|part|tome)`;
+const WORK_NOUN = String.raw`(?:novel|novella|mystery|thriller)`;
+
+// "A Psychological Thriller" describes a genre, not a series
+const GENRE_WORDS = new Set([
+  'psychological', 'gripping', 'literary', 'historical', 'gothic', 'crime', 'murder', 'cozy', 'cosy',
+  'graphic', 'short', 'new', 'debut', 'romantic', 'classic', 'spy', 'legal', 'political', 'dark',
+  'thrilling', 'chilling', 'twisty', 'domestic', 'suspense', 'detective', 'young', 'adult', 'fantasy',
+  'science', 'fiction', 'sci', 'fi', 'epic', 'heartwarming', 'feel', 'good', 'funny', 'comic',
+]);
+
+// Patterns tried in order; `name` and `num` are capture group indexes
+const TITLE_PATTERNS = [
+  // "Dune (Dune Chronicles, #1)", "Leviathan Wakes (The Expanse, Book 1)"
+  { re: new RegExp(String.raw`\(\s*([^()]+?)[\s,;:]*${VOLUME_WORD}\s*${NUM}\s*\)`, 'i'), name: 1, num: 2 },
+  // "(Book 2 of the Stormlight Archive)"
+  { re: new RegExp(String.raw`\(\s*${VOLUME_WORD}\s*${NUM}\s+(?:of|in)\s+(?:the\s+)?([^()]+?)\s*\)`, 'i'), name: 2, num: 1 },
+  // "Being the First Part of The Lord of the Rings"
+  { re: new RegExp(String.raw`^(?:being\s+)?the\s+${NUM}\s+(?:part|book|volume)\s+(?:of|in)\s+(?:the\s+)?(.+)$`, 'i'), name: 2, num: 1, subtitleOnly: true },
+  // "Book Three of the Wheel of Time", "Volume 2 in the Expanse series"
+  { re: new RegExp(String.raw`^${VOLUME_WORD}\s*${NUM}\s+(?:of|in)\s+(?:the\s+)?(.+)$`, 'i'), name: 2, num: 1, subtitleOnly: true },
+  // "The Stormlight Archive, Book 2", "Mistborn #1"
+  { re: new RegExp(String.raw`^(.+?)[\s,;:]+${VOLUME_WORD}\s*${NUM}$`, 'i'), name: 1, num: 2, subtitleOnly: true },
+  // "(A Discworld Novel)", "A Flavia de Luce Mystery"
+  { re: new RegExp(String.raw`\(\s*an?\s+(.+?)\s+${WORK_NOUN}\s*\)`, 'i'), name: 1, named: true },
+  { re: new RegExp(String.raw`^an?\s+(.+?)\s+${WORK_NOUN}$`, 'i'), name: 1, subtitleOnly: true, named: true },
+];
+
+function parseRoman(text) {
+  let total = 0;
+  for (let i = 0; i < text.length; i++) {
+    const value = ROMAN[text[i]];
+    const next = ROMAN[text[i + 1]] || 0;
+    total += value < next ? -value : value;
+  }
+  return total;
+}
+
+/**
+ * Read a volume number written as digits, a word or a Roman numeral
+ * @returns {number|null}
+ */
+export function parseSeriesNumber(raw) {
+  const text = String(raw ?? '').trim().toLowerCase();
+  if (!text) return null;
+  if (/^\d+(\.\d+)?$/.test(text)) return Number(text);
+  if (NUMBER_WORDS[text]) return NUMBER_WORDS[text];
+  if (/^[ivxlc]+$/.test(text)) return parseRoman(text) || null;
+  return null;
+}
+
+// Trailing "series"/"trilogy" and a leading article do not change the series
+export function seriesKey(name) {
+  return normalizeText(name)
+    .replace(/^(the|a|an) /, '')
+    .replace(/ (series|trilogy|saga|sequence|cycle|books)$/, '')
+    .trim();
+}
+
+function cleanSeriesName(name) {
+  return String(name || '').replace(/\s+/g, ' ').replace(/^[\s,;:-]+|[\s,;:-]+$/g, '').trim();
+}
+
+/**
+ * Series readings from a title and subtitle
+ * @returns {{ name: string, number: number|null }|null}
+ */
+export function parseSeriesFromTitle(title, subtitle) {
+  const fields = [
+    { text: String(title || ''), isSubtitle: false },
+    { text: String(subtitle || ''), isSubtitle: true },
+  ];
+  // Colons often separate the title from a series subtitle
+  const colon = fields[0].text.match(/^[^:]+:\s*(.+)$/);
+  if (colon) fields.push({ text: colon[1], isSubtitle: true });
+
+  for (const { re, name, num, subtitleOnly, named } of TITLE_PATTERNS) {
+    for (const { text, isSubtitle } of fields) {
+      if (!text || (subtitleOnly && !isSubtitle)) continue;
+      const match = text.trim().match(re);
+      if (!match) continue;
+      const seriesName = cleanSeriesName(match[name]);
+      // "(Book 1)" alone names no series
+      if (!seriesName || seriesKey(seriesName).length < 2) continue;
+      if (named && normalizeText(seriesName).split(' ').every((w) => GENRE_WORDS.has(w))) continue;
+      return { name: seriesName, number: num ? parseSeriesNumber(match[num]) : null };
+    }
+  }
+  return null;
+}
+
+function createMetadataDetector() {
+  return {
+    name: 'metadata',
+    detect(book) {
+      const name = cleanSeriesName(book.series?.name);
+      if (!name) return [];
+      // Open Library series data is curated; other provider guesses less so
+      const fromOpenLibrary = (book.provenance?.get?.('series') || book.provenance?.series) === 'openlibrary';
+      const number = parseSeriesNumber(book.series?.number);
+      return [{ name, number, confidence: fromOpenLibrary ? 0.8 : 0.6 }];
+    },
+  };
+}
+
+function createTitleDetector() {
+  return {
+    name: 'title',
+    detect(book) {
+      const parsed = parseSeriesFromTitle(book.title, book.advancedMetadata?.subtitle);
+      if (!parsed) return [];
+      return [{ ...parsed, confidence: parsed.number !== null ? 0.7 : 0.5 }];
+    },
+  };
+}
+
+function createLLMDetector() {
+  return {
+    name: 'llm',
+    async detect(book) {
+      const apiKey = process.env.OPENAI_API_KEY;
+      if (!apiKey || !book.title) return [];
+      const openai = new OpenAI({ apiKey });
+      const response = await openai.chat.completions.create({
+        model: process.env.OPENAI_SERIES_MODEL || process.env.OPENAI_RECOMMENDATION_MODEL || 'gpt-4o-mini',
+        messages: [
+          {
+            role: 'system',
+            content: 'You identify book series. Return JSON only: { "series": string|null, "number": number|null, "confidence": number (0-1) }. Use the series\' usual English name and the book\'s reading-order number. Return null for standalone books and do not guess.',
+          },
+          {
+            role: 'user',
+            content: `"${book.title}"${book.advancedMetadata?.subtitle ? `: ${book.advancedMetadata.subtitle}` : ''} by ${(book.authors || []).join(', ') || 'unknown author'}`,
+          },
+        ],
+        response_format: { type: 'json_object' },
+        temperature: 0,
+      });
+      let parsed = {};
+      try {
+        parsed = JSON.parse(response.choices?.[0]?.message?.content || '{}');
+      } catch {
+        return [];
+      }
+      const name = cleanSeriesName(parsed.series);
+      if (!name) return [];
+      const confidence = Math.min(Math.max(Number(parsed.confidence) || 0.5, 0), 0.9);
+      return [{ name, number: parseSeriesNumber(parsed.number), confidence }];
+    },
+  };
+}
+
+const detectors = new Map([
+  ['metadata', createMetadataDetector],
+  ['title', createTitleDetector],
+  ['llm', createLLMDetector],
+]);
+
+/**
+ * Register (or replace) a series detector factory
+ * @param {string} name - Detector name used in SERIES_DETECTORS
+ * @param {Function} factory - Returns { name, detect(book) }
+ */
+export function registerSeriesDetector(name, factory) {
+  detectors.set(name, factory);
+}
+
+function getSeriesDetectors(names = process.env.SERIES_DETECTORS || 'metadata,title') {
+  return String(names).split(',').map((n) => n.trim()).filter(Boolean).map((name) => {
+    const factory = detectors.get(name);
+    if (!factory) {
+      throw new Error(`Unknown series detector "${name}". Available: ${[...detectors.keys()].join(', ')}`);
+    }
+    return factory();
+  });
+}
+
+/**
+ * Combine the readings of every detector. Readings naming the same series
+ * add up; the number comes from the most confident reading that has one.
+ * @param {Object} book - Book or metadata record
+ * @returns {Promise<{ name, number, confidence, sources: string[] }|null>}
+ */
+export async function detectSeries(book) {
+  const readings = [];
+  for (const detector of getSeriesDetectors()) {
+    try {
+      const found = await detector.detect(book);
+      found.forEach((r) => readings.push({ ...r, source: detector.name }));
+    } catch (e) {
+      console.error(`[Series] ${detector.name} detector failed for "${book.title}":`, e.message);
+    }
+  }
+  if (readings.length === 0) return null;
+
+  const groups = new Map();
+  for (const reading of readings) {
+    const key = seriesKey(reading.name);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(reading);
+  }
+  const scored = [...groups.values()].map((group) => ({
+    group,
+    score: 1 - group.reduce((p, r) => p * (1 - r.confidence), 1),
+  }));
+  scored.sort((a, b) => b.score - a.score);
+  if (scored.length === 0) return null;
+
+  const { group, score } = scored[0];
+  const byConfidence = [...group].sort((a, b) => b.confidence - a.confidence);
+  const numbered = byConfidence.find((r) => r.number !== null && r.number !== undefined);
+  return {
+    name: byConfidence[0].name,
+    number: numbered ? numbered.number : null,
+    confidence: Math.round(score * 100) / 100,
+    sources: [...new Set(group.map((r) => r.source))],
+  };
+}
@@ -0,0 +1,119 @@
+/**
+ * Series Recommendations
+ * For every series in a collection, finds the volumes the reader is missing:
+ * gaps ("you own 1, 2 and 4") and the next volumes after the last one owned.
+ *
+ * Configuration:
+ *   SERIES_NEXT_VOLUMES   - Volumes to suggest after the last one owned (default: 1)
+ *   SERIES_MAX_LOOKUPS    - Metadata searches per scan for volumes not yet stored (default: 6)
+ */
+import { getSeriesWithVolumes } from './series.js';
+import { seriesKey, parseSeriesFromTitle } from './seriesDetection.js';
+import { lookupBookMetadata } from './lookup.js';
+import { embedAndUpsert } from './embeddings.js';
+
+// "1, 2 and 4"
+function formatList(numbers) {
+  if (numbers.length <= 1) return numbers.join('');
+  return `${numbers.slice(0, -1).join(', ')} and ${numbers[numbers.length - 1]}`;
+}
+
+/**
+ * Reason shown on a series recommendation
+ * @example seriesReason('The Expanse', 3, [1, 2, 4]) // "Book 3 of The Expanse — you own 1, 2 and 4"
+ */
+export function seriesReason(seriesName, number, ownedNumbers) {
+  return `Book ${number} of ${seriesName} — you own ${formatList(ownedNumbers)}`;
+}
+
+/**
+ * Volume numbers a reader is missing from a series
+ * @param {Array<number>} ownedNumbers - Numbers of owned volumes
+ * @param {number} nextCount - Volumes to suggest after the last one owned
+ * @param {number|null} lastKnown - Highest volume number known to exist, if any
+ * @returns {Array<{ number: number, kind: 'gap'|'next' }>}
+ */
+export function findMissingVolumes(ownedNumbers, nextCount = 1, lastKnown = null) {
+  const owned = new Set(ownedNumbers.filter((n) => Number.isInteger(n) && n > 0));
+  if (owned.size === 0) return [];
+  const max = Math.max(...owned);
+  const missing = [];
+  for (let n = 1; n < max; n++) {
+    if (!owned.has(n)) missing.push({ number: n, kind: 'gap' });
+  }
+  for (let n = max + 1; n <= max + nextCount; n++) {
+    // Past the last volume we know of, a "next" book may not exist yet
+    if (lastKnown !== null && n > lastKnown && n > max + 1) break;
+    missing.push({ number: n, kind: 'next' });
+  }
+  return missing;
+}
+
+// Search providers for a volume the library does not have yet
+async function lookupVolume(series, number) {
+  const author = series.authors?.[0] || '';
+  const results = await lookupBookMetadata(`${series.name} book ${number} ${author}`.trim(), { limit: 5 });
+  const key = seriesKey(series.name);
+  return results.find((meta) => {
+    const reading = meta.series?.name ? meta.series : parseSeriesFromTitle(meta.title, meta.advancedMetadata?.subtitle);
+    return reading && seriesKey(reading.name) === key && Number(reading.number) === number;
+  }) || null;
+}
+
+/**
+ * Recommend missing volumes of every series in a collection
+ * @param {Array} books - Book documents in the collection (e.g. a scan's books)
+ * @param {Object} options - { limit } maximum recommendations, { userId } whose
+ *   library also counts as owned
+ * @returns {Promise<Array>} Flat book objects with `reason`, `confidence` and
+ *   `seriesGap: { seriesId, seriesName, number, kind, ownedNumbers }`
+ */
+export async function recommendSeriesVolumes(books = [], { limit = 10, userId = null } = {}) {
+  const seriesIds = [...new Set(books.map((b) => b.seriesRef).filter(Boolean).map(String))];
+  if (seriesIds.length === 0) return [];
+
+  const nextCount = Math.max(0, Number(process.env.SERIES_NEXT_VOLUMES ?? 1));
+  let lookupsLeft = Number(process.env.SERIES_MAX_LOOKUPS || 6);
+  const ownedBookIds = books.map((b) => b._id);
+  const recommendations = [];
+
+  for (const seriesId of seriesIds) {
+    const result = await getSeriesWithVolumes(seriesId, { userId, ownedBookIds });
+    if (!result) continue;
+    const { series, volumes } = result;
+    const ownedNumbers = volumes.filter((v) => v.owned && Number.isInteger(v.number)).map((v) => v.number).sort((a, b) => a - b);
+    const knownNumbers = volumes.map((v) => v.number).filter(Number.isInteger);
+    const lastKnown = knownNumbers.length ? Math.max(...knownNumbers) : null;
+
+    for (const { number, kind } of findMissingVolumes(ownedNumbers, nextCount, lastKnown)) {
+      let book = volumes.find((v) => !v.owned && v.number === number)?.book || null;
+      if (!book && lookupsLeft > 0) {
+        lookupsLeft--;
+        try {
+          const meta = await lookupVolume(series, number);
+          if (meta) {
+            const stored = await embedAndUpsert(meta);
+            book = stored.toObject ? stored.toObject() : stored;
+          }
+        } catch (e) {
+          console.error(`[Series] Lookup for book ${number} of ${series.name} failed:`, e.message);
+        }
+      }
+      if (!book) continue;
+
+      const { embedding, ...bookData } = book;
+      recommendations.push({
+        ...bookData,
+        reason: seriesReason(series.name, number, ownedNumbers),
+        // Filling a gap is a surer bet than starting the next book
+        confidence: kind === 'gap' ? 0.95 : 0.9,
+        seriesGap: { seriesId: series._id, seriesName: series.name, number, kind, ownedNumbers },
+      });
+    }
+  }
+
+  console.log(`[Series] ${recommendations.length} missing volumes across ${seriesIds.length} series`);
+  return recommendations
+    .sort((a, b) => b.confidence - a.confidence || a.seriesGap.number - b.seriesGap.number)
+    .slice(0, limit);
+}
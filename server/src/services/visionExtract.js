@@ -1,63 +1,92 @@
-import OpenAI from 'openai';
 import dotenv from 'dotenv';
+import { getVisionProvider, normalizeBbox, hashImage, VISION_PROMPT_VERSION } from './visionProviders.js';
+import { getCachedVisionItems, setCachedVisionItems } from './scanCache.js';
+import {
+  getTilingOptions,
+  splitIntoTiles,
+  tileBboxToImage,
+  mergeTileDetections,
+  mapWithConcurrency,
+} from './imageTiles.js';
 dotenv.config();
 
-const SYSTEM = `Extract books from an image of a bookshelf or book cover. 
-Focus on accurately reading book titles from spines or covers. 
-Return JSON only: { "items": [{ "title": string (required, the full book title as visible), "author"?: string, "isbn"?: string, "bbox"?: any, "confidence": number (0-1) }] }.
-Be precise with titles - read them carefully from the image. If a title is partially visible, include what you can see.`;
+async function extractItems(vision, buffer, mimeType) {
+  const items = await vision.extract(buffer, { mimeType });
+  return items.map((item) => ({ ...item, bbox: normalizeBbox(item?.bbox) }));
+}
+
+// Extract from each tile, map boxes back to the full image and merge
+// detections that span tile edges. Tiles that fail are skipped unless all do.
+async function extractFromTiles(vision, split, concurrency) {
+  const { width, height, tiles } = split;
+  const failures = [];
+  const perTile = await mapWithConcurrency(tiles, concurrency, async (tile, index) => {
+    try {
+      const items = await extractItems(vision, tile.buffer, 'image/jpeg');
+      return items.map((item) => ({ ...item, bbox: tileBboxToImage(item.bbox, tile, width, height) }));
+    } catch (e) {
+      console.error(`[Vision] Tile ${index + 1}/${tiles.length} failed:`, e.message);
+      failures.push(e);
+      return [];
+    }
+  });
+  if (failures.length === tiles.length) throw failures[0];
+
+  const merged = mergeTileDetections(perTile.flat());
+  console.log(`[Vision] ${vision.name} returned ${merged.length} items from ${tiles.length} tiles (${perTile.flat().length} before merging)`);
+  return merged;
+}
 
-function getOpenAI() {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) throw new Error('Missing OPENAI_API_KEY. Set it in server/.env');
-  return new OpenAI({ apiKey });
+// Tiled and whole-image results differ, so the tile settings are part of the key
+function cacheVariant(tiling) {
+  if (!tiling.enabled) return 'whole';
+  return `tiles-${tiling.minSize}-${tiling.maxTiles}-${tiling.overlap}`;
 }
 
-function sleep(ms) { return new Promise((r) => setTimeout(r, ms)); }
-
-async function withRetry(fn, { retries = Number(process.env.OPENAI_MAX_RETRIES || 3), baseMs = Number(process.env.OPENAI_RETRY_BASE_MS || 500) } = {}) {
-  let attempt = 0;
-  let lastErr;
-  while (attempt <= retries) {
-    try { return await fn(); } catch (e) {
-      lastErr = e;
-      const status = e?.status || e?.response?.status;
-      if (status !== 429 && (!status || status < 500)) break;
-      const delay = baseMs * Math.pow(2, attempt) + Math.floor(Math.random() * 100);
-      await sleep(delay);
-      attempt++;
+async function extractUncached(vision, buffer, mimeType, tiling) {
+  // Large photos of full bookcases lose small spines when sent whole
+  if (tiling.enabled) {
+    let split = null;
+    try {
+      split = await splitIntoTiles(buffer, tiling);
+    } catch (e) {
+      console.error('[Vision] Could not tile image, sending it whole:', e.message);
+    }
+    if (split) {
+      return extractFromTiles(vision, split, tiling.concurrency);
     }
   }
-  throw lastErr;
+
+  const items = await extractItems(vision, buffer, mimeType);
+  console.log(`[Vision] ${vision.name} returned ${items.length} items`);
+  return items;
 }
 
-export async function visionExtractFromBuffer(buffer) {
+// Read titles from a photo, cached by image hash. Callers that already
+// computed hashImage(buffer) pass it as imageHash.
+export async function visionExtractFromBuffer(buffer, { provider, mimeType, tiling = getTilingOptions(), imageHash } = {}) {
   if (String(process.env.DEMO_FAKE_VISION).toLowerCase() === 'true') {
     return [{ title: 'Sample Book One', author: 'Demo Author', confidence: 0.9 }];
   }
-  const openai = getOpenAI();
-  const b64 = buffer.toString('base64');
-  const model = process.env.OPENAI_VISION_MODEL || 'gpt-4o-mini';
-  const res = await withRetry(() => openai.chat.completions.create({
-    model,
-    messages: [
-      { role: 'system', content: SYSTEM },
-      {
-        role: 'user',
-        content: [
-          { type: 'text', text: 'Extract all visible book titles from this image. Read the titles carefully from book spines or covers. Return as strict JSON with an items array.' },
-          { type: 'image_url', image_url: { url: `data:image/jpeg;base64,${b64}` } },
-        ],
-      },
-    ],
-    response_format: { type: 'json_object' },
-  }));
-  const text = res.choices?.[0]?.message?.content || '{}';
-  let parsed;
-  try {
-    parsed = JSON.parse(text);
-  } catch {
-    parsed = {};
+  const vision = getVisionProvider(provider);
+  if (vision.cacheable === false) {
+    return extractUncached(vision, buffer, mimeType, tiling);
   }
-  return parsed.items || [];
+
+  const entry = {
+    imageHash: imageHash || hashImage(buffer),
+    provider: vision.name,
+    model: vision.model,
+    promptVersion: VISION_PROMPT_VERSION,
+    variant: cacheVariant(tiling),
+  };
+  const cached = await getCachedVisionItems(entry);
+  if (cached) {
+    console.log(`[Vision] Cache hit for ${entry.imageHash.slice(0, 12)} (${cached.length} items)`);
+    return cached;
+  }
+
+  const items = await extractUncached(vision, buffer, mimeType, tiling);
+  await setCachedVisionItems(entry, items);
+  return items;
 }
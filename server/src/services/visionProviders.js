@@ -0,0 +1,239 @@
+/**
+ * Vision Providers
+ * Registry of backends that read book candidates from an image.
+ * A provider is { name, model?, cacheable?, extract(buffer, options) } and
+ * resolves to an array of { title, author?, isbn?, bbox?, confidence } items.
+ * Results are cached by image hash unless the provider sets cacheable: false.
+ *
+ * Built-in providers (select with VISION_PROVIDER):
+ *   openai            - OpenAI API (OPENAI_API_KEY, OPENAI_VISION_MODEL)
+ *   openai-compatible - Any OpenAI-compatible server such as llama.cpp or vLLM
+ *                       (VISION_BASE_URL, VISION_MODEL, VISION_API_KEY)
+ *   fixture           - Recorded JSON keyed by image SHA-256 (VISION_FIXTURES_DIR)
+ */
+import OpenAI from 'openai';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+dotenv.config();
+
+export const VISION_SYSTEM_PROMPT = `Extract books from an image of a bookshelf or book cover.
+Focus on accurately reading book titles from spines or covers.
+Return JSON only: { "items": [{ "title": string (required, the full book title as visible), "author"?: string, "isbn"?: string, "bbox"?: [x, y, width, height] (outline of the spine or cover as fractions 0-1 of the image width and height, origin top-left), "confidence": number (0-1) }] }.
+Be precise with titles - read them carefully from the image. If a title is partially visible, include what you can see.`;
+
+const USER_PROMPT = 'Extract all visible book titles from this image. Read the titles carefully from book spines or covers. Return as strict JSON with an items array.';
+
+// Changes whenever the prompts do, so cached results from older prompts are not reused
+export const VISION_PROMPT_VERSION = crypto.createHash('sha256')
+  .update(`${VISION_SYSTEM_PROMPT}\n${USER_PROMPT}`)
+  .digest('hex')
+  .slice(0, 12);
+
+const DEFAULT_FIXTURES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../fixtures/vision');
+
+function sleep(ms) { return new Promise((r) => setTimeout(r, ms)); }
+
+async function withRetry(fn, { retries = Number(process.env.OPENAI_MAX_RETRIES || 3), baseMs = Number(process.env.OPENAI_RETRY_BASE_MS || 500) } = {}) {
+  let attempt = 0;
+  let lastErr;
+  while (attempt <= retries) {
+    try { return await fn(); } catch (e) {
+      lastErr = e;
+      const status = e?.status || e?.response?.status;
+      if (status !== 429 && (!status || status < 500)) break;
+      const delay = baseMs * Math.pow(2, attempt) + Math.floor(Math.random() * 100);
+      await sleep(delay);
+      attempt++;
+    }
+  }
+  throw lastErr;
+}
+
+/**
+ * SHA-256 of the image bytes, used to key fixtures and the vision cache
+ * @param {Buffer} buffer - Image bytes
+ * @returns {string} Hex digest
+ */
+export function hashImage(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Pull the items array out of a model response. Local models do not always
+ * honour JSON mode, so fall back to the first {...} block in the text.
+ */
+export function parseVisionItems(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    const jsonMatch = String(text || '').match(/\{[\s\S]*\}/);
+    try {
+      parsed = jsonMatch ? JSON.parse(jsonMatch[0]) : {};
+    } catch {
+      parsed = {};
+    }
+  }
+  if (Array.isArray(parsed)) return parsed;
+  return Array.isArray(parsed?.items) ? parsed.items : [];
+}
+
+/**
+ * Normalize a bounding box to { x, y, w, h } fractions of the image size.
+ * Accepts [x, y, w, h], { x, y, width|w, height|h } or { x1, y1, x2, y2 }
+ * in fractions or percentages. Returns null for anything else.
+ */
+export function normalizeBbox(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  let box;
+  if (Array.isArray(raw) && raw.length === 4) {
+    box = { x: raw[0], y: raw[1], w: raw[2], h: raw[3] };
+  } else if (raw.x1 !== undefined && raw.x2 !== undefined) {
+    box = { x: raw.x1, y: raw.y1, w: raw.x2 - raw.x1, h: raw.y2 - raw.y1 };
+  } else {
+    box = { x: raw.x, y: raw.y, w: raw.width ?? raw.w, h: raw.height ?? raw.h };
+  }
+  let values = [box.x, box.y, box.w, box.h].map(Number);
+  if (values.some((v) => !Number.isFinite(v) || v < 0)) return null;
+  // Percentages (0-100) instead of fractions
+  if (values.some((v) => v > 1)) {
+    if (values.some((v) => v > 100)) return null;
+    values = values.map((v) => v / 100);
+  }
+  const [x, y, w, h] = values;
+  if (w <= 0 || h <= 0) return null;
+  const round = (v) => Math.round(v * 10000) / 10000;
+  return { x: round(x), y: round(y), w: round(Math.min(w, 1 - x)), h: round(Math.min(h, 1 - y)) };
+}
+
+/**
+ * Build a provider around an OpenAI SDK client
+ */
+function createChatVisionProvider(name, { getClient, model, jsonMode = true }) {
+  return {
+    name,
+    model,
+    async extract(buffer, { mimeType = 'image/jpeg' } = {}) {
+      const client = getClient();
+      const b64 = buffer.toString('base64');
+      const res = await withRetry(() => client.chat.completions.create({
+        model,
+        messages: [
+          { role: 'system', content: VISION_SYSTEM_PROMPT },
+          {
+            role: 'user',
+            content: [
+              { type: 'text', text: USER_PROMPT },
+              { type: 'image_url', image_url: { url: `data:${mimeType};base64,${b64}` } },
+            ],
+          },
+        ],
+        ...(jsonMode ? { response_format: { type: 'json_object' } } : {}),
+      }));
+      return parseVisionItems(res.choices?.[0]?.message?.content || '{}');
+    },
+  };
+}
+
+function createOpenAIProvider() {
+  return createChatVisionProvider('openai', {
+    getClient: () => {
+      const apiKey = process.env.OPENAI_API_KEY;
+      if (!apiKey) throw new Error('Missing OPENAI_API_KEY. Set it in server/.env');
+      return new OpenAI({ apiKey });
+    },
+    model: process.env.OPENAI_VISION_MODEL || 'gpt-4o-mini',
+  });
+}
+
+function createOpenAICompatibleProvider() {
+  return createChatVisionProvider('openai-compatible', {
+    getClient: () => {
+      const baseURL = process.env.VISION_BASE_URL;
+      if (!baseURL) throw new Error('Missing VISION_BASE_URL for the openai-compatible vision provider. Set it in server/.env');
+      // Local servers usually ignore the key, but the SDK requires one
+      return new OpenAI({ baseURL, apiKey: process.env.VISION_API_KEY || 'not-needed' });
+    },
+    model: process.env.VISION_MODEL || process.env.OPENAI_VISION_MODEL || 'gpt-4o-mini',
+    jsonMode: String(process.env.VISION_JSON_MODE || 'true').toLowerCase() === 'true',
+  });
+}
+
+/**
+ * Replays recorded results from <VISION_FIXTURES_DIR>/<sha256>.json, falling
+ * back to default.json. With VISION_FIXTURE_RECORD=true, images without a
+ * fixture are sent to VISION_FIXTURE_SOURCE (default: openai) and the result
+ * is written to disk for later offline runs.
+ */
+function createFixtureProvider() {
+  const dir = process.env.VISION_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+  const record = String(process.env.VISION_FIXTURE_RECORD).toLowerCase() === 'true';
+  const sourceName = process.env.VISION_FIXTURE_SOURCE || 'openai';
+  if (sourceName === 'fixture') {
+    throw new Error('VISION_FIXTURE_SOURCE cannot be "fixture": name the provider to record from, e.g. openai');
+  }
+
+  const readFixture = async (file) => {
+    try {
+      return parseVisionItems(await fs.readFile(path.join(dir, file), 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  };
+
+  return {
+    name: 'fixture',
+    // Fixtures are already keyed by image hash
+    cacheable: false,
+    async extract(buffer, options = {}) {
+      const hash = hashImage(buffer);
+      const recorded = await readFixture(`${hash}.json`);
+      if (recorded) return recorded;
+
+      if (record) {
+        const source = getVisionProvider(sourceName);
+        const items = await source.extract(buffer, options);
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(path.join(dir, `${hash}.json`), JSON.stringify({ items }, null, 2));
+        console.log(`[Vision] Recorded fixture ${hash}.json from ${source.name}`);
+        return items;
+      }
+
+      const fallback = await readFixture('default.json');
+      if (fallback) return fallback;
+      throw new Error(`No vision fixture for image ${hash}. Add ${hash}.json to ${dir} or set VISION_FIXTURE_RECORD=true`);
+    },
+  };
+}
+
+const providers = new Map([
+  ['openai', createOpenAIProvider],
+  ['openai-compatible', createOpenAICompatibleProvider],
+  ['fixture', createFixtureProvider],
+]);
+
+/**
+ * Register (or replace) a vision provider factory
+ * @param {string} name - Provider name used in VISION_PROVIDER
+ * @param {Function} factory - Returns { name, model?, cacheable?, extract(buffer, options) }
+ */
+export function registerVisionProvider(name, factory) {
+  providers.set(name, factory);
+}
+
+/**
+ * Get a vision provider by name
+ * @param {string} name - Provider name (defaults to VISION_PROVIDER, then openai)
+ * @returns {Object} Provider
+ */
+export function getVisionProvider(name = process.env.VISION_PROVIDER || 'openai') {
+  const factory = providers.get(name);
+  if (!factory) {
+    throw new Error(`Unknown vision provider "${name}". Available: ${[...providers.keys()].join(', ')}`);
+  }
+  return factory();
+}
@@ -0,0 +1,138 @@
+/**
+ * Works
+ * Groups Book editions (paperback, hardcover, translations, box-set entries)
+ * into Works so the same book is not listed or recommended twice. Editions
+ * belong to the same work when they share an Open Library work id, or a
+ * normalized title by the same author. The whole title counts: volumes of a
+ * series ("The Expanse: Leviathan Wakes", "The Expanse: Caliban's War") are
+ * different works.
+ */
+import Work from '../models/Work.js';
+import { normalizeText } from './bookMatching.js';
+
+// Trailing edition wording that does not change which work a title refers
+// to, e.g. "a novel" or "40th anniversary edition"
+const EDITION_SUFFIX = /\s+(?:a novel|the novel|unabridged|abridged|(?:[\p{L}\p{N}]+\s+){0,3}edition)$/u;
+
+/**
+ * Title reduced to what identifies the work: the full normalized title
+ * without parentheticals (series or edition notes) or trailing edition
+ * wording. Subtitles are kept since they often name the volume.
+ */
+export function workTitleKey(title) {
+  const main = String(title || '').replace(/[([{].*?[)\]}]/g, ' ');
+  const key = normalizeText(main).replace(EDITION_SUFFIX, '').trim();
+  return key || normalizeText(title);
+}
+
+function authorKey(authors = []) {
+  const tokens = normalizeText(authors[0]).split(' ').filter(Boolean);
+  return tokens[tokens.length - 1] || '';
+}
+
+/**
+ * Stable key for the work a metadata record or Book belongs to
+ * @returns {string|null} null when the record has no title
+ */
+export function workKeyFor(meta) {
+  const title = workTitleKey(meta?.title);
+  if (!title) return null;
+  return `${title}|${authorKey(meta.authors || (meta.author ? [meta.author] : []))}`;
+}
+
+/**
+ * Every identifier a book or metadata record's work is known by: its Work
+ * id, Open Library work id and computed key. Two records are the same work
+ * when these sets overlap.
+ */
+export function workIdentities(book) {
+  const ids = [];
+  if (book?.work) ids.push(`work:${book.work._id || book.work}`);
+  if (book?.openLibraryWorkKey) ids.push(`ol:${book.openLibraryWorkKey}`);
+  const key = workKeyFor(book);
+  if (key) ids.push(`key:${key}`);
+  return ids;
+}
+
+/**
+ * Identities of all works in a collection, for exclusion checks
+ * @param {Array} books - Books or metadata records
+ * @returns {Set<string>}
+ */
+export function collectWorkIdentities(books = []) {
+  return new Set(books.flatMap(workIdentities));
+}
+
+/**
+ * Whether a book is an edition of any work in the set
+ */
+export function isKnownWork(book, identities) {
+  return workIdentities(book).some((id) => identities.has(id));
+}
+
+/**
+ * Keep one edition per work, the first one seen
+ * @param {Array} books - Books or { book } results, in priority order
+ * @param {Function} getBook - Picks the book out of each item
+ * @returns {Array} Items without later editions of the same work
+ */
+export function dedupeByWork(books, getBook = (b) => b) {
+  const seen = new Set();
+  return books.filter((item) => {
+    const ids = workIdentities(getBook(item));
+    if (ids.some((id) => seen.has(id))) return false;
+    ids.forEach((id) => seen.add(id));
+    return true;
+  });
+}
+
+/**
+ * Find the Work for a metadata record, creating it when needed
+ * @param {Object} meta - Book or metadata record
+ * @returns {Promise<Object|null>} Work document, or null without a title
+ */
+export async function findOrCreateWork(meta) {
+  const key = workKeyFor(meta);
+  if (!key) return null;
+
+  let work = null;
+  if (meta.openLibraryWorkKey) {
+    work = await Work.findOne({ openLibraryWorkKey: meta.openLibraryWorkKey });
+  }
+  if (!work) {
+    const upsertByKey = (workKey) => Work.findOneAndUpdate(
+      { key: workKey },
+      { $setOnInsert: { key: workKey, title: meta.title, authors: meta.authors || [] } },
+      { upsert: true, new: true }
+    );
+    work = await upsertByKey(key);
+    // Open Library knows it as another work: the id wins over the title
+    if (meta.openLibraryWorkKey && work.openLibraryWorkKey && work.openLibraryWorkKey !== meta.openLibraryWorkKey) {
+      work = await upsertByKey(`${key}|${meta.openLibraryWorkKey}`);
+    }
+  }
+  if (meta.openLibraryWorkKey && !work.openLibraryWorkKey) {
+    work.openLibraryWorkKey = meta.openLibraryWorkKey;
+    await work.save();
+  }
+  return work;
+}
+
+/**
+ * Link a Book edition to its Work. Failures are logged, not thrown, since a
+ * book without a work is still usable.
+ * @param {Object} book - Book document
+ * @returns {Promise<Object>} The same book
+ */
+export async function assignWork(book) {
+  try {
+    const work = await findOrCreateWork(book);
+    if (work && String(book.work) !== String(work._id)) {
+      book.work = work._id;
+      await book.save();
+    }
+  } catch (e) {
+    console.error(`[Works] Could not assign a work to "${book.title}":`, e.message);
+  }
+  return book;
+}
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeText, diceSimilarity, authorSimilarity, scoreMatch, rankMatches } from '../src/services/bookMatching.js';
+
+const dune = { title: 'Dune', authors: ['Frank Herbert'], language: 'en', advancedMetadata: { printType: 'BOOK', ratingsCount: 5000 } };
+
+test('normalizeText folds accents, case and punctuation', () => {
+  assert.equal(normalizeText('  Les Misérables — Tome 1! '), 'les miserables tome 1');
+  assert.equal(normalizeText('Pride & Prejudice'), 'pride and prejudice');
+});
+
+test('similarities are symmetric and bounded', () => {
+  assert.equal(diceSimilarity('Dune', 'dune'), 1);
+  assert.equal(diceSimilarity('', 'Dune'), 0);
+  assert.equal(diceSimilarity('night', 'nacht'), diceSimilarity('nacht', 'night'));
+  assert.ok(authorSimilarity('HERBERT', ['Frank Herbert']) >= 0.7);
+  assert.equal(authorSimilarity('', ['Frank Herbert']), 0);
+});
+
+test('scoreMatch is deterministic', () => {
+  const query = { title: 'DUNE', author: 'Herbert', language: 'en' };
+  assert.equal(scoreMatch(query, dune), scoreMatch(query, { ...dune }));
+  assert.equal(scoreMatch(query, dune), 0.996);
+  assert.equal(scoreMatch(query, { authors: [] }), 0);
+});
+
+test('scoreMatch ranks the book above study guides, magazines and other authors', () => {
+  const query = { title: 'Dune', author: 'Frank Herbert', language: 'en' };
+  const ranked = rankMatches(query, [
+    { title: 'Dune (SparkNotes Study Guide)', authors: ['SparkNotes'] },
+    { title: 'Dune', authors: ['Frank Herbert'], advancedMetadata: { printType: 'MAGAZINE' } },
+    { title: 'Dune', authors: ['Brian Herbert'], language: 'en' },
+    dune,
+  ]);
+  assert.equal(ranked[0].meta, dune);
+  assert.equal(ranked.at(-1).meta.authors[0], 'SparkNotes');
+  assert.ok(ranked.every(({ score }) => score >= 0 && score <= 1));
+});
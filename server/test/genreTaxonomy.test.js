@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeGenres, genresOfBook, genreAncestors } from '../src/services/genreTaxonomy.js';
+
+test('normalizeGenres maps BISAC paths onto the most specific genre', () => {
+  assert.deepEqual(normalizeGenres(['Fiction / Science Fiction / Space Opera']), {
+    genre: ['Space Opera'],
+    parentGenres: ['Fiction', 'Science Fiction'],
+  });
+});
+
+test('broader genres named alongside a specific one become parents', () => {
+  assert.deepEqual(normalizeGenres(['Science fiction', 'Fiction']), { genre: ['Science Fiction'], parentGenres: ['Fiction'] });
+  assert.deepEqual(
+    normalizeGenres(['Fiction / Mystery & Detective / General', 'Detective and mystery stories']),
+    { genre: ['Mystery & Detective'], parentGenres: ['Fiction'] }
+  );
+});
+
+test('unknown subjects are dropped', () => {
+  assert.deepEqual(normalizeGenres(['xyz unknown']), { genre: [], parentGenres: [] });
+  assert.deepEqual(normalizeGenres(), { genre: [], parentGenres: [] });
+});
+
+test('genresOfBook reads stored genres, categories and subjects alike', () => {
+  const stored = genresOfBook({ genre: ['Space Opera'], parentGenres: ['Fiction', 'Science Fiction'] });
+  const raw = genresOfBook({ categories: ['Fiction / Science Fiction / Space Opera'] });
+  assert.deepEqual(stored, raw);
+  assert.deepEqual(genreAncestors('Space Opera'), ['Fiction', 'Science Fiction']);
+  assert.deepEqual(genreAncestors('Not a genre'), []);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planTiles, tileBboxToImage, mergeTileDetections, mapWithConcurrency } from '../src/services/imageTiles.js';
+
+const options = { minSize: 2400, maxTiles: 6, overlap: 0.15 };
+
+test('planTiles leaves small images whole', () => {
+  assert.deepEqual(planTiles(2000, 1500, options), [{ left: 0, top: 0, width: 2000, height: 1500 }]);
+});
+
+test('planTiles covers the image with overlapping tiles', () => {
+  const tiles = planTiles(6000, 2000, options);
+  assert.equal(tiles.length, 3);
+  assert.deepEqual(tiles.map((t) => t.top), [0, 0, 0]);
+  assert.equal(tiles[0].left, 0);
+  assert.equal(tiles.at(-1).left + tiles.at(-1).width, 6000);
+  // Neighbours overlap
+  assert.ok(tiles[1].left < tiles[0].left + tiles[0].width);
+});
+
+test('planTiles gives up rows before exceeding maxTiles', () => {
+  const tiles = planTiles(9600, 7200, { ...options, maxTiles: 4 });
+  assert.equal(tiles.length, 4);
+});
+
+test('tile boxes map back to full-image fractions', () => {
+  const tile = { left: 3000, top: 0, width: 3000, height: 2000 };
+  assert.deepEqual(tileBboxToImage({ x: 0.5, y: 0.1, w: 0.1, h: 0.8 }, tile, 6000, 2000), { x: 0.75, y: 0.1, w: 0.05, h: 0.8 });
+  assert.equal(tileBboxToImage(null, tile, 6000, 2000), null);
+});
+
+test('a spine cut by a tile edge is merged into one detection', () => {
+  const merged = mergeTileDetections([
+    { title: 'The Left Hand', confidence: 0.6, bbox: { x: 0.45, y: 0.1, w: 0.05, h: 0.8 } },
+    { title: 'The Left Hand of Darkness', author: 'Le Guin', confidence: 0.9, bbox: { x: 0.47, y: 0.1, w: 0.05, h: 0.8 } },
+    { title: 'Dune', confidence: 0.8, bbox: { x: 0.1, y: 0.1, w: 0.05, h: 0.8 } },
+  ]);
+  assert.equal(merged.length, 2);
+  assert.deepEqual(merged[0], {
+    title: 'The Left Hand of Darkness',
+    author: 'Le Guin',
+    isbn: undefined,
+    confidence: 0.9,
+    bbox: { x: 0.45, y: 0.1, w: 0.07, h: 0.8 },
+  });
+});
+
+test('mapWithConcurrency keeps order and limits calls in flight', async () => {
+  let running = 0;
+  let peak = 0;
+  const results = await mapWithConcurrency([30, 10, 20, 0], 2, async (ms, i) => {
+    running++;
+    peak = Math.max(peak, running);
+    await new Promise((resolve) => setTimeout(resolve, ms));
+    running--;
+    return i;
+  });
+  assert.deepEqual(results, [0, 1, 2, 3]);
+  assert.equal(peak, 2);
+});
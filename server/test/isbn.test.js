@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseIsbn, cleanIsbn, isbn10To13, isbn13To10 } from '../src/services/isbn.js';
+import { registerMetadataProvider } from '../src/services/metadataProviders.js';
+import { lookupBookByIsbn } from '../src/services/lookup.js';
+
+test('parseIsbn validates checksums and returns both forms', () => {
+  assert.deepEqual(parseIsbn('0-306-40615-2'), { isbn10: '0306406152', isbn13: '9780306406157' });
+  assert.deepEqual(parseIsbn('ISBN 978-0-306-40615-7'), { isbn10: '0306406152', isbn13: '9780306406157' });
+  assert.deepEqual(parseIsbn('080442957x'), { isbn10: '080442957X', isbn13: '9780804429573' });
+  assert.equal(parseIsbn('9780306406158'), null);
+  assert.equal(parseIsbn('0306406153'), null);
+  assert.equal(parseIsbn('12345'), null);
+});
+
+test('979 ISBNs have no ISBN-10 form', () => {
+  assert.deepEqual(parseIsbn('979-10-90636-07-1'), { isbn10: null, isbn13: '9791090636071' });
+  assert.equal(isbn13To10('9791090636071'), null);
+});
+
+test('ISBN conversions round-trip', () => {
+  assert.equal(isbn10To13('0306406152'), '9780306406157');
+  assert.equal(isbn13To10('9780306406157'), '0306406152');
+  assert.equal(cleanIsbn('isbn-13: 978 0 306 40615 7'), '9780306406157');
+});
+
+test('lookupBookByIsbn queries providers with both forms and keeps the ISBN read', async () => {
+  const asked = [];
+  registerMetadataProvider('stub', () => ({
+    name: 'stub',
+    search: async () => [],
+    lookupIsbn: async (isbns) => {
+      asked.push(isbns);
+      return { title: 'Dune', authors: ['Frank Herbert'], isbn13: '9780000000000' };
+    },
+  }));
+  process.env.METADATA_PROVIDERS = 'stub';
+
+  const meta = await lookupBookByIsbn('0-306-40615-2');
+  assert.deepEqual(asked, [{ isbn10: '0306406152', isbn13: '9780306406157' }]);
+  assert.equal(meta.title, 'Dune');
+  assert.equal(meta.isbn13, '9780306406157');
+  assert.equal(meta.isbn10, '0306406152');
+
+  assert.equal(await lookupBookByIsbn('0306406153'), null);
+  assert.equal(asked.length, 1);
+});
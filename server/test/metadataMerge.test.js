@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeMetadataRecords, groupRecordsByBook, isSameBook } from '../src/services/metadataMerge.js';
+import { registerMetadataProvider, getMetadataProviders } from '../src/services/metadataProviders.js';
+import { lookupBookMetadata } from '../src/services/lookup.js';
+
+const google = {
+  source: 'googlebooks',
+  title: 'The Left Hand of Darkness',
+  authors: ['Ursula K. Le Guin'],
+  description: 'A lone human envoy...',
+  categories: ['Fiction'],
+  publicationYear: 2000,
+  isbn13: '9780441478125',
+  thumbnail: 'https://books.google/small.jpg',
+  advancedMetadata: { subtitle: null, imageLinks: { large: 'https://books.google/large.jpg' } },
+};
+const openLibrary = {
+  source: 'openlibrary',
+  title: 'The left hand of darkness',
+  authors: ['Ursula K. LeGuin'],
+  description: '',
+  subjects: ['Science fiction', 'Gender'],
+  publicationYear: 1969,
+  isbn10: '0441478123',
+  thumbnail: 'https://covers.openlibrary/L.jpg',
+  openLibraryWorkKey: '/works/OL59800W',
+  advancedMetadata: { mainCategory: 'Science fiction' },
+};
+
+test('mergeMetadataRecords picks each field from its preferred source', () => {
+  const merged = mergeMetadataRecords([openLibrary, google]);
+  assert.equal(merged.title, 'The left hand of darkness');
+  assert.equal(merged.description, 'A lone human envoy...');
+  assert.deepEqual(merged.subjects, ['Science fiction', 'Gender']);
+  assert.equal(merged.publicationYear, 1969);
+  assert.equal(merged.thumbnail, 'https://books.google/large.jpg');
+  assert.equal(merged.openLibraryWorkKey, '/works/OL59800W');
+  assert.deepEqual(merged.advancedMetadata, { imageLinks: google.advancedMetadata.imageLinks, mainCategory: 'Science fiction' });
+  assert.deepEqual(merged.sources, ['openlibrary', 'googlebooks']);
+  assert.equal(merged.provenance.description, 'googlebooks');
+  assert.equal(merged.provenance.publicationYear, 'openlibrary');
+  assert.equal(merged.provenance.thumbnail, 'googlebooks');
+});
+
+test('a single record keeps its fields and gets provenance for them', () => {
+  const merged = mergeMetadataRecords([openLibrary]);
+  assert.equal(merged.provenance.subjects, 'openlibrary');
+  assert.equal(merged.provenance.description, undefined);
+  assert.equal(mergeMetadataRecords([]), null);
+});
+
+test('records match on a shared ISBN in either form or on title and author', () => {
+  assert.ok(isSameBook({ title: 'A', isbn13: '9780441478125' }, { title: 'B', isbn10: '0441478123' }));
+  assert.ok(isSameBook(google, openLibrary));
+  assert.ok(!isSameBook(google, { ...openLibrary, isbn10: null, authors: ['Someone Else'] }));
+  assert.ok(!isSameBook(google, { source: 'openlibrary', title: 'The Dispossessed', authors: ['Ursula K. Le Guin'] }));
+});
+
+test('groupRecordsByBook keeps two editions from one provider apart', () => {
+  const groups = groupRecordsByBook([google, { ...google, isbn13: '9780441007318' }, openLibrary]);
+  assert.equal(groups.length, 2);
+  assert.deepEqual(groups[0].map((r) => r.source), ['googlebooks', 'openlibrary']);
+});
+
+test('registered stub providers replace the network sources', async () => {
+  registerMetadataProvider('stub-a', () => ({ name: 'stub-a', search: async () => [{ ...google, source: undefined }] }));
+  registerMetadataProvider('stub-b', () => ({
+    name: 'stub-b',
+    search: async () => {
+      throw new Error('offline');
+    },
+  }));
+  process.env.METADATA_PROVIDERS = 'stub-a, stub-b';
+
+  assert.deepEqual(getMetadataProviders().map((p) => p.name), ['stub-a', 'stub-b']);
+  const [record] = await lookupBookMetadata('left hand of darkness');
+  assert.equal(record.title, google.title);
+  assert.deepEqual(record.sources, ['stub-a']);
+  assert.throws(() => getMetadataProviders('missing'), /Unknown metadata provider "missing"/);
+});
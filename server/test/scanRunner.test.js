@@ -0,0 +1,49 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import Scan from '../src/models/Scan.js';
+import { runScan } from '../src/services/scanRunner.js';
+import { normalizeImage } from '../src/services/imagePreprocess.js';
+import { hashImage } from '../src/services/visionProviders.js';
+
+// Offline: recorded vision results, no barcode lookups, no database
+let photo;
+before(async () => {
+  process.env.VISION_PROVIDER = 'fixture';
+  process.env.BARCODE_DETECTION = 'false';
+  delete process.env.DEMO_FAKE_VISION;
+  process.env.VISION_FIXTURES_DIR = await fs.mkdtemp(path.join(os.tmpdir(), 'scan-fixtures-'));
+  Scan.prototype.save = async function save() {
+    return this;
+  };
+
+  photo = await sharp({ create: { width: 400, height: 300, channels: 3, background: '#7a5c3e' } }).jpeg().toBuffer();
+  // Fixtures are keyed by the normalized photo the vision provider receives
+  const { buffer } = await normalizeImage(photo);
+  await fs.writeFile(path.join(process.env.VISION_FIXTURES_DIR, `${hashImage(buffer)}.json`), JSON.stringify({
+    items: [
+      { title: 'Leviathan Wakes', author: 'James S. A. Corey', confidence: 0.94, bbox: [0.04, 0.12, 0.09, 0.76] },
+      { title: 'The Left Hand of Darkness', author: 'Ursula K. Le Guin', confidence: 0.88, bbox: [0.27, 0.12, 0.09, 0.76] },
+      { title: 'leviathan wakes', author: 'James S.A. Corey', confidence: 0.7 },
+    ],
+  }));
+});
+
+test('runScan reads titles from the fixture provider and stops for review', async () => {
+  const scan = new Scan({});
+  const result = await runScan(scan, [{ buffer: photo, mimetype: 'image/jpeg', originalname: 'shelf.jpg', size: photo.length }], { review: true });
+
+  assert.equal(result.status, 'review');
+  assert.deepEqual(result.scannedTitles, ['Leviathan Wakes', 'The Left Hand of Darkness']);
+  assert.deepEqual(result.matches, []);
+  assert.equal(scan.images.length, 1);
+  assert.equal(scan.images[0].candidates, 3);
+  assert.match(scan.images[0].imageHash, /^[0-9a-f]{64}$/);
+  assert.deepEqual(result.stats.stages.map((stage) => stage.name), ['normalize', 'barcode', 'extract']);
+  const [first] = scan.candidates;
+  assert.equal(first.source, 'vision');
+  assert.deepEqual({ ...first.bbox }, { x: 0.04, y: 0.12, w: 0.09, h: 0.76 });
+});
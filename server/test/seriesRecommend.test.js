@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findMissingVolumes, seriesReason } from '../src/services/seriesRecommend.js';
+
+test('findMissingVolumes lists gaps, then the next volume', () => {
+  assert.deepEqual(findMissingVolumes([1, 2, 4]), [
+    { number: 3, kind: 'gap' },
+    { number: 5, kind: 'next' },
+  ]);
+});
+
+test('findMissingVolumes ignores invalid numbers and empty series', () => {
+  assert.deepEqual(findMissingVolumes([]), []);
+  assert.deepEqual(findMissingVolumes([0, -1, 1.5, NaN]), []);
+  assert.deepEqual(findMissingVolumes([2, 2]), [{ number: 1, kind: 'gap' }, { number: 3, kind: 'next' }]);
+});
+
+test('findMissingVolumes stops past the last known volume', () => {
+  assert.deepEqual(findMissingVolumes([1, 2], 3, 3), [{ number: 3, kind: 'next' }]);
+  // The very next volume may simply not be stored yet
+  assert.deepEqual(findMissingVolumes([3], 2, 3), [
+    { number: 1, kind: 'gap' },
+    { number: 2, kind: 'gap' },
+    { number: 4, kind: 'next' },
+  ]);
+  assert.equal(findMissingVolumes([1], 5).length, 5);
+});
+
+test('seriesReason names the volumes owned', () => {
+  assert.equal(seriesReason('The Expanse', 3, [1, 2, 4]), 'Book 3 of The Expanse — you own 1, 2 and 4');
+  assert.equal(seriesReason('Dune', 2, [1]), 'Book 2 of Dune — you own 1');
+});
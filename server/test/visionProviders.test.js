@@ -0,0 +1,61 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { getVisionProvider, registerVisionProvider, hashImage, normalizeBbox, parseVisionItems } from '../src/services/visionProviders.js';
+
+let dir;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vision-fixtures-'));
+  process.env.VISION_FIXTURES_DIR = dir;
+  delete process.env.VISION_FIXTURE_RECORD;
+  delete process.env.VISION_FIXTURE_SOURCE;
+});
+
+const image = Buffer.from('not really a photo');
+
+test('fixture provider replays the recording for an image hash', async () => {
+  await fs.writeFile(path.join(dir, `${hashImage(image)}.json`), JSON.stringify({ items: [{ title: 'Dune', author: 'Frank Herbert' }] }));
+  await fs.writeFile(path.join(dir, 'default.json'), JSON.stringify({ items: [{ title: 'Fallback' }] }));
+  const items = await getVisionProvider('fixture').extract(image);
+  assert.deepEqual(items, [{ title: 'Dune', author: 'Frank Herbert' }]);
+});
+
+test('fixture provider falls back to default.json, then fails', async () => {
+  const provider = getVisionProvider('fixture');
+  await assert.rejects(provider.extract(image), /No vision fixture/);
+  await fs.writeFile(path.join(dir, 'default.json'), JSON.stringify([{ title: 'Fallback' }]));
+  assert.deepEqual(await provider.extract(image), [{ title: 'Fallback' }]);
+});
+
+test('fixture provider records from the source provider', async () => {
+  process.env.VISION_FIXTURE_RECORD = 'true';
+  process.env.VISION_FIXTURE_SOURCE = 'stub';
+  registerVisionProvider('stub', () => ({ name: 'stub', extract: async () => [{ title: 'Recorded' }] }));
+  assert.deepEqual(await getVisionProvider('fixture').extract(image), [{ title: 'Recorded' }]);
+  const saved = JSON.parse(await fs.readFile(path.join(dir, `${hashImage(image)}.json`), 'utf8'));
+  assert.deepEqual(saved.items, [{ title: 'Recorded' }]);
+});
+
+test('fixture cannot record from itself', () => {
+  process.env.VISION_FIXTURE_SOURCE = 'fixture';
+  assert.throws(() => getVisionProvider('fixture'), /cannot be "fixture"/);
+});
+
+test('unknown providers are reported by name', () => {
+  assert.throws(() => getVisionProvider('nope'), /Unknown vision provider "nope"/);
+});
+
+test('normalizeBbox accepts arrays, corners and percentages', () => {
+  assert.deepEqual(normalizeBbox([0.1, 0.2, 0.3, 0.4]), { x: 0.1, y: 0.2, w: 0.3, h: 0.4 });
+  assert.deepEqual(normalizeBbox({ x1: 10, y1: 20, x2: 40, y2: 60 }), { x: 0.1, y: 0.2, w: 0.3, h: 0.4 });
+  assert.equal(normalizeBbox({ x: 0.1, y: 0.1, w: 0, h: 0.2 }), null);
+  assert.equal(normalizeBbox('0,0,1,1'), null);
+});
+
+test('parseVisionItems finds JSON wrapped in prose', () => {
+  assert.deepEqual(parseVisionItems('Here you go: {"items": [{"title": "Emma"}]}'), [{ title: 'Emma' }]);
+  assert.deepEqual(parseVisionItems('no json'), []);
+});
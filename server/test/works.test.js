@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { workTitleKey, workKeyFor, dedupeByWork, isKnownWork, collectWorkIdentities } from '../src/services/works.js';
+
+test('workTitleKey keeps series-prefixed volumes apart', () => {
+  assert.notEqual(
+    workTitleKey('The Lord of the Rings: The Fellowship of the Ring'),
+    workTitleKey('The Lord of the Rings: The Two Towers')
+  );
+  assert.notEqual(workTitleKey('The Expanse: Leviathan Wakes'), workTitleKey("The Expanse: Caliban's War"));
+  assert.notEqual(workTitleKey('Dune - Messiah'), workTitleKey('Dune'));
+});
+
+test('workTitleKey drops parentheticals and edition wording', () => {
+  assert.equal(workTitleKey('Dune (Dune Chronicles, Book 1)'), 'dune');
+  assert.equal(workTitleKey('Dune: 40th Anniversary Edition'), 'dune');
+  assert.equal(workTitleKey('Beloved: A Novel'), 'beloved');
+  assert.equal(workTitleKey('Emma [Unabridged]'), 'emma');
+});
+
+test('dedupeByWork keeps one edition per work and every volume of a series', () => {
+  const books = [
+    { title: 'The Expanse: Leviathan Wakes', authors: ['James S. A. Corey'] },
+    { title: "The Expanse: Caliban's War", authors: ['James S. A. Corey'] },
+    { title: 'Leviathan Wakes', authors: ['James S.A. Corey'], openLibraryWorkKey: '/works/OL1W' },
+    { title: 'Leviathan Wakes (Expanse, #1)', authors: ['Corey'], openLibraryWorkKey: '/works/OL1W' },
+  ];
+  assert.deepEqual(dedupeByWork(books).map((b) => b.title), books.slice(0, 3).map((b) => b.title));
+});
+
+test('editions sharing an Open Library work id are the same work', () => {
+  const owned = collectWorkIdentities([{ title: 'Solaris', authors: ['Stanisław Lem'], openLibraryWorkKey: '/works/OL2W' }]);
+  assert.ok(isKnownWork({ title: 'Solaris: a novel', authors: ['Lem'] }, owned));
+  assert.ok(isKnownWork({ title: 'Solaris (Polish)', authors: [], openLibraryWorkKey: '/works/OL2W' }, owned));
+  assert.equal(workKeyFor({ title: '' }), null);
+});